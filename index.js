@@ -1,95 +1,31 @@
 require('dotenv').config();
-const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
-const weatherRoutes = require('./src/routes/weatherRoutes');
-const rateLimiter = require('./src/middleware/rateLimiter');
-const { cacheClient } = require('./src/config/cache');
+const app = require('./src/app');
+const attachStreamSocket = require('./src/routes/streamSocket');
+const { startAlertScheduler } = require('./src/services/alertScheduler');
+const { startPrewarmScheduler } = require('./src/services/prewarmScheduler');
+const { logger } = require('./src/utils/logger');
+const spec = require('./src/openapi/spec');
+const { findDrift } = require('./src/openapi/drift');
+const { findConfigurationProblem } = require('./src/config/environment');
+
+const PORT = process.env.PORT || 9090;
 
 // Check for required environment variables
 function checkEnvironment() {
-  const apiKey = process.env.WEATHER_API_KEY;
-  
-  if (!apiKey) {
-    console.error('\n❌ ERROR: API key not configured!');
-    console.error('Please set the WEATHER_API_KEY in your .env file');
-    return false;
-  }
+  const problem = findConfigurationProblem();
   
-  if (apiKey === 'ABC123XYZ456') {
-    console.error('\n❌ ERROR: You are using a placeholder API key!');
-    console.error('Please sign up for a free account at https://www.visualcrossing.com/weather-api');
-    console.error('Then update your .env file with your actual API key');
+  if (problem) {
+    logger.error(problem);
     return false;
   }
   
   return true;
 }
 
-// Initialize express app
-const app = express();
-const PORT = process.env.PORT || 9090;
-
-// Apply middlewares
-app.use(helmet()); // Security headers
-app.use(cors()); // Enable CORS
-app.use(express.json()); // Parse JSON bodies
-
-// Apply rate limiting
-app.use(rateLimiter);
-
-// Health check route
-app.get('/health', (req, res) => {
-  res.status(200).json({
-    status: 'UP',
-    message: 'Weather API is running',
-    timestamp: new Date().toISOString(),
-    cache: {
-      type: 'node-cache',
-      enabled: !!cacheClient
-    }
-  });
-});
-
-// API routes
-app.use('/api/weather', weatherRoutes);
-
-// Default route for API documentation
-app.get('/', (req, res) => {
-  res.json({
-    message: 'Welcome to the Weather API',
-    endpoints: {
-      health: '/health',
-      weather: '/api/weather/:location',
-      current: '/api/weather/:location/current',
-      forecast: '/api/weather/:location/forecast'
-    },
-    documentation: 'See README.md for detailed usage information',
-    alternativeUsage: 'If you experience connectivity issues, try the CLI version with: npm run cli'
-  });
-});
-
-// Error handling middleware
-app.use((req, res, next) => {
-  res.status(404).json({
-    error: true,
-    message: `Route ${req.originalUrl} not found`
-  });
-});
-
-app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err.stack);
-  res.status(500).json({
-    error: true,
-    message: 'Internal server error'
-  });
-});
-
 // Try different ports if the primary port is unavailable
 function startServerOnAvailablePort(ports, index = 0) {
   if (index >= ports.length) {
-    console.error('\n❌ Could not start server on any of the specified ports.');
-    console.error('You can still use the CLI version with: npm run cli');
+    logger.error('could not start server on any of the specified ports, the CLI still works: npm run cli', { ports });
     process.exit(1);
     return;
   }
@@ -98,37 +34,47 @@ function startServerOnAvailablePort(ports, index = 0) {
   
   try {
     const server = app.listen(port, () => {
-      console.log('\n===================================');
-      console.log('       WEATHER API SERVER');
-      console.log('===================================\n');
-      console.log(`⚡️ Server running on http://localhost:${port}`);
-      console.log(`Try visiting http://localhost:${port}/health in your browser`);
-      console.log('');
-      console.log('If you have connectivity issues, use the CLI version:');
-      console.log('npm run cli');
+      logger.info('server started', { port, url: `http://localhost:${port}`, health: `http://localhost:${port}/health` });
+      
+      startAlertScheduler();
+      startPrewarmScheduler();
     });
     
+    // WebSocket streams of current conditions
+    attachStreamSocket(server);
+    
     server.on('error', (err) => {
       if (err.code === 'EADDRINUSE') {
-        console.log(`\n⚠️ Port ${port} is already in use, trying next port...`);
+        logger.warn('port already in use, trying next port', { port });
         startServerOnAvailablePort(ports, index + 1);
       } else {
-        console.error(`\n❌ Error starting server on port ${port}:`, err.message);
+        logger.error('error starting server', { port, error: err });
         startServerOnAvailablePort(ports, index + 1);
       }
     });
   } catch (err) {
-    console.error(`\n❌ Failed to start server on port ${port}:`, err.message);
+    logger.error('failed to start server', { port, error: err });
     startServerOnAvailablePort(ports, index + 1);
   }
 }
 
-// Start the server if environment check passes
-if (checkEnvironment()) {
+// Refuse to start when the routes and the OpenAPI document disagree
+function checkContract() {
+  const { undocumented, unrouted } = findDrift(app, spec);
+  
+  if (undocumented.length > 0 || unrouted.length > 0) {
+    logger.error('routes do not match the OpenAPI document in src/openapi/spec.js', { undocumented, unrouted });
+    return false;
+  }
+  
+  return true;
+}
+
+// Start the server if environment and contract checks pass
+if (checkEnvironment() && checkContract()) {
   const portOptions = [PORT, 8080, 3000, 5000, 9090, 9091, 9092];
   startServerOnAvailablePort(portOptions);
 } else {
-  console.error('\n❌ Server not started due to configuration issues');
-  console.error('Please fix the issues above and try again.');
+  logger.error('server not started due to configuration issues');
   process.exit(1);
 } 
\ No newline at end of file
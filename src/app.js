@@ -0,0 +1,103 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const compression = require('compression');
+const swaggerUi = require('swagger-ui-express');
+const weatherRoutes = require('./routes/weatherRoutes');
+const subscriptionRoutes = require('./routes/subscriptionRoutes');
+const profileRoutes = require('./routes/profileRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const { getPrewarmStatus } = require('./services/prewarmScheduler');
+const { getStreamStats } = require('./services/streamHub');
+const { rateLimiter } = require('./middleware/rateLimiter');
+const { apiKeyAuth } = require('./middleware/apiKeyAuth');
+const { requestMetrics } = require('./middleware/requestMetrics');
+const { register } = require('./utils/metrics');
+const asyncHandler = require('./utils/asyncHandler');
+const accessLog = require('./middleware/accessLog');
+const requestId = require('./middleware/requestId');
+const { notFoundHandler, errorHandler } = require('./middleware/errorHandler');
+const { cacheBackend } = require('./config/cache');
+const { getCoalescingStats, getLookupStats } = require('./services/weatherService');
+const { providerNames, getBudgetStats, getCircuitStats } = require('./providers');
+const spec = require('./openapi/spec');
+
+// The Express app with every route registered; index.js starts it and
+// tests mount it on a server of their own
+const app = express();
+const compressResponses = process.env.COMPRESSION !== 'false'; // gzip/brotli responses for clients that accept it
+
+// Weak ETags over the response body; If-None-Match is answered with 304
+app.set('etag', 'weak');
+
+// Apply middlewares
+app.use(requestId); // Tag every request with an ID
+app.use(accessLog); // Log every request with its latency
+app.use(requestMetrics); // Count and time every request
+app.use(helmet()); // Security headers
+if (compressResponses) app.use(compression()); // Compress responses (brotli or gzip)
+app.use(cors({ exposedHeaders: ['Age', 'ETag', 'X-Cache', 'X-Weather-Provider', 'X-Request-Id', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy'] })); // Enable CORS, let browsers read cache headers
+app.use(express.json()); // Parse JSON bodies
+
+// Prometheus metrics, scraped without an API key or quota
+app.get('/metrics', asyncHandler(async (req, res) => {
+  res.set('Content-Type', register.contentType);
+  res.send(await register.metrics());
+}));
+
+// OpenAPI document and interactive docs, readable without an API key
+app.get('/openapi.json', (req, res) => {
+  res.json(spec);
+});
+app.use('/docs', swaggerUi.serve, swaggerUi.setup(spec));
+
+// Identify the client and apply its plan's quotas
+app.use(apiKeyAuth);
+app.use(rateLimiter);
+
+// Health check route
+app.get('/health', (req, res) => {
+  res.status(200).json({
+    status: 'UP',
+    message: 'Weather API is running',
+    timestamp: new Date().toISOString(),
+    cache: {
+      type: cacheBackend,
+      ...getLookupStats()
+    },
+    upstream: {
+      providers: providerNames,
+      ...getCoalescingStats(),
+      circuits: getCircuitStats(),
+      budget: getBudgetStats()
+    },
+    prewarm: getPrewarmStatus(),
+    streams: getStreamStats()
+  });
+});
+
+// API routes
+app.use('/api/weather', weatherRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/profile', profileRoutes);
+app.use('/admin', adminRoutes);
+
+// Default route listing the documented endpoints
+app.get('/', (req, res) => {
+  const endpoints = Object.fromEntries(Object.entries(spec.paths).flatMap(([path, pathItem]) => Object.entries(pathItem)
+    .map(([method, operation]) => [`${method.toUpperCase()} ${path}`, operation.summary])));
+  
+  res.json({
+    message: 'Welcome to the Weather API',
+    endpoints,
+    documentation: '/docs',
+    openapi: '/openapi.json',
+    alternativeUsage: 'If you experience connectivity issues, try the CLI version with: npm run cli'
+  });
+});
+
+// Error handling middleware
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+module.exports = app;
@@ -0,0 +1,159 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Create a file-backed cache backend that survives restarts.
+ * Every entry is stored as one JSON file named after a hash of its key.
+ * @param {Object} options - Backend options
+ * @param {string} options.dir - Directory that holds the cache files
+ * @param {Function} [options.onExpire] - Called with the key of every entry that expires
+ * @param {number} [options.maxBytes] - Size limit of the directory; the entries written
+ *                                      longest ago are removed to stay under it (0 = no limit)
+ * @param {Function} [options.onEvict] - Called with the number of entries removed for the size limit
+ * @returns {Object} - Cache backend
+ */
+const createFileBackend = ({ dir, onExpire = () => {}, maxBytes = 0, onEvict = () => {} }) => {
+  let ready = null;
+
+  // Create the cache directory once, on first use
+  const ensureDir = () => {
+    if (!ready) {
+      ready = fs.mkdir(dir, { recursive: true });
+    }
+    return ready;
+  };
+
+  const fileFor = (key) => {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(dir, `${hash}.json`);
+  };
+
+  const readEntry = async (file) => {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const removeFile = async (file) => {
+    try {
+      await fs.unlink(file);
+      return 1;
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+  };
+
+  // Read every live entry along with its file size
+  const readAll = async () => {
+    let files;
+    try {
+      files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = [];
+    for (const name of files) {
+      const file = path.join(dir, name);
+      const entry = await readEntry(file);
+
+      if (entry && !(entry.expiresAt && entry.expiresAt <= Date.now())) {
+        const { size } = await fs.stat(file).catch(() => ({ size: 0 }));
+        entries.push({ ...entry, size });
+      }
+    }
+    return entries;
+  };
+
+  // Remove the entries written longest ago until the directory fits in
+  // maxBytes. Only file sizes and times are read, not the entries.
+  const enforceSizeLimit = async () => {
+    const names = await fs.readdir(dir).catch(() => []);
+    const files = [];
+    for (const name of names.filter(item => item.endsWith('.json'))) {
+      const file = path.join(dir, name);
+      const stat = await fs.stat(file).catch(() => null);
+      if (stat) files.push({ file, size: stat.size, mtime: stat.mtimeMs });
+    }
+
+    let total = files.reduce((sum, item) => sum + item.size, 0);
+    if (total <= maxBytes) return;
+
+    let evicted = 0;
+    for (const item of files.sort((a, b) => a.mtime - b.mtime)) {
+      if (total <= maxBytes) break;
+      evicted += await removeFile(item.file);
+      total -= item.size;
+    }
+
+    if (evicted > 0) onEvict(evicted);
+  };
+
+  return {
+    name: 'file',
+
+    get: async (key) => {
+      const file = fileFor(key);
+      const entry = await readEntry(file);
+
+      if (!entry) return null;
+
+      if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        if (await removeFile(file)) onExpire(key);
+        return null;
+      }
+
+      return entry.value;
+    },
+
+    set: async (key, value, ttlSeconds) => {
+      await ensureDir();
+
+      const file = fileFor(key);
+      const entry = {
+        key,
+        value,
+        storedAt: Date.now(),
+        expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null
+      };
+
+      // Write to a temp file first so readers never see a partial entry
+      const tempFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      await fs.writeFile(tempFile, JSON.stringify(entry));
+      await fs.rename(tempFile, file);
+
+      if (maxBytes > 0) await enforceSizeLimit();
+    },
+
+    del: async (key) => removeFile(fileFor(key)),
+
+    flushAll: async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+      ready = null;
+    },
+
+    keys: async () => (await readAll()).map(entry => entry.key),
+
+    ttl: async (key) => {
+      const entry = await readEntry(fileFor(key));
+      if (!entry || (entry.expiresAt && entry.expiresAt <= Date.now())) return -2;
+      if (!entry.expiresAt) return -1;
+      return Math.round((entry.expiresAt - Date.now()) / 1000);
+    },
+
+    stats: async () => {
+      const entries = await readAll();
+      return { keys: entries.length, bytes: entries.reduce((total, entry) => total + entry.size, 0) };
+    },
+
+    close: async () => {}
+  };
+};
+
+module.exports = createFileBackend;
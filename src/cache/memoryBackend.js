@@ -0,0 +1,65 @@
+const NodeCache = require('node-cache');
+const { logger } = require('../utils/logger');
+
+/**
+ * Create an in-memory cache backend (process-local, lost on restart)
+ * @param {Object} options - Backend options
+ * @param {number} options.ttl - Default time to live in seconds
+ * @param {Function} [options.onExpire] - Called with the key of every entry that expires
+ * @returns {Object} - Cache backend
+ */
+const createMemoryBackend = ({ ttl, onExpire = () => {} }) => {
+  // Create a cache with default settings
+  const cache = new NodeCache({
+    stdTTL: ttl, // default time to live in seconds
+    checkperiod: ttl * 0.2, // check for expired keys every 20% of TTL
+    useClones: false, // don't clone data for better performance with large objects
+  });
+
+  // Log keys as they expire or are deleted
+  cache.on('del', (key) => {
+    logger.debug('cache key expired or deleted', { cacheKey: key });
+  });
+
+  cache.on('expired', (key) => onExpire(key));
+
+  return {
+    name: 'memory',
+
+    get: async (key) => {
+      const value = cache.get(key);
+      return value !== undefined ? value : null;
+    },
+
+    set: async (key, value, ttlSeconds) => {
+      cache.set(key, value, ttlSeconds);
+    },
+
+    del: async (key) => cache.del(key),
+
+    flushAll: async () => {
+      cache.flushAll();
+    },
+
+    keys: async () => cache.keys(),
+
+    ttl: async (key) => {
+      // node-cache returns 0 for keys without expiry and undefined for missing keys
+      const expiresAt = cache.getTtl(key);
+      if (expiresAt === undefined) return -2;
+      if (expiresAt === 0) return -1;
+      return Math.max(0, Math.round((expiresAt - Date.now()) / 1000));
+    },
+
+    stats: async () => {
+      const { keys, ksize, vsize } = cache.getStats();
+      return { keys, bytes: ksize + vsize };
+    },
+
+    close: async () => {
+      cache.close();
+    }
+  };
+};
+
+module.exports = createMemoryBackend;
@@ -0,0 +1,118 @@
+const { createClient } = require('redis');
+const { logger } = require('../utils/logger');
+
+// Load environment variables
+const connectTimeout = parseInt(process.env.REDIS_CONNECT_TIMEOUT_MS) || 2000; // give up on a connection attempt after this long
+const maxReconnects = parseInt(process.env.REDIS_MAX_RECONNECTS) || 3; // attempts before a command fails, so an outage reads as cache misses
+
+/**
+ * How long to wait before reconnecting: a short backoff, then an error
+ * that closes the client until the next command connects it again
+ * @param {number} retries - Reconnection attempts so far
+ * @param {Error} cause - Why the connection was lost
+ * @returns {number|Error} - Delay in ms, or the error to give up with
+ */
+const reconnectStrategy = (retries, cause) => {
+  if (retries >= maxReconnects) return cause;
+  return Math.min(100 * 2 ** retries, 1000);
+};
+
+/**
+ * Create a cache backend that talks the Redis protocol, so several
+ * API instances can share one cache. Works with Redis itself or any
+ * server speaking RESP (KeyDB, Dragonfly, a local stand-in, ...).
+ * @param {Object} options - Backend options
+ * @param {string} options.url - Server URL, e.g. redis://localhost:6379
+ * @param {string} options.prefix - Prefix applied to every key
+ * @returns {Object} - Cache backend
+ */
+const createRedisBackend = ({ url, prefix }) => {
+  // Without an offline queue, commands fail at once while the server is
+  // unreachable instead of waiting for a connection that may never come
+  const client = createClient({
+    url,
+    disableOfflineQueue: true,
+    socket: { connectTimeout, reconnectStrategy }
+  });
+  let connecting = null;
+
+  client.on('error', (error) => {
+    logger.error('redis cache error', { error });
+  });
+
+  // Connect lazily so the server can start before the cache is reachable,
+  // and again once the client gave up reconnecting
+  const connected = () => {
+    if (!connecting || !client.isOpen) {
+      connecting = client.connect().catch((error) => {
+        connecting = null;
+        throw error;
+      });
+    }
+    return connecting;
+  };
+
+  // Iterate over our own keys, with the prefix still attached
+  const ownKeys = async () => {
+    await connected();
+    const keys = [];
+    for await (const key of client.scanIterator({ MATCH: `${prefix}*` })) {
+      keys.push(key);
+    }
+    return keys;
+  };
+
+  return {
+    name: 'redis',
+
+    get: async (key) => {
+      await connected();
+      const raw = await client.get(prefix + key);
+      return raw !== null ? JSON.parse(raw) : null;
+    },
+
+    set: async (key, value, ttlSeconds) => {
+      await connected();
+      await client.set(prefix + key, JSON.stringify(value), ttlSeconds ? { EX: ttlSeconds } : {});
+    },
+
+    del: async (key) => {
+      await connected();
+      return client.del(prefix + key);
+    },
+
+    flushAll: async () => {
+      // Only remove our own keys; the server may be shared with other apps
+      for (const key of await ownKeys()) {
+        await client.del(key);
+      }
+    },
+
+    keys: async () => (await ownKeys()).map(key => key.slice(prefix.length)),
+
+    ttl: async (key) => {
+      await connected();
+      return client.ttl(prefix + key);
+    },
+
+    stats: async () => {
+      const keys = await ownKeys();
+      let bytes = 0;
+
+      for (const key of keys) {
+        bytes += await client.strLen(key);
+      }
+
+      return { keys: keys.length, bytes };
+    },
+
+    close: async () => {
+      // QUIT needs a connection; while reconnecting, just stop trying
+      if (client.isReady) await client.quit();
+      else if (client.isOpen) await client.disconnect();
+      connecting = null;
+    }
+  };
+};
+
+module.exports = createRedisBackend;
@@ -0,0 +1,72 @@
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Split command line arguments into positionals and options. Options
+ * take the forms --name value, --name=value and --flag.
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Object} definitions - Known options by name, as { type: 'string'|'boolean' }
+ * @returns {Object} - { positionals, options }
+ */
+const parseArgs = (argv, definitions) => {
+  const positionals = [];
+  const options = {};
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+
+    // Everything after -- is positional, e.g. locations starting with a dash
+    if (arg === '--') {
+      positionals.push(...argv.slice(index + 1));
+      break;
+    }
+
+    if (!arg.startsWith('--') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    const definition = definitions[name];
+
+    if (!definition) {
+      throw new ValidationError(`Unknown option --${name}`, { details: { parameter: name } });
+    }
+
+    if (definition.type === 'boolean') {
+      if (inline !== undefined) {
+        throw new ValidationError(`Option --${name} does not take a value`, { details: { parameter: name } });
+      }
+      options[name] = true;
+      continue;
+    }
+
+    const value = inline !== undefined ? inline : argv[++index];
+    if (value === undefined || value === '') {
+      throw new ValidationError(`Option --${name} needs a value`, { details: { parameter: name } });
+    }
+    options[name] = value;
+  }
+
+  return { positionals, options };
+};
+
+/**
+ * Parse a positive whole number option
+ * @param {string} value - Option value
+ * @param {string} name - Option name, for the error message
+ * @returns {number|undefined} - Number, or undefined when not given
+ */
+const parsePositiveInteger = (value, name) => {
+  if (value === undefined) return undefined;
+
+  if (!/^\d+$/.test(value) || parseInt(value) < 1) {
+    throw new ValidationError(`Option --${name} must be a positive whole number`, { details: { parameter: name } });
+  }
+
+  return parseInt(value);
+};
+
+module.exports = {
+  parseArgs,
+  parsePositiveInteger
+};
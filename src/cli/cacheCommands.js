@@ -0,0 +1,70 @@
+const { cacheClient } = require('../config/cache');
+const { listEntries, invalidate, flush } = require('../services/cacheAdminService');
+const { formatAge, table } = require('./render');
+
+/**
+ * List the cached locations, with how old their newest data is and
+ * when their last entry expires
+ * @returns {Promise<Object>} - { body, text }
+ */
+const listCachedLocations = async () => {
+  const locations = new Map();
+
+  for (const { key, location, ttl } of await listEntries()) {
+    if (location === null) continue;
+
+    const entry = await cacheClient.get(key);
+    if (!entry || !entry.fetchedAt) continue;
+
+    const item = locations.get(location) || { location, entries: 0, fetchedAt: 0, expiresIn: 0 };
+    item.entries++;
+    item.fetchedAt = Math.max(item.fetchedAt, entry.fetchedAt);
+    item.expiresIn = Math.max(item.expiresIn, ttl);
+    locations.set(location, item);
+  }
+
+  const body = {
+    locations: [...locations.values()].map(item => ({
+      location: item.location,
+      entries: item.entries,
+      fetchedAt: new Date(item.fetchedAt).toISOString(),
+      age: Math.floor((Date.now() - item.fetchedAt) / 1000),
+      expiresIn: item.expiresIn
+    }))
+  };
+
+  const text = () => {
+    if (body.locations.length === 0) return 'The cache is empty';
+
+    return table([
+      ['Location', 'Entries', 'Fetched', 'Kept for'],
+      ...body.locations.map(item => [item.location, String(item.entries), `${formatAge(item.age)} ago`, formatAge(item.expiresIn)])
+    ]);
+  };
+
+  return { body, text };
+};
+
+/**
+ * Remove the cached data of locations matching a glob, or everything
+ * @param {string} [location] - Location or glob such as "lon*"
+ * @returns {Promise<Object>} - { body, text }
+ */
+const clearCache = async (location) => {
+  if (!location) {
+    await flush();
+    return { body: { cleared: 'all' }, text: () => 'Cleared the cache' };
+  }
+
+  const removed = await invalidate({ location });
+
+  return {
+    body: { removed },
+    text: () => `Removed ${removed.length} cache ${removed.length === 1 ? 'entry' : 'entries'} for ${location}`
+  };
+};
+
+module.exports = {
+  listCachedLocations,
+  clearCache
+};
@@ -0,0 +1,153 @@
+const { getWeatherDataWithMeta } = require('../services/weatherService');
+const { forecastParams, getHourly } = require('../services/hourlyService');
+const { getHistory } = require('../services/historyService');
+const { UNIT_GROUPS, parseUnitGroup } = require('../services/unitConverter');
+const { ValidationError } = require('../utils/errors');
+const { parsePositiveInteger } = require('./args');
+const { DAY_COLUMNS, HOUR_COLUMNS } = require('../formatters/columns');
+const { renderCurrent, renderDays, renderHours } = require('./render');
+
+/**
+ * Fields shared by every view, as in the REST responses
+ * @param {Object} weatherData - Weather data
+ * @returns {Object} - Location, coordinates and time zone
+ */
+const describeLocation = (weatherData) => ({
+  location: weatherData.resolvedAddress || weatherData.address,
+  coordinates: {
+    latitude: weatherData.latitude,
+    longitude: weatherData.longitude
+  },
+  timezone: weatherData.timezone
+});
+
+/**
+ * Add the location to every CSV row, as the REST API does
+ * @param {string} location - Location name
+ * @param {Array<Object>} rows - Days or hours
+ * @returns {Array<Object>} - Rows
+ */
+const withLocation = (location, rows) => rows.map(row => ({ location, ...row }));
+
+/**
+ * Subcommands that fetch weather for a location. Each returns the body
+ * the matching REST route would send, plus how to print it as text and
+ * CSV.
+ */
+const commands = {
+  current: {
+    summary: 'Current conditions',
+    options: [],
+    run: async (location, { units }, cacheOptions) => {
+      const { data, cache } = await getWeatherDataWithMeta(location, { include: 'current', unitGroup: units }, cacheOptions);
+      const body = { ...describeLocation(data), current: data.currentConditions, provider: data.provider };
+
+      return {
+        body,
+        cache,
+        text: () => renderCurrent(body, data.unitGroup),
+        csv: () => ({ columns: HOUR_COLUMNS, rows: withLocation(body.location, [body.current]) })
+      };
+    }
+  },
+
+  forecast: {
+    summary: 'Daily forecast',
+    options: ['days'],
+    run: async (location, { units, days }, cacheOptions) => {
+      const count = parsePositiveInteger(days, 'days');
+      const { data, cache } = await getWeatherDataWithMeta(location, forecastParams(units), cacheOptions);
+      const body = {
+        ...describeLocation(data),
+        days: data.days.map(({ hours, ...day }) => day).slice(0, count),
+        provider: data.provider
+      };
+
+      return {
+        body,
+        cache,
+        text: () => renderDays(body, data.unitGroup),
+        csv: () => ({ columns: DAY_COLUMNS, rows: withLocation(body.location, body.days) })
+      };
+    }
+  },
+
+  hourly: {
+    summary: 'Hourly forecast for the next N hours or a local time window',
+    options: ['hours', 'from', 'to'],
+    run: async (location, { units, hours, from, to }, cacheOptions) => {
+      const { data, cache, hours: selected } = await getHourly(location, { unitGroup: units, hours, from, to }, cacheOptions);
+      const body = { ...describeLocation(data), hours: selected, provider: data.provider };
+
+      return {
+        body,
+        cache,
+        text: () => renderHours(body, data.unitGroup),
+        csv: () => ({ columns: HOUR_COLUMNS, rows: withLocation(body.location, body.hours) })
+      };
+    }
+  },
+
+  history: {
+    summary: 'Historical daily weather',
+    options: ['from', 'to'],
+    run: async (location, { units, from, to }, cacheOptions) => {
+      const { data, cache } = await getHistory(location, { from, to, unitGroup: units }, cacheOptions);
+      const body = {
+        ...describeLocation(data),
+        from: data.startDate,
+        to: data.endDate,
+        days: data.days,
+        provider: data.provider
+      };
+
+      return {
+        body,
+        cache,
+        text: () => renderDays(body, data.unitGroup),
+        csv: () => ({ columns: DAY_COLUMNS, rows: withLocation(body.location, body.days) })
+      };
+    }
+  }
+};
+
+/**
+ * Refer to a saved location by its bare name too, so "weather current
+ * home" works like "weather current @home"
+ * @param {string} location - Location as typed
+ * @param {Object} profile - Profile with the saved locations
+ * @returns {string} - Location for the service layer
+ */
+const savedLocationReference = (location, profile) => {
+  const name = location.trim().toLowerCase();
+  return !name.startsWith('@') && profile.locations[name] ? `@${name}` : location;
+};
+
+/**
+ * Run a weather subcommand
+ * @param {string} name - Command name
+ * @param {string} location - Location, or the name of a saved location
+ * @param {Object} options - Parsed options; with `offline` only cached data is used
+ * @param {Object} profile - Saved locations and preferences (preferences
+ * apply when the matching option is not given)
+ * @returns {Promise<Object>} - { body, cache, text, csv }
+ */
+const runCommand = (name, location, options, profile) => {
+  if (options.units !== undefined && !UNIT_GROUPS[options.units.toLowerCase()]) {
+    throw new ValidationError(`Option --units must be one of ${Object.keys(UNIT_GROUPS).join(', ')}`, { details: { parameter: 'units' } });
+  }
+
+  const units = parseUnitGroup(options.units !== undefined ? options.units : profile.units || undefined);
+  const days = options.days === undefined && profile.forecastDays ? String(profile.forecastDays) : options.days;
+
+  return commands[name].run(
+    savedLocationReference(location, profile),
+    { ...options, units, days },
+    { offline: Boolean(options.offline), profile }
+  );
+};
+
+module.exports = {
+  commands,
+  runCommand
+};
@@ -0,0 +1,24 @@
+const { readJson, writeJson } = require('../utils/jsonFile');
+const { emptyProfile } = require('../services/profileService');
+const { cliConfigFile } = require('./environment');
+
+/**
+ * Load the CLI's profile: saved locations and preferences
+ * @returns {Promise<Object>} - Profile (empty if there is no config file)
+ */
+const loadProfile = async () => {
+  const stored = await readJson(cliConfigFile(), {});
+  return { ...emptyProfile(), ...stored, locations: { ...stored.locations } };
+};
+
+/**
+ * Store the CLI's profile
+ * @param {Object} profile - Profile
+ * @returns {Promise<void>}
+ */
+const saveProfile = (profile) => writeJson(cliConfigFile(), profile);
+
+module.exports = {
+  loadProfile,
+  saveProfile
+};
@@ -0,0 +1,59 @@
+const os = require('os');
+const path = require('path');
+
+// Default size limit of the CLI's cache directory
+const DEFAULT_CLI_CACHE_MAX_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Directory for the CLI's cache, following the XDG base directory spec
+ * (%LOCALAPPDATA% on Windows). CLI_CACHE_DIR overrides it.
+ * @returns {string} - Cache directory
+ */
+const cliCacheDir = () => {
+  if (process.env.CLI_CACHE_DIR) return process.env.CLI_CACHE_DIR;
+
+  const base = process.env.XDG_CACHE_HOME
+    || (process.platform === 'win32' && process.env.LOCALAPPDATA)
+    || path.join(os.homedir(), '.cache');
+
+  return path.join(base, 'weather-api');
+};
+
+/**
+ * File holding the CLI's saved locations and preferences, following the
+ * XDG base directory spec (%APPDATA% on Windows). CLI_CONFIG_FILE
+ * overrides it.
+ * @returns {string} - Config file
+ */
+const cliConfigFile = () => {
+  if (process.env.CLI_CONFIG_FILE) return process.env.CLI_CONFIG_FILE;
+
+  const base = process.env.XDG_CONFIG_HOME
+    || (process.platform === 'win32' && process.env.APPDATA)
+    || path.join(os.homedir(), '.config');
+
+  return path.join(base, 'weather-api', 'config.json');
+};
+
+/**
+ * Configure the shared modules for command line use. Must run before
+ * they are loaded, since they read their settings on load:
+ * - every run shares one file cache, so cached data outlives the process
+ * - stale data is refreshed before answering, since the process exits
+ *   right after (it is still used when the refresh fails)
+ * - stdout is kept for the command's output, and only errors are logged
+ */
+const configureEnvironment = () => {
+  process.env.CACHE_BACKEND = 'file';
+  process.env.CACHE_DIR = cliCacheDir();
+  process.env.CACHE_MAX_BYTES = process.env.CLI_CACHE_MAX_BYTES || String(DEFAULT_CLI_CACHE_MAX_BYTES);
+  process.env.CACHE_STALE_WHILE_REVALIDATE = 'false';
+
+  process.env.LOG_DESTINATION = process.env.LOG_DESTINATION || 'stderr';
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+};
+
+module.exports = {
+  cliConfigFile,
+  configureEnvironment
+};
@@ -0,0 +1,241 @@
+const { parseArgs } = require('./args');
+const { commands, runCommand } = require('./commands');
+const { startRepl } = require('./repl');
+const { listCachedLocations, clearCache } = require('./cacheCommands');
+const { runLocationsCommand, runConfigCommand } = require('./profileCommands');
+const { loadProfile } = require('./config');
+const { formatAge } = require('./render');
+const { toCsv } = require('../formatters/csv');
+const { findConfigurationProblem } = require('../config/environment');
+const { ApiError, ValidationError, toApiError } = require('../utils/errors');
+
+// Exit codes, so scripts can tell failures apart
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1, // unexpected error
+  USAGE: 2, // invalid command, option or value
+  NOT_FOUND: 3, // unknown location
+  UPSTREAM: 4, // the weather provider failed, timed out or is out of quota
+  CONFIG: 5, // missing or rejected WEATHER_API_KEY
+  NOT_CACHED: 6 // --offline and nothing cached
+};
+
+// Exit code for each API error code
+const ERROR_EXIT_CODES = {
+  VALIDATION_ERROR: EXIT_CODES.USAGE,
+  NOT_FOUND: EXIT_CODES.NOT_FOUND,
+  UPSTREAM_UNAVAILABLE: EXIT_CODES.UPSTREAM,
+  UPSTREAM_TIMEOUT: EXIT_CODES.UPSTREAM,
+  UPSTREAM_QUOTA: EXIT_CODES.UPSTREAM,
+  UPSTREAM_AUTH: EXIT_CODES.CONFIG,
+  NOT_CACHED: EXIT_CODES.NOT_CACHED
+};
+
+// Options every weather command accepts
+const COMMON_OPTIONS = {
+  units: { type: 'string', value: 'GROUP', description: 'Unit group: metric (default), us or uk' },
+  json: { type: 'boolean', description: 'Print JSON, as returned by the REST API' },
+  csv: { type: 'boolean', description: 'Print CSV, as returned by the REST API' },
+  offline: { type: 'boolean', description: 'Answer from the cache only, however old' },
+  help: { type: 'boolean', description: 'Show help' }
+};
+
+// Options some weather commands accept
+const COMMAND_OPTIONS = {
+  days: { type: 'string', value: 'N', description: 'Number of days to show' },
+  hours: { type: 'string', value: 'N', description: 'Number of hours to show (default 24)' },
+  from: { type: 'string', value: 'DATE', description: 'Start date (history: YYYY-MM-DD, yesterday or lastNdays; hourly: YYYY-MM-DD[THH:mm])' },
+  to: { type: 'string', value: 'DATE', description: 'End date' }
+};
+
+/**
+ * Usage text for the whole CLI or one command
+ * @param {string} [name] - Command name
+ * @returns {string} - Usage text
+ */
+const usage = (name) => {
+  const describeOption = (option, { value, description }) => `  --${option}${value ? ` ${value}` : ''}`.padEnd(20) + description;
+
+  if (commands[name]) {
+    return [
+      `Usage: weather ${name} <location> [options]`,
+      '',
+      commands[name].summary,
+      '',
+      'Options:',
+      ...commands[name].options.map(option => describeOption(option, COMMAND_OPTIONS[option])),
+      ...Object.entries(COMMON_OPTIONS).map(([option, definition]) => describeOption(option, definition))
+    ].join('\n');
+  }
+
+  return [
+    'Usage: weather <command> <location> [options]',
+    '',
+    'A location is a city name, zip code, coordinates or the name of a saved location.',
+    '',
+    'Commands:',
+    ...Object.entries(commands).map(([command, { summary }]) => `  ${command.padEnd(18)}${summary}`),
+    `  ${'cache list'.padEnd(18)}List cached locations`,
+    `  ${'cache clear [loc]'.padEnd(18)}Remove cached data of a location (a glob such as lon*) or all`,
+    `  ${'locations'.padEnd(18)}List saved locations`,
+    `  ${'locations add'.padEnd(18)}Save a location under a name: locations add <name> <location>`,
+    `  ${'locations remove'.padEnd(18)}Remove a saved location: locations remove <name>`,
+    `  ${'config'.padEnd(18)}Show the default units and forecast days`,
+    `  ${'config set|unset'.padEnd(18)}Change a default: config set units us, config unset days`,
+    `  ${'repl'.padEnd(18)}Interactive mode`,
+    '',
+    'Run weather <command> --help for the options of a command.',
+    '',
+    'Exit codes: 0 success, 1 unexpected error, 2 invalid arguments, 3 unknown location,',
+    '4 weather provider unavailable, 5 API key missing or rejected, 6 not cached (--offline)'
+  ].join('\n');
+};
+
+/**
+ * Report an error on stderr, as JSON when JSON output was asked for
+ * @param {Error} error - Error
+ * @param {boolean} json - Whether to print the JSON error envelope
+ * @returns {number} - Exit code
+ */
+const reportError = (error, json) => {
+  const apiError = toApiError(error);
+  // Unexpected errors are not hidden behind "Internal server error" on the command line
+  const message = error instanceof ApiError ? apiError.message : error.message;
+
+  if (json) {
+    process.stderr.write(`${JSON.stringify({ error: true, code: apiError.code, message, details: apiError.details })}\n`);
+  } else {
+    process.stderr.write(`Error: ${message}\n`);
+  }
+
+  return ERROR_EXIT_CODES[apiError.code] || EXIT_CODES.ERROR;
+};
+
+/**
+ * Print a command's result in the requested format
+ * @param {Object} result - { body, text, csv }
+ * @param {Object} options - Parsed options
+ */
+const printResult = (result, options) => {
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify(result.body, null, 2)}\n`);
+  } else if (options.csv) {
+    const { columns, rows } = result.csv();
+    process.stdout.write(toCsv(columns, rows));
+  } else {
+    process.stdout.write(`${result.text()}\n`);
+  }
+};
+
+/**
+ * Run a cache subcommand: list, or clear [location]
+ * @param {Array<string>} positionals - Subcommand and its arguments
+ * @param {Object} options - Parsed options
+ * @returns {Promise<number>} - Exit code
+ */
+const runCacheCommand = async ([subcommand, ...args], options) => {
+  if (subcommand === 'list' && args.length === 0) {
+    printResult(await listCachedLocations(), options);
+    return EXIT_CODES.OK;
+  }
+
+  if (subcommand === 'clear') {
+    printResult(await clearCache(args.join(' ')), options);
+    return EXIT_CODES.OK;
+  }
+
+  throw new ValidationError('Usage: weather cache list | weather cache clear [location]');
+};
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} - Exit code
+ */
+const run = async (argv) => {
+  const [name, ...rest] = argv;
+
+  if (!name) {
+    process.stderr.write(`${usage()}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (name === 'help' || name === '--help') {
+    process.stdout.write(`${usage(rest[0])}\n`);
+    return EXIT_CODES.OK;
+  }
+
+  if (!['repl', 'cache', 'locations', 'config'].includes(name) && !commands[name]) {
+    process.stderr.write(`Unknown command: ${name}\n\n${usage()}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  const definitions = ['cache', 'locations', 'config'].includes(name)
+    ? { json: COMMON_OPTIONS.json, help: COMMON_OPTIONS.help }
+    : { ...COMMON_OPTIONS };
+  (commands[name] ? commands[name].options : []).forEach(option => {
+    definitions[option] = COMMAND_OPTIONS[option];
+  });
+
+  let json = argv.includes('--json');
+
+  try {
+    const { positionals, options } = parseArgs(rest, definitions);
+    json = Boolean(options.json);
+
+    if (options.help) {
+      process.stdout.write(`${usage(name)}\n`);
+      return EXIT_CODES.OK;
+    }
+
+    if (options.json && options.csv) {
+      throw new ValidationError('Choose either --json or --csv');
+    }
+
+    if (name === 'cache') {
+      return await runCacheCommand(positionals, options);
+    }
+
+    if (name === 'locations' || name === 'config') {
+      printResult(await (name === 'locations' ? runLocationsCommand : runConfigCommand)(positionals), options);
+      return EXIT_CODES.OK;
+    }
+
+    // Offline runs never reach the provider, so they work without an API key
+    const problem = options.offline ? null : findConfigurationProblem();
+    if (problem) {
+      process.stderr.write(`Error: ${problem}\n`);
+      return EXIT_CODES.CONFIG;
+    }
+
+    if (name === 'repl') {
+      return await startRepl({ units: options.units, offline: options.offline });
+    }
+
+    // Multi-word locations work with or without quotes
+    const location = positionals.join(' ');
+    if (!location.trim()) {
+      throw new ValidationError(`A location is required: weather ${name} <location>`, { details: { parameter: 'location' } });
+    }
+
+    const result = await runCommand(name, location, options, await loadProfile());
+
+    if (options.offline) {
+      const expired = result.cache.status === 'STALE' ? ', past its cache lifetime' : '';
+      process.stderr.write(`Offline: cached data from ${formatAge(result.cache.age)} ago${expired}\n`);
+    } else if (result.cache.status === 'STALE') {
+      // Stale data is only served online when the refresh failed
+      process.stderr.write(`Warning: the weather provider could not be reached, showing cached data from ${formatAge(result.cache.age)} ago\n`);
+    }
+
+    printResult(result, options);
+    return EXIT_CODES.OK;
+  } catch (error) {
+    return reportError(error, json);
+  }
+};
+
+module.exports = {
+  EXIT_CODES,
+  run
+};
@@ -0,0 +1,103 @@
+const { applyPreferences, applySavedLocation, removeSavedLocation } = require('../services/profileService');
+const { ValidationError } = require('../utils/errors');
+const { parsePositiveInteger } = require('./args');
+const { loadProfile, saveProfile } = require('./config');
+const { table } = require('./render');
+
+// Preferences that can be set, by the key used on the command line
+const PREFERENCES = {
+  units: { field: 'units', parse: value => value.toLowerCase() },
+  days: { field: 'forecastDays', parse: value => parsePositiveInteger(value, 'days') }
+};
+
+/**
+ * Describe the saved locations of a profile
+ * @param {Object} profile - Profile
+ * @returns {Object} - { body, text }
+ */
+const describeLocations = (profile) => {
+  const body = { locations: profile.locations };
+
+  const text = () => {
+    const names = Object.keys(profile.locations).sort();
+    if (names.length === 0) return 'No saved locations. Save one with: weather locations add <name> <location>';
+
+    return table([['Name', 'Location'], ...names.map(name => [name, profile.locations[name]])]);
+  };
+
+  return { body, text };
+};
+
+/**
+ * Describe the preferences of a profile
+ * @param {Object} profile - Profile
+ * @returns {Object} - { body, text }
+ */
+const describePreferences = (profile) => ({
+  body: { units: profile.units, forecastDays: profile.forecastDays },
+  text: () => table([
+    ['Setting', 'Value'],
+    ['units', profile.units || '(not set)'],
+    ['days', profile.forecastDays === null ? '(not set)' : String(profile.forecastDays)]
+  ])
+});
+
+/**
+ * Run a locations subcommand: list, add <name> <location> or remove <name>
+ * @param {Array<string>} positionals - Subcommand and its arguments
+ * @returns {Promise<Object>} - { body, text }
+ */
+const runLocationsCommand = async ([subcommand = 'list', name, ...location]) => {
+  const profile = await loadProfile();
+
+  if (subcommand === 'list' && !name) {
+    return describeLocations(profile);
+  }
+
+  if (subcommand === 'add' && name && location.length > 0) {
+    await saveProfile(applySavedLocation(profile, name, location.join(' ')));
+    return describeLocations(profile);
+  }
+
+  if (subcommand === 'remove' && name && location.length === 0) {
+    await saveProfile(removeSavedLocation(profile, name));
+    return describeLocations(profile);
+  }
+
+  throw new ValidationError('Usage: weather locations [list] | weather locations add <name> <location> | weather locations remove <name>');
+};
+
+/**
+ * Run a config subcommand: show, set <key> <value> or unset <key>
+ * @param {Array<string>} positionals - Subcommand and its arguments
+ * @returns {Promise<Object>} - { body, text }
+ */
+const runConfigCommand = async ([subcommand = 'show', key, ...rest]) => {
+  const profile = await loadProfile();
+
+  if (subcommand === 'show' && !key) {
+    return describePreferences(profile);
+  }
+
+  if (['set', 'unset'].includes(subcommand) && key && !PREFERENCES[key]) {
+    throw new ValidationError(`Unknown setting ${key}; settings are ${Object.keys(PREFERENCES).join(', ')}`, { details: { parameter: key } });
+  }
+
+  if (subcommand === 'set' && key && rest.length === 1) {
+    const { field, parse } = PREFERENCES[key];
+    await saveProfile(applyPreferences(profile, { [field]: parse(rest[0]) }));
+    return describePreferences(profile);
+  }
+
+  if (subcommand === 'unset' && key && rest.length === 0) {
+    await saveProfile(applyPreferences(profile, { [PREFERENCES[key].field]: null }));
+    return describePreferences(profile);
+  }
+
+  throw new ValidationError('Usage: weather config [show] | weather config set <units|days> <value> | weather config unset <units|days>');
+};
+
+module.exports = {
+  runLocationsCommand,
+  runConfigCommand
+};
@@ -0,0 +1,131 @@
+const { UNIT_GROUPS } = require('../services/unitConverter');
+
+// How units are printed
+const UNIT_SYMBOLS = { degC: '°C', degF: '°F' };
+
+/**
+ * Unit symbols of a unit group
+ * @param {string} unitGroup - metric, us or uk
+ * @returns {Object} - Symbols by quantity
+ */
+const unitsOf = (unitGroup) => Object.fromEntries(Object.entries(UNIT_GROUPS[unitGroup] || UNIT_GROUPS.metric)
+  .map(([quantity, unit]) => [quantity, UNIT_SYMBOLS[unit] || ` ${unit}`]));
+
+/**
+ * Format a measurement, leaving out values the provider did not report
+ * @param {number} value - Measurement
+ * @param {string} unit - Unit symbol
+ * @returns {string} - Formatted value, or - when missing
+ */
+const measure = (value, unit = '') => (typeof value === 'number' ? `${Math.round(value * 10) / 10}${unit}` : '-');
+
+/**
+ * Lay out rows as a plain-text table with a header line
+ * @param {Array<Array<string>>} rows - Cells, the first row being the header
+ * @returns {string} - Table
+ */
+const table = (rows) => {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => String(row[column]).length)));
+
+  return rows
+    .map(row => row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd())
+    .join('\n');
+};
+
+/**
+ * Format a duration for people, e.g. 3h 12m
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - Duration with its two largest units
+ */
+const formatAge = (seconds) => {
+  const parts = [
+    ['d', Math.floor(seconds / 86400)],
+    ['h', Math.floor(seconds / 3600) % 24],
+    ['m', Math.floor(seconds / 60) % 60],
+    ['s', Math.floor(seconds) % 60]
+  ];
+  const first = parts.findIndex(([, value]) => value > 0);
+
+  if (first === -1) return '0s';
+  return parts.slice(first, first + 2).filter(([, value]) => value > 0).map(([unit, value]) => `${value}${unit}`).join(' ');
+};
+
+/**
+ * Render current conditions
+ * @param {Object} view - Body of the current command
+ * @param {string} unitGroup - Unit group of the values
+ * @returns {string} - Text
+ */
+const renderCurrent = (view, unitGroup) => {
+  const units = unitsOf(unitGroup);
+  const current = view.current || {};
+
+  return [
+    `${view.location} (${current.datetime || 'now'}, ${view.timezone})`,
+    table([
+      ['Temperature', `${measure(current.temp, units.temperature)} (feels like ${measure(current.feelslike, units.temperature)})`],
+      ['Conditions', current.conditions || '-'],
+      ['Humidity', measure(current.humidity, '%')],
+      ['Wind', `${measure(current.windspeed, units.speed)} from ${measure(current.winddir, '°')}`],
+      ['UV index', measure(current.uvindex)]
+    ])
+  ].join('\n');
+};
+
+/**
+ * Render daily weather, as returned by the forecast and history commands
+ * @param {Object} view - Body of the command
+ * @param {string} unitGroup - Unit group of the values
+ * @returns {string} - Text
+ */
+const renderDays = (view, unitGroup) => {
+  const units = unitsOf(unitGroup);
+
+  return [
+    `${view.location} (${view.timezone})`,
+    table([
+      ['Date', 'Low', 'High', 'Precip', 'Chance', 'Conditions'],
+      ...view.days.map(day => [
+        day.datetime,
+        measure(day.tempmin, units.temperature),
+        measure(day.tempmax, units.temperature),
+        measure(day.precip, units.precipitation),
+        measure(day.precipprob, '%'),
+        day.conditions || '-'
+      ])
+    ])
+  ].join('\n');
+};
+
+/**
+ * Render hourly weather
+ * @param {Object} view - Body of the hourly command
+ * @param {string} unitGroup - Unit group of the values
+ * @returns {string} - Text
+ */
+const renderHours = (view, unitGroup) => {
+  const units = unitsOf(unitGroup);
+
+  return [
+    `${view.location} (${view.timezone})`,
+    table([
+      ['Time', 'Temp', 'Precip', 'Chance', 'Wind', 'Conditions'],
+      ...view.hours.map(hour => [
+        hour.local.replace('T', ' ').slice(0, 16),
+        measure(hour.temp, units.temperature),
+        measure(hour.precip, units.precipitation),
+        measure(hour.precipprob, '%'),
+        measure(hour.windspeed, units.speed),
+        hour.conditions || '-'
+      ])
+    ])
+  ].join('\n');
+};
+
+module.exports = {
+  formatAge,
+  table,
+  renderCurrent,
+  renderDays,
+  renderHours
+};
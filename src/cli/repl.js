@@ -0,0 +1,76 @@
+const readline = require('readline');
+const { runCommand } = require('./commands');
+const { loadProfile } = require('./config');
+const { formatAge } = require('./render');
+
+// How many days the forecast choice shows
+const REPL_FORECAST_DAYS = 5;
+
+/**
+ * Ask a question and wait for the answer. Lines are read through an
+ * iterator so answers piped in ahead of their question are not lost.
+ * @param {Object} rl - Readline interface
+ * @param {Object} lines - Async iterator over the lines of rl
+ * @param {string} question - Prompt
+ * @returns {Promise<string|null>} - Answer, or null when input has ended
+ */
+const ask = async (rl, lines, question) => {
+  rl.setPrompt(question);
+  rl.prompt();
+
+  const { value, done } = await lines.next();
+  return done ? null : value.trim();
+};
+
+/**
+ * Interactive mode: ask for a location, then for current weather or
+ * the forecast, until the user types "exit"
+ * @param {Object} options - Parsed options ({ units, offline })
+ * @returns {Promise<number>} - Exit code
+ */
+const startRepl = async (options = {}) => {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const lines = rl[Symbol.asyncIterator]();
+
+  console.log('==================================');
+  console.log('Welcome to the Weather CLI App');
+  console.log('==================================');
+
+  const profile = await loadProfile();
+  const saved = Object.keys(profile.locations).sort();
+  if (saved.length > 0) {
+    console.log(`Saved locations: ${saved.join(', ')}`);
+  }
+
+  for (;;) {
+    const location = await ask(rl, lines, '\nEnter a location (or "exit" to quit): ');
+    if (location === null || location.toLowerCase() === 'exit') break;
+    if (!location) continue;
+
+    const choice = await ask(rl, lines, `\nView [1] Current weather or [2] ${REPL_FORECAST_DAYS}-day forecast? (1/2): `);
+    if (choice === null) break;
+
+    if (choice !== '1' && choice !== '2') {
+      console.log('Invalid choice. Showing current weather by default.');
+    }
+
+    try {
+      const result = choice === '2'
+        ? await runCommand('forecast', location, { ...options, days: String(REPL_FORECAST_DAYS) }, profile)
+        : await runCommand('current', location, options, profile);
+
+      const note = options.offline ? `\n(cached data from ${formatAge(result.cache.age)} ago)` : '';
+      console.log(`\n${result.text()}${note}`);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+    }
+  }
+
+  console.log('\nThank you for using the Weather CLI App. Goodbye!');
+  rl.close();
+  return 0;
+};
+
+module.exports = {
+  startRepl
+};
@@ -1,31 +1,52 @@
-const NodeCache = require('node-cache');
+const os = require('os');
+const path = require('path');
+const createMemoryBackend = require('../cache/memoryBackend');
+const createFileBackend = require('../cache/fileBackend');
+const createRedisBackend = require('../cache/redisBackend');
+const { cacheEvictions } = require('../utils/metrics');
+const { logger } = require('../utils/logger');
 
 // Load environment variables
-const cacheExpiration = parseInt(process.env.CACHE_EXPIRATION) || 43200; // 12 hours default in seconds
+const cacheExpiration = parseInt(process.env.CACHE_EXPIRATION) || 43200; // 12 hours default in seconds (soft TTL)
+const cacheHardExpiration = Math.max(parseInt(process.env.CACHE_HARD_EXPIRATION) || cacheExpiration * 2, cacheExpiration); // how long stale data may still be served
+const staleWhileRevalidate = process.env.CACHE_STALE_WHILE_REVALIDATE !== 'false'; // serve stale data while refreshing in the background
+const cacheBackend = (process.env.CACHE_BACKEND || 'memory').toLowerCase(); // memory, file or redis
+const cacheMaxBytes = parseInt(process.env.CACHE_MAX_BYTES) || 0; // size limit of the file backend, 0 for none
 
-// Create a cache with default settings
-const cache = new NodeCache({
-  stdTTL: cacheExpiration, // default time to live in seconds
-  checkperiod: cacheExpiration * 0.2, // check for expired keys every 20% of TTL
-  useClones: false, // don't clone data for better performance with large objects
-});
+/**
+ * Create the cache backend selected by CACHE_BACKEND
+ * @param {string} type - Backend type
+ * @returns {Object} - Cache backend
+ */
+const createBackend = (type) => {
+  // Redis expires keys on the server, so those expirations are not counted
+  const onExpire = () => cacheEvictions.inc({ reason: 'expired' });
 
-// Log cache statistics when cache is cleared
-cache.on('del', (key, value) => {
-  if (key === '__CACHE_STATS__') return; // Skip stats key
-  console.log(`Cache: Key expired/deleted: ${key}`);
-});
+  switch (type) {
+    case 'memory':
+      return createMemoryBackend({ ttl: cacheExpiration, onExpire });
+    case 'file':
+      return createFileBackend({
+        dir: process.env.CACHE_DIR || path.join(os.tmpdir(), 'weather-api-cache'),
+        maxBytes: cacheMaxBytes,
+        onExpire,
+        onEvict: (count) => cacheEvictions.inc({ reason: 'size' }, count)
+      });
+    case 'redis':
+      return createRedisBackend({
+        url: process.env.REDIS_URL || 'redis://localhost:6379',
+        prefix: process.env.REDIS_KEY_PREFIX || 'weather-api:'
+      });
+    default:
+      throw new Error(`Unknown CACHE_BACKEND "${type}" (expected memory, file or redis)`);
+  }
+};
 
-// Log cache statistics periodically
-setInterval(() => {
-  const stats = cache.getStats();
-  const keys = cache.keys();
-  console.log(`Cache Stats - Keys: ${keys.length}, Hits: ${stats.hits}, Misses: ${stats.misses}, Hit Rate: ${stats.hits > 0 ? Math.round((stats.hits / (stats.hits + stats.misses)) * 100) : 0}%`);
-  cache.set('__CACHE_STATS__', stats); // Store stats in cache for potential monitoring
-}, cacheExpiration * 1000 * 0.5); // Log stats every 50% of expiration time
+const backend = createBackend(cacheBackend);
 
 /**
- * Simple cache interface that mimics basic Redis functionality
+ * Simple cache interface that mimics basic Redis functionality.
+ * Callers never see which backend is active.
  */
 const cacheClient = {
   /**
@@ -35,14 +56,13 @@ const cacheClient = {
    */
   get: async (key) => {
     try {
-      const value = cache.get(key);
-      return value !== undefined ? value : null;
+      return await backend.get(key);
     } catch (error) {
-      console.error('Cache get error:', error);
+      logger.error('cache get failed', { cacheKey: key, error });
       return null;
     }
   },
-  
+
   /**
    * Set a value in the cache
    * @param {string} key - The key to set
@@ -54,14 +74,14 @@ const cacheClient = {
     try {
       // Check if custom TTL is provided via EX option (Redis compatibility)
       const ttl = options.EX || cacheExpiration;
-      cache.set(key, value, ttl);
+      await backend.set(key, value, ttl);
       return 'OK';
     } catch (error) {
-      console.error('Cache set error:', error);
+      logger.error('cache set failed', { cacheKey: key, error });
       throw error;
     }
   },
-  
+
   /**
    * Delete a key from the cache
    * @param {string} key - The key to delete
@@ -69,33 +89,63 @@ const cacheClient = {
    */
   del: async (key) => {
     try {
-      return cache.del(key) ? 1 : 0;
+      const deleted = (await backend.del(key)) ? 1 : 0;
+      cacheEvictions.inc({ reason: 'deleted' }, deleted);
+      return deleted;
     } catch (error) {
-      console.error('Cache delete error:', error);
+      logger.error('cache delete failed', { cacheKey: key, error });
       return 0;
     }
   },
-  
+
   /**
    * Flush the entire cache
    * @returns {Promise<string>} - "OK" if successful
    */
   flushAll: async () => {
     try {
-      cache.flushAll();
+      await backend.flushAll();
       return 'OK';
     } catch (error) {
-      console.error('Cache flush error:', error);
+      logger.error('cache flush failed', { error });
       throw error;
     }
-  }
+  },
+
+  /**
+   * List all keys in the cache
+   * @returns {Promise<Array<string>>} - Keys
+   */
+  keys: async () => backend.keys(),
+
+  /**
+   * Get the remaining time to live of a key
+   * @param {string} key - The key to check
+   * @returns {Promise<number>} - Seconds left, -1 if the key never expires, -2 if it does not exist
+   */
+  ttl: async (key) => backend.ttl(key),
+
+  /**
+   * Get the size of the cache
+   * @returns {Promise<Object>} - { keys, bytes } where bytes is the approximate size of the stored data
+   */
+  stats: async () => backend.stats(),
+
+  /**
+   * Close the backend's connections (the Redis client keeps the process alive)
+   * @returns {Promise<void>}
+   */
+  close: async () => backend.close()
 };
 
 // Print startup message
-console.log(`In-memory cache initialized with ${cacheExpiration} seconds (${Math.round(cacheExpiration/3600)} hours) expiration time`);
+logger.info('cache initialized', { backend: backend.name, expiration: cacheExpiration, hardExpiration: cacheHardExpiration });
 
 // Export cache client and configuration
 module.exports = {
   cacheClient,
-  cacheExpiration
-}; 
\ No newline at end of file
+  cacheBackend: backend.name,
+  cacheExpiration,
+  cacheHardExpiration,
+  staleWhileRevalidate
+};
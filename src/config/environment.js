@@ -0,0 +1,32 @@
+const { providerNames } = require('../providers');
+
+// The placeholder key from the example .env file
+const PLACEHOLDER_API_KEY = 'ABC123XYZ456';
+
+/**
+ * Check that the configured providers can be used. Shared by the server
+ * and the CLI, which both refuse to start without a usable setup.
+ * @returns {string|null} - What is wrong, or null if the setup is usable
+ */
+const findConfigurationProblem = () => {
+  const apiKey = process.env.WEATHER_API_KEY;
+
+  // Only Visual Crossing needs an API key
+  if (!providerNames.includes('visualcrossing')) {
+    return null;
+  }
+
+  if (!apiKey) {
+    return 'API key not configured, set WEATHER_API_KEY in your .env file';
+  }
+
+  if (apiKey === PLACEHOLDER_API_KEY) {
+    return 'WEATHER_API_KEY is a placeholder, sign up at https://www.visualcrossing.com/weather-api and set your own key';
+  }
+
+  return null;
+};
+
+module.exports = {
+  findConfigurationProblem
+};
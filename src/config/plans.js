@@ -0,0 +1,42 @@
+// Load environment variables
+const anonymousPerMinute = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 30; // requests per minute without an API key
+
+/**
+ * Plans available to API keys. A limit of 0 means unlimited.
+ * Requests without an API key use the anonymous plan, counted per IP.
+ * Override or add plans with API_PLANS, e.g.
+ * API_PLANS='{"partner":{"perMinute":600,"perDay":100000}}'
+ */
+const defaultPlans = {
+  anonymous: { perMinute: anonymousPerMinute, perDay: 1000 },
+  basic: { perMinute: 60, perDay: 5000 },
+  partner: { perMinute: 300, perDay: 50000 },
+  internal: { perMinute: 1200, perDay: 0 }
+};
+
+/**
+ * Merge plan overrides from API_PLANS into the defaults
+ * @returns {Object} - Plans by name
+ */
+const loadPlans = () => {
+  if (!process.env.API_PLANS) return defaultPlans;
+
+  let overrides;
+  try {
+    overrides = JSON.parse(process.env.API_PLANS);
+  } catch (error) {
+    throw new Error(`API_PLANS is not valid JSON: ${error.message}`);
+  }
+
+  const plans = { ...defaultPlans };
+  Object.entries(overrides).forEach(([name, plan]) => {
+    plans[name] = { ...plans[name], ...plan };
+  });
+  return plans;
+};
+
+const plans = loadPlans();
+
+module.exports = {
+  plans
+};
@@ -0,0 +1,8 @@
+const path = require('path');
+
+// Load environment variables
+const dataDir = process.env.DATA_DIR || path.join(process.cwd(), 'data'); // where the API keeps its own files
+
+module.exports = {
+  dataDir
+};
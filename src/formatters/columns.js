@@ -0,0 +1,19 @@
+// CSV columns, in the order they are written. The order is part of the
+// API: new columns are only ever appended.
+
+const DAY_COLUMNS = [
+  'location', 'datetime', 'tempmax', 'tempmin', 'temp', 'feelslike', 'dew', 'humidity',
+  'precip', 'precipprob', 'snow', 'windspeed', 'windgust', 'winddir', 'pressure',
+  'cloudcover', 'uvindex', 'conditions', 'description', 'icon'
+];
+
+const HOUR_COLUMNS = [
+  'location', 'datetime', 'utc', 'temp', 'feelslike', 'dew', 'humidity',
+  'precip', 'precipprob', 'snow', 'windspeed', 'windgust', 'winddir', 'pressure',
+  'cloudcover', 'uvindex', 'conditions', 'icon'
+];
+
+module.exports = {
+  DAY_COLUMNS,
+  HOUR_COLUMNS
+};
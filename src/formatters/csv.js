@@ -0,0 +1,38 @@
+/**
+ * Quote a CSV value when it contains a separator, quote or line break
+ * (RFC 4180). Formula prefixes are neutralized so spreadsheets do not
+ * evaluate text coming from upstream.
+ * @param {any} value - Cell value
+ * @returns {string} - Encoded cell
+ */
+const encodeCell = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text = Array.isArray(value) ? value.join(';') : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text) && isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render rows as CSV with a header line. Columns always appear in the
+ * given order, whether or not the rows have a value for them.
+ * @param {Array<string>} columns - Column names, in order
+ * @param {Array<Object>} rows - Rows keyed by column name
+ * @returns {string} - CSV text with CRLF line endings
+ */
+const toCsv = (columns, rows) => {
+  const lines = [columns.map(encodeCell).join(',')];
+
+  rows.forEach(row => {
+    lines.push(columns.map(column => encodeCell(row[column])).join(','));
+  });
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  toCsv
+};
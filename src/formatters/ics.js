@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+
+// How often subscribed calendar clients should refresh the feed
+const REFRESH_INTERVAL = 'PT6H';
+
+/**
+ * Escape text for an iCalendar property value (RFC 5545 3.3.11)
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line at 75 octets, continuing with a space (RFC 5545 3.1)
+ * @param {string} line - Content line
+ * @returns {string} - Folded line
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const toIcsDate = (isoDate) => isoDate.replace(/-/g, '');
+const toIcsTimestamp = (time) => new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Render daily forecasts as an iCalendar feed with one all-day event
+ * per day. Event UIDs depend on the location and date only, so calendar
+ * clients update events in place when the forecast changes.
+ * @param {Object} options - Feed options
+ * @param {string} options.location - Location name
+ * @param {Array<Object>} options.days - Days (see providers/model.js)
+ * @param {string} options.temperatureUnit - Unit symbol for temperatures, e.g. °C
+ * @returns {string} - iCalendar text
+ */
+const toCalendar = ({ location, days, temperatureUnit }) => {
+  const stamp = toIcsTimestamp(Date.now());
+  const locationId = crypto.createHash('sha1').update(location).digest('hex').slice(0, 12);
+  const round = (value) => (typeof value === 'number' ? Math.round(value) : '?');
+
+  const events = days.map(day => {
+    const next = new Date(Date.parse(`${day.datetime}T00:00:00Z`) + 24 * 3600 * 1000).toISOString().slice(0, 10);
+    const summary = `${day.conditions || 'Weather'} ${round(day.tempmin)}–${round(day.tempmax)}${temperatureUnit}`;
+    const description = [
+      day.description,
+      typeof day.precipprob === 'number' ? `Chance of precipitation: ${Math.round(day.precipprob)}%` : null
+    ].filter(Boolean).join('\n');
+
+    return [
+      'BEGIN:VEVENT',
+      `UID:${day.datetime}-${locationId}@weather-api`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${toIcsDate(day.datetime)}`,
+      `DTEND;VALUE=DATE:${toIcsDate(next)}`,
+      `SUMMARY:${escapeText(summary)}`,
+      description ? `DESCRIPTION:${escapeText(description)}` : null,
+      `LOCATION:${escapeText(location)}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    ].filter(Boolean);
+  });
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Weather API//Forecast//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`Weather forecast: ${location}`)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+    ...events.flat(),
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  toCalendar
+};
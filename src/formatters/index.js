@@ -0,0 +1,99 @@
+const { toCsv } = require('./csv');
+const { toXml } = require('./xml');
+const { toCalendar } = require('./ics');
+const { ValidationError } = require('../utils/errors');
+
+// Output formats and the media types they answer to, in order of preference
+const FORMATS = {
+  json: { types: ['application/json'] },
+  xml: { types: ['application/xml', 'text/xml'], contentType: 'application/xml; charset=utf-8' },
+  csv: { types: ['text/csv'], contentType: 'text/csv; charset=utf-8' },
+  ics: { types: ['text/calendar'], contentType: 'text/calendar; charset=utf-8' }
+};
+
+/**
+ * Pick the output format from the `format` parameter or the Accept
+ * header. Browsers (which accept text/html) and clients that accept
+ * nothing we offer get JSON.
+ * @param {Object} req - Express request
+ * @param {Array<string>} available - Formats the route supports
+ * @returns {string} - Format name
+ */
+const negotiateFormat = (req, available) => {
+  if (req.query.format) {
+    const format = String(req.query.format).toLowerCase();
+
+    if (!available.includes(format)) {
+      throw new ValidationError(`Format must be one of ${available.join(', ')}`, { details: { parameter: 'format' } });
+    }
+
+    return format;
+  }
+
+  const accept = req.get('Accept');
+  if (!accept || /text\/html/.test(accept)) return 'json';
+
+  const types = available.flatMap(format => FORMATS[format].types);
+  const type = req.accepts(types);
+
+  return available.find(format => FORMATS[format].types.includes(type)) || 'json';
+};
+
+/**
+ * Create middleware that negotiates the output format before any work
+ * is done and stores it in req.format. JSON and XML are always offered.
+ * @param {...string} extra - Further formats the route supports (csv, ics)
+ * @returns {Function} - Express middleware
+ */
+const acceptFormats = (...extra) => {
+  const available = ['json', 'xml', ...extra];
+
+  return (req, res, next) => {
+    res.vary('Accept');
+
+    try {
+      req.format = negotiateFormat(req, available);
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  };
+};
+
+/**
+ * Send a response in the negotiated format
+ * @param {Object} req - Express request (with req.format from acceptFormats)
+ * @param {Object} res - Express response
+ * @param {Object} body - Response body as it is sent in JSON
+ * @param {Object} renderers - Options
+ * @param {string} renderers.root - Name of the XML root element
+ * @param {Function} [renderers.csv] - Returns { columns, rows } for CSV output
+ * @param {Function} [renderers.ics] - Returns the options of toCalendar for iCalendar output
+ * @returns {Object} - Express response
+ */
+const sendFormatted = (req, res, body, { root, csv, ics }) => {
+  const format = req.format || 'json';
+
+  if (format === 'json') {
+    return res.json(body);
+  }
+
+  res.type(FORMATS[format].contentType);
+
+  if (format === 'csv') {
+    const { columns, rows } = csv();
+    return res.send(toCsv(columns, rows));
+  }
+
+  if (format === 'ics') {
+    return res.send(toCalendar(ics()));
+  }
+
+  const selectFields = res.locals.selectFields || (value => value);
+  return res.send(toXml(root, selectFields(body)));
+};
+
+module.exports = {
+  acceptFormats,
+  sendFormatted
+};
@@ -0,0 +1,71 @@
+// Control characters XML 1.0 does not allow, even as character references
+const ILLEGAL_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g;
+
+/**
+ * Escape text for use in element content and attribute values. Characters
+ * XML 1.0 does not allow are dropped, since no parser would accept them.
+ * @param {any} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+const escapeXml = (text) => String(text)
+  .replace(ILLEGAL_CHARACTERS, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Turn a JSON key into a valid XML element name
+ * @param {string} key - Object key
+ * @returns {string} - Element name
+ */
+const toElementName = (key) => {
+  const name = String(key).replace(/[^\w.-]/g, '_');
+  return /^[A-Za-z_]/.test(name) ? name : `_${name}`;
+};
+
+/**
+ * Name the elements of an array after its parent: days -> day,
+ * hours -> hour, alerts -> alert; anything else -> item
+ * @param {string} name - Name of the array element
+ * @returns {string} - Name of each item
+ */
+const itemName = (name) => (name.length > 1 && name.endsWith('s') ? name.slice(0, -1) : 'item');
+
+/**
+ * Render a value as an XML element
+ * @param {string} name - Element name
+ * @param {any} value - Value to render
+ * @param {string} indent - Current indentation
+ * @returns {string} - XML
+ */
+const toElement = (name, value, indent) => {
+  if (value === undefined) return '';
+  if (value === null) return `${indent}<${name}/>\n`;
+
+  if (Array.isArray(value)) {
+    const items = value.map(item => toElement(itemName(name), item, `${indent}  `)).join('');
+    return items ? `${indent}<${name}>\n${items}${indent}</${name}>\n` : `${indent}<${name}/>\n`;
+  }
+
+  if (typeof value === 'object') {
+    const children = Object.entries(value).map(([key, item]) => toElement(toElementName(key), item, `${indent}  `)).join('');
+    return children ? `${indent}<${name}>\n${children}${indent}</${name}>\n` : `${indent}<${name}/>\n`;
+  }
+
+  return `${indent}<${name}>${escapeXml(value)}</${name}>\n`;
+};
+
+/**
+ * Render a JSON value as an XML document. Object keys become elements;
+ * array items are named after their parent in the singular.
+ * @param {string} rootName - Name of the root element
+ * @param {any} value - Value to render
+ * @returns {string} - XML document
+ */
+const toXml = (rootName, value) => `<?xml version="1.0" encoding="UTF-8"?>\n${toElement(rootName, value, '')}`;
+
+module.exports = {
+  toXml
+};
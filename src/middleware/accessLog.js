@@ -0,0 +1,36 @@
+const { logger } = require('../utils/logger');
+
+// Probes hit these often; they are only logged at debug level
+const QUIET_PATHS = ['/health', '/metrics'];
+
+/**
+ * Log every request once it has been answered, with its latency
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const accessLog = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+    const level = res.statusCode >= 500 ? 'error'
+      : res.statusCode >= 400 ? 'warn'
+        : QUIET_PATHS.includes(req.path) ? 'debug' : 'info';
+
+    logger[level]('request completed', {
+      requestId: req.id,
+      method: req.method,
+      url: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      bytes: Number(res.get('Content-Length')) || undefined, // unknown for compressed responses
+      client: req.client ? req.client.id : undefined,
+      cache: res.get('X-Cache')
+    });
+  });
+
+  next();
+};
+
+module.exports = accessLog;
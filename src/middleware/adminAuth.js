@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const { AuthenticationError, ForbiddenError } = require('../utils/errors');
+
+// Load environment variables
+const adminToken = process.env.ADMIN_TOKEN; // admin routes are disabled when not set
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} - True if equal
+ */
+const safeEqual = (a, b) => {
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+};
+
+/**
+ * Only let requests carrying ADMIN_TOKEN in the X-Admin-Token header through.
+ * A separate header is used so it never clashes with a client's API key.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const adminAuth = (req, res, next) => {
+  if (!adminToken) {
+    return next(new ForbiddenError('Admin routes are disabled (set ADMIN_TOKEN to enable them)'));
+  }
+
+  const token = req.get('X-Admin-Token');
+
+  if (!token || !safeEqual(token, adminToken)) {
+    return next(new AuthenticationError('A valid admin token is required'));
+  }
+
+  return next();
+};
+
+module.exports = adminAuth;
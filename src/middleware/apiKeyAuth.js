@@ -0,0 +1,89 @@
+const { authenticateKey } = require('../services/apiKeyStore');
+const { AuthenticationError } = require('../utils/errors');
+
+// Load environment variables
+const requireApiKey = process.env.REQUIRE_API_KEY === 'true'; // reject requests without an API key
+
+// The iCalendar forecast feed, which calendar apps subscribe to by URL
+const ICS_FEED_PATH = /^\/api\/weather\/[^/]+\/forecast$/;
+
+/**
+ * Whether a request is for the iCalendar forecast feed
+ * @param {Object} req - Express request, or a plain Node request
+ * @returns {boolean} - True for GET /api/weather/:location/forecast?format=ics
+ */
+const isIcsFeed = (req) => Boolean(req.query) && req.query.format === 'ics' && ICS_FEED_PATH.test(req.path);
+
+/**
+ * Read the API key from X-API-Key or an "Authorization: Bearer" header.
+ * Calendar apps cannot send headers, so the iCalendar feed also takes it
+ * as ?key=; the logger redacts that parameter. Other routes ignore keys
+ * in the query string, where they would end up in logs and histories.
+ * @param {Object} req - Express request, or a plain Node request (WebSocket upgrades)
+ * @returns {string|null} - API key, if any
+ */
+const readApiKey = (req) => {
+  const header = req.headers['x-api-key'];
+  if (header) return header.trim();
+
+  const authorization = req.headers.authorization;
+  const match = authorization && authorization.match(/^Bearer\s+(\S+)$/i);
+  if (match) return match[1];
+
+  return isIcsFeed(req) && typeof req.query.key === 'string' && req.query.key ? req.query.key : null;
+};
+
+/**
+ * Identify the client making a request: { id, name, plan, anonymous }.
+ * Requests without a key are anonymous and identified by IP, unless
+ * REQUIRE_API_KEY is set.
+ * @param {Object} req - Express request, or a plain Node request (WebSocket upgrades)
+ * @param {boolean} [allowAnonymous] - Accept requests without a key even if REQUIRE_API_KEY is set
+ * @returns {Promise<Object>} - Client
+ */
+const identifyClient = async (req, allowAnonymous = !requireApiKey) => {
+  const key = readApiKey(req);
+
+  if (!key) {
+    if (!allowAnonymous) {
+      throw new AuthenticationError('An API key is required (send it in the X-API-Key header)');
+    }
+
+    const ip = req.ip || req.socket.remoteAddress;
+    return { id: `ip:${ip}`, name: ip, plan: 'anonymous', anonymous: true };
+  }
+
+  const record = await authenticateKey(key);
+
+  if (!record) {
+    throw new AuthenticationError('Invalid or revoked API key');
+  }
+
+  return { id: record.id, name: record.name, plan: record.plan, anonymous: false };
+};
+
+/**
+ * Identify the client and attach it as req.client. Health checks and
+ * admin routes (which have their own token) are left alone, so they
+ * never depend on API keys, valid or not.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const apiKeyAuth = async (req, res, next) => {
+  if (req.path === '/health' || req.path.startsWith('/admin')) {
+    return next();
+  }
+
+  try {
+    req.client = await identifyClient(req);
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+module.exports = {
+  apiKeyAuth,
+  identifyClient
+};
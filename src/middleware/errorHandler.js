@@ -0,0 +1,51 @@
+const { NotFoundError, toApiError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+/**
+ * Turn requests that matched no route into a 404 error
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(`Route ${req.originalUrl} not found`));
+};
+
+/**
+ * Send every error as the same JSON envelope:
+ * { error: true, code, message, details, requestId }
+ * @param {Error} err - Error passed to next()
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const errorHandler = (err, req, res, next) => {
+  const error = toApiError(err);
+
+  if (error.status >= 500) {
+    logger.error('request failed', { method: req.method, url: req.originalUrl, code: error.code, error: err });
+  } else {
+    logger.info('request rejected', { method: req.method, url: req.originalUrl, code: error.code, reason: error.message });
+  }
+
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (error.retryAfter) {
+    res.set('Retry-After', String(Math.ceil(error.retryAfter)));
+  }
+
+  return res.status(error.status).json({
+    error: true,
+    code: error.code,
+    message: error.message,
+    details: error.details,
+    requestId: req.id
+  });
+};
+
+module.exports = {
+  notFoundHandler,
+  errorHandler
+};
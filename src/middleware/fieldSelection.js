@@ -0,0 +1,90 @@
+const { ValidationError } = require('../utils/errors');
+
+// Longest fields list accepted, to bound the work done per request
+const MAX_FIELDS = 100;
+
+// Matches a dotted path such as "days.tempmax"
+const FIELD_PATTERN = /^[A-Za-z_][\w]*(\.[A-Za-z_][\w]*)*$/;
+
+/**
+ * Parse a fields parameter into a tree of selected fields, e.g.
+ * "location,days.datetime,days.tempmax" becomes
+ * { location: true, days: { datetime: true, tempmax: true } }
+ * @param {string} fields - Comma-separated dotted paths
+ * @returns {Object} - Selection tree
+ */
+const parseFields = (fields) => {
+  const paths = String(fields).split(',').map(path => path.trim()).filter(Boolean);
+
+  if (paths.length === 0 || paths.length > MAX_FIELDS || paths.some(path => !FIELD_PATTERN.test(path))) {
+    throw new ValidationError(`Fields must be a comma-separated list of at most ${MAX_FIELDS} dotted paths, e.g. days.datetime,days.tempmax`, {
+      details: { parameter: 'fields' }
+    });
+  }
+
+  const tree = {};
+
+  paths.forEach(path => {
+    const segments = path.split('.');
+    const last = segments.pop();
+    let node = tree;
+
+    for (const segment of segments) {
+      if (node[segment] === true) return; // a parent path already selects everything below
+      node[segment] = node[segment] || {};
+      node = node[segment];
+    }
+
+    node[last] = true;
+  });
+
+  return tree;
+};
+
+/**
+ * Keep only the selected fields of a value. Arrays are projected item
+ * by item, so "days.tempmax" picks tempmax from every day.
+ * @param {any} value - Value to project
+ * @param {Object} tree - Selection tree from parseFields
+ * @returns {any} - Projected value
+ */
+const project = (value, tree) => {
+  if (Array.isArray(value)) return value.map(item => project(item, tree));
+  if (!value || typeof value !== 'object') return value;
+
+  const projected = {};
+
+  Object.entries(tree).forEach(([field, selection]) => {
+    if (value[field] === undefined) return;
+    projected[field] = selection === true ? value[field] : project(value[field], selection);
+  });
+
+  return projected;
+};
+
+/**
+ * Apply the `fields` query parameter to successful JSON responses.
+ * Other formats can apply it through res.locals.selectFields.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const fieldSelection = (req, res, next) => {
+  if (!req.query.fields) return next();
+
+  let tree;
+  try {
+    tree = parseFields(req.query.fields);
+  } catch (error) {
+    return next(error);
+  }
+
+  res.locals.selectFields = (body) => project(body, tree);
+
+  const json = res.json.bind(res);
+  res.json = (body) => json(res.statusCode < 400 ? res.locals.selectFields(body) : body);
+
+  return next();
+};
+
+module.exports = fieldSelection;
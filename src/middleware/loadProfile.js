@@ -0,0 +1,20 @@
+const { getProfile } = require('../services/profileService');
+
+/**
+ * Attach the profile of the client's API key as req.profile, so routes
+ * can resolve saved locations and apply preferences. Anonymous clients
+ * have no profile (null).
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const loadProfile = async (req, res, next) => {
+  try {
+    req.profile = req.client && !req.client.anonymous ? await getProfile(req.client.id) : null;
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+module.exports = loadProfile;
@@ -1,26 +1,185 @@
-const rateLimit = require('express-rate-limit');
-
-// Load environment variables
-const windowMs = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000; // 1 minute default
-const maxRequests = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 30; // 30 requests per minute default
-
-// Create rate limiter middleware
-const limiter = rateLimit({
-  windowMs,
-  max: maxRequests,
-  standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
-  legacyHeaders: false, // Disable the `X-RateLimit-*` headers
-  message: {
-    status: 429,
-    error: 'Too many requests',
-    message: `You have exceeded the rate limit of ${maxRequests} requests per ${windowMs / 1000} seconds`
-  },
-  // Simple in-memory store instead of the default Memory Store
-  skipSuccessfulRequests: false, // Track all requests
-  skip: (req) => {
-    // Skip health checks
-    return req.path === '/health';
+const { plans } = require('../config/plans');
+const { RateLimitError } = require('../utils/errors');
+const { rateLimitRejections } = require('../utils/metrics');
+
+// Quota windows; plans set a limit for each of them
+const WINDOWS = [
+  { name: 'minute', ms: 60 * 1000, limitOf: (plan) => plan.perMinute },
+  { name: 'day', ms: 24 * 3600 * 1000, limitOf: (plan) => plan.perDay }
+];
+
+// Hit counters per client and window: "<clientId>:<window>" -> { count, resetAt }
+const counters = new Map();
+
+// Usage per client since start-up, for the admin routes
+const usage = new Map();
+
+// Drop counters of finished windows so anonymous IPs do not pile up
+const cleanupTimer = setInterval(() => {
+  const now = Date.now();
+  counters.forEach((counter, key) => {
+    if (counter.resetAt <= now) counters.delete(key);
+  });
+}, 60 * 1000);
+cleanupTimer.unref();
+
+/**
+ * Get the counter of a client for the current window
+ * @param {string} clientId - Client ID
+ * @param {Object} window - Entry of WINDOWS
+ * @param {number} now - Current time in ms
+ * @returns {Object} - { count, resetAt }
+ */
+const counterFor = (clientId, window, now) => {
+  const key = `${clientId}:${window.name}`;
+  let counter = counters.get(key);
+
+  // Windows are aligned to the clock, so the daily quota resets at midnight UTC
+  if (!counter || counter.resetAt <= now) {
+    counter = { count: 0, resetAt: Math.floor(now / window.ms) * window.ms + window.ms };
+    counters.set(key, counter);
+  }
+
+  return counter;
+};
+
+/**
+ * Charge a client for a request. Nothing is charged if any window
+ * would go over its limit.
+ * @param {Object} client - req.client from apiKeyAuth
+ * @param {number} cost - Number of hits to charge
+ * @returns {Array<Object>} - State of each limited window after charging
+ */
+const consume = (client, cost) => {
+  const plan = plans[client.plan] || plans.anonymous;
+  const now = Date.now();
+
+  const states = WINDOWS
+    .filter(window => window.limitOf(plan) > 0)
+    .map(window => ({ window, limit: window.limitOf(plan), counter: counterFor(client.id, window, now) }));
+
+  const exceeded = states.find(({ limit, counter }) => counter.count + cost > limit);
+
+  if (exceeded) {
+    const { window, limit, counter } = exceeded;
+    const remaining = Math.max(limit - counter.count, 0);
+    rateLimitRejections.inc({ plan: client.plan, window: window.name });
+
+    throw new RateLimitError(cost > 1
+      ? `This request costs ${cost} requests but only ${remaining} remain in your ${window.name} quota of ${limit}`
+      : `You have exceeded your ${window.name} quota of ${limit} requests (plan: ${client.plan})`, {
+      details: { plan: client.plan, window: window.name, limit, remaining, cost },
+      retryAfter: Math.max(1, Math.ceil((counter.resetAt - now) / 1000))
+    });
   }
-});
 
-module.exports = limiter; 
\ No newline at end of file
+  states.forEach(({ counter }) => {
+    counter.count += cost;
+  });
+
+  const clientUsage = usage.get(client.id) || { requests: 0, upstreamRequests: 0 };
+  clientUsage.requests += cost;
+  usage.set(client.id, clientUsage);
+
+  return states.map(({ window, limit, counter }) => ({
+    window,
+    limit,
+    remaining: Math.max(limit - counter.count, 0),
+    resetAt: counter.resetAt
+  }));
+};
+
+/**
+ * Set RateLimit-* headers for the most restrictive window
+ * @param {Object} res - Express response
+ * @param {Array<Object>} states - Result of consume()
+ */
+const setRateLimitHeaders = (res, states) => {
+  if (states.length === 0) return;
+
+  const tightest = states.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+
+  res.set('RateLimit-Policy', states.map(({ window, limit }) => `${limit};w=${window.ms / 1000}`).join(', '));
+  res.set('RateLimit-Limit', String(tightest.limit));
+  res.set('RateLimit-Remaining', String(tightest.remaining));
+  res.set('RateLimit-Reset', String(Math.max(0, Math.ceil((tightest.resetAt - Date.now()) / 1000))));
+};
+
+/**
+ * Enforce the per-minute and per-day quotas of the client's plan.
+ * Must run after apiKeyAuth. Health checks and admin routes are not counted.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const rateLimiter = (req, res, next) => {
+  // Skip health checks and admin routes (they have their own authentication)
+  if (req.path === '/health' || req.path.startsWith('/admin')) {
+    return next();
+  }
+
+  try {
+    setRateLimitHeaders(res, consume(req.client, 1));
+
+    // Attribute requests that had to go upstream to the client. Routes
+    // serving several locations report their count in res.locals.
+    res.on('finish', () => {
+      const upstreamRequests = res.locals.upstreamRequests !== undefined
+        ? res.locals.upstreamRequests
+        : (res.get('X-Cache') === 'MISS' ? 1 : 0);
+      usage.get(req.client.id).upstreamRequests += upstreamRequests;
+    });
+
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Create middleware that charges a request by its cost instead of as a
+ * single hit. Must run after rateLimiter, which already charged one hit.
+ * @param {Function} getCost - Returns the cost of a request (req) => number
+ * @returns {Function} - Express middleware
+ */
+const chargeCost = (getCost) => (req, res, next) => {
+  try {
+    const extra = Math.max(0, getCost(req) - 1);
+
+    if (!req.client || extra === 0) {
+      return next();
+    }
+
+    // Rejected up front rather than running a batch that cannot be paid for
+    setRateLimitHeaders(res, consume(req.client, extra));
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Get usage counters of a client
+ * @param {string} clientId - Client (API key) ID
+ * @returns {Object} - { requests, upstreamRequests, minute, day } with remaining quota per window
+ */
+const getUsage = (clientId) => {
+  const now = Date.now();
+  const current = (name) => {
+    const counter = counters.get(`${clientId}:${name}`);
+    return counter && counter.resetAt > now ? counter.count : 0;
+  };
+
+  return {
+    ...(usage.get(clientId) || { requests: 0, upstreamRequests: 0 }),
+    minute: current('minute'),
+    day: current('day')
+  };
+};
+
+module.exports = {
+  consume,
+  rateLimiter,
+  chargeCost,
+  getUsage
+};
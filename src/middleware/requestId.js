@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+const { runWithContext } = require('../utils/logger');
+
+// Accept caller-supplied IDs only if they are short and safe to log
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Give every request an ID, taken from X-Request-Id when present,
+ * and echo it in the response. Everything logged while handling the
+ * request carries the ID.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  runWithContext({ requestId: req.id }, next);
+};
+
+module.exports = requestId;
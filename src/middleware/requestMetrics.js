@@ -0,0 +1,50 @@
+const { httpRequests, httpRequestDuration } = require('../utils/metrics');
+
+/**
+ * Name the route that handled a request by its pattern, so that
+ * /api/weather/London and /api/weather/Paris count as one route
+ * @param {Object} req - Express request
+ * @returns {string} - Route pattern, the router's mount path if no route matched, or "unmatched"
+ */
+const routeOf = (req) => {
+  const baseUrl = req.routerBaseUrl || '';
+
+  if (!req.route) return baseUrl || 'unmatched';
+  return `${baseUrl}${req.route.path === '/' ? '' : req.route.path}` || '/';
+};
+
+/**
+ * Count every request and time it, by method, route and status
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const requestMetrics = (req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    const labels = { method: req.method, route: routeOf(req), status: res.statusCode };
+    httpRequests.inc(labels);
+    endTimer(labels);
+  });
+
+  next();
+};
+
+/**
+ * Remember the mount path of a router. Express resets req.baseUrl once
+ * an error leaves the router, so routers call this first to keep their
+ * routes labelled correctly when they fail.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const trackRouter = (req, res, next) => {
+  req.routerBaseUrl = req.baseUrl;
+  next();
+};
+
+module.exports = {
+  requestMetrics,
+  trackRouter
+};
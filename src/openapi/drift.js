@@ -0,0 +1,67 @@
+// Router methods that do not correspond to an OpenAPI operation
+const IGNORED_METHODS = ['_all', 'head', 'options'];
+
+/**
+ * Recover the path a router was mounted at from its layer
+ * @param {Object} layer - Express layer of the router
+ * @returns {string|null} - Mount path, or null if it is not a plain path
+ */
+const mountPath = (layer) => {
+  if (layer.regexp.fast_slash) return '';
+
+  // app.use('/api/weather') compiles to /^\/api\/weather\/?(?=\/|$)/i
+  const match = layer.regexp.source.match(/^\^((?:\\\/[\w.-]+)+)\\\/\?\(\?=\\\/\|\$\)$/);
+  return match ? match[1].replace(/\\\//g, '/') : null;
+};
+
+/**
+ * List the routes registered on a router and the routers mounted on it
+ * @param {Array<Object>} stack - Router stack
+ * @param {string} prefix - Path the router is mounted at
+ * @returns {Array<Object>} - Routes as { method, path, source }
+ */
+const listRoutes = (stack, prefix = '') => stack.flatMap(layer => {
+  if (layer.route) {
+    const path = `${prefix}${layer.route.path === '/' && prefix ? '' : layer.route.path}`;
+
+    return Object.keys(layer.route.methods)
+      .filter(method => !IGNORED_METHODS.includes(method))
+      .map(method => ({ method, path: path.replace(/:(\w+)/g, '{$1}'), source: `${method.toUpperCase()} ${path}` }));
+  }
+
+  if (layer.name === 'router' && layer.handle.stack) {
+    const mount = mountPath(layer);
+    return mount === null ? [] : listRoutes(layer.handle.stack, `${prefix}${mount}`);
+  }
+
+  return [];
+});
+
+/**
+ * Compare the routes of an Express app with an OpenAPI document
+ * @param {Object} app - Express app with all routes registered
+ * @param {Object} spec - OpenAPI document
+ * @returns {Object} - { undocumented, unrouted }: routes missing from the
+ *                     document, and documented operations without a route
+ */
+const findDrift = (app, spec) => {
+  const routes = listRoutes(app._router.stack);
+  const routed = new Set(routes.map(route => `${route.method} ${route.path}`));
+
+  const operations = Object.entries(spec.paths).flatMap(([path, pathItem]) => Object.keys(pathItem)
+    .filter(method => method !== 'parameters')
+    .map(method => `${method} ${path}`));
+  const documented = new Set(operations);
+
+  return {
+    undocumented: routes.filter(route => !documented.has(`${route.method} ${route.path}`)).map(route => route.source),
+    unrouted: operations.filter(operation => !routed.has(operation)).map(operation => {
+      const [method, path] = operation.split(' ');
+      return `${method.toUpperCase()} ${path}`;
+    })
+  };
+};
+
+module.exports = {
+  findDrift
+};
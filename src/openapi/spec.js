@@ -0,0 +1,787 @@
+const { version } = require('../../package.json');
+
+// Reusable schemas and parameters, referenced with $ref below
+
+const UV_RISK = { type: 'string', nullable: true, enum: ['low', 'moderate', 'high', 'very-high', 'extreme', null] };
+const DEW_POINT_COMFORT = { type: 'string', nullable: true, enum: ['dry', 'comfortable', 'humid', 'muggy', 'oppressive', 'miserable', null] };
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['error', 'code', 'message'],
+    properties: {
+      error: { type: 'boolean', enum: [true] },
+      code: { type: 'string', description: 'Stable error code, see README' },
+      message: { type: 'string' },
+      details: { type: 'object', nullable: true },
+      requestId: { type: 'string' }
+    }
+  },
+  Coordinates: {
+    type: 'object',
+    properties: {
+      latitude: { type: 'number' },
+      longitude: { type: 'number' }
+    }
+  },
+  Conditions: {
+    type: 'object',
+    description: 'Weather conditions; field names follow the Visual Crossing timeline API',
+    properties: {
+      datetime: { type: 'string' },
+      datetimeEpoch: { type: 'integer' },
+      temp: { type: 'number' },
+      feelslike: { type: 'number' },
+      humidity: { type: 'number' },
+      dew: { type: 'number' },
+      precip: { type: 'number' },
+      precipprob: { type: 'number' },
+      snow: { type: 'number' },
+      windspeed: { type: 'number' },
+      windgust: { type: 'number', nullable: true },
+      winddir: { type: 'number' },
+      pressure: { type: 'number' },
+      cloudcover: { type: 'number' },
+      uvindex: { type: 'number' },
+      conditions: { type: 'string' },
+      icon: { type: 'string' }
+    }
+  },
+  Day: {
+    allOf: [
+      { $ref: '#/components/schemas/Conditions' },
+      {
+        type: 'object',
+        properties: {
+          tempmax: { type: 'number' },
+          tempmin: { type: 'number' },
+          description: { type: 'string' },
+          hours: { type: 'array', items: { $ref: '#/components/schemas/Conditions' } }
+        }
+      }
+    ]
+  },
+  Alert: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', nullable: true },
+      event: { type: 'string', nullable: true },
+      headline: { type: 'string', nullable: true },
+      severity: { type: 'string', enum: ['extreme', 'severe', 'moderate', 'minor', 'unknown'] },
+      onset: { type: 'string', nullable: true },
+      expires: { type: 'string', nullable: true },
+      description: { type: 'string', nullable: true },
+      link: { type: 'string', nullable: true }
+    }
+  },
+  WeatherData: {
+    type: 'object',
+    properties: {
+      address: { type: 'string' },
+      resolvedAddress: { type: 'string' },
+      latitude: { type: 'number' },
+      longitude: { type: 'number' },
+      timezone: { type: 'string' },
+      tzoffset: { type: 'number' },
+      unitGroup: { type: 'string', enum: ['metric', 'us', 'uk'] },
+      currentConditions: { $ref: '#/components/schemas/Conditions' },
+      days: { type: 'array', items: { $ref: '#/components/schemas/Day' } },
+      alerts: { type: 'array', items: { type: 'object' } },
+      provider: { type: 'string' }
+    }
+  },
+  Insights: {
+    type: 'object',
+    properties: {
+      unitGroup: { type: 'string', enum: ['metric', 'us', 'uk'] },
+      now: {
+        type: 'object',
+        nullable: true,
+        description: 'Comfort of the hour in progress; heatIndex and windChill are null where they are not defined',
+        properties: {
+          datetime: { type: 'string' },
+          temp: { type: 'number' },
+          feelslike: { type: 'number' },
+          heatIndex: { type: 'number', nullable: true },
+          heatRisk: { type: 'string', nullable: true, enum: ['caution', 'extreme-caution', 'danger', 'extreme-danger', null] },
+          windChill: { type: 'number', nullable: true },
+          dew: { type: 'number' },
+          dewPointComfort: DEW_POINT_COMFORT,
+          uvindex: { type: 'number' },
+          uvRisk: UV_RISK
+        }
+      },
+      bestHours: {
+        type: 'object',
+        description: 'Longest run of hours left today (06:00 to 21:00 local time) that suit the activity',
+        properties: {
+          criteria: { type: 'object' },
+          date: { type: 'string', nullable: true },
+          window: {
+            type: 'object',
+            nullable: true,
+            properties: {
+              start: { type: 'string', description: 'Start of the first suitable hour' },
+              end: { type: 'string', description: 'Start of the last suitable hour' },
+              hours: { type: 'integer' }
+            }
+          },
+          blockedBy: { type: 'object', description: 'Number of hours that failed each criterion', additionalProperties: { type: 'integer' } }
+        }
+      },
+      warnings: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', enum: ['frost', 'heavy-rain'] },
+            date: { type: 'string' },
+            message: { type: 'string' }
+          }
+        }
+      },
+      days: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            datetime: { type: 'string' },
+            tempmax: { type: 'number' },
+            tempmin: { type: 'number' },
+            heatIndexMax: { type: 'number', nullable: true },
+            heatRisk: { type: 'string', nullable: true },
+            windChillMin: { type: 'number', nullable: true },
+            dew: { type: 'number' },
+            dewPointComfort: DEW_POINT_COMFORT,
+            uvindex: { type: 'number' },
+            uvRisk: UV_RISK,
+            wind: { type: 'string', nullable: true, enum: ['calm', 'light', 'moderate', 'strong', 'gale-force', null] },
+            summary: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  ApiKey: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      plan: { type: 'string' },
+      keyPrefix: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+      rotatedAt: { type: 'string', format: 'date-time', nullable: true },
+      revokedAt: { type: 'string', format: 'date-time', nullable: true },
+      key: { type: 'string', description: 'Only returned when the key is issued or rotated' }
+    }
+  },
+  Profile: {
+    type: 'object',
+    properties: {
+      units: { type: 'string', enum: ['metric', 'us', 'uk'], nullable: true, description: 'Unit group used when a request does not name one' },
+      forecastDays: { type: 'integer', nullable: true, description: 'Number of days the forecast returns when days is not given' },
+      locations: {
+        type: 'object',
+        description: 'Saved locations by name, used as @name in place of a location',
+        additionalProperties: { type: 'string' }
+      }
+    }
+  },
+  Subscription: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      location: { type: 'string' },
+      webhookUrl: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+      secret: { type: 'string', description: 'Only returned when the subscription is created' }
+    }
+  }
+};
+
+const UNIT_GROUP = { type: 'string', enum: ['metric', 'us', 'uk'], default: 'metric' };
+const LOCATION_LIST = { type: 'array', minItems: 1, items: { type: 'string', minLength: 1, pattern: '\\S' } };
+
+const parameters = {
+  location: {
+    name: 'location',
+    in: 'path',
+    required: true,
+    description: 'City name, zip code, coordinates (e.g. "London", "90210", "37.8267,-122.4233") or a location saved in the API key\'s profile (e.g. "@home")',
+    schema: { type: 'string', minLength: 1, pattern: '\\S' }
+  },
+  unitGroup: {
+    name: 'unitGroup',
+    in: 'query',
+    description: 'Unit system; data is converted from one metric cache entry',
+    schema: UNIT_GROUP
+  },
+  fields: {
+    name: 'fields',
+    in: 'query',
+    description: 'Comma-separated dotted paths to return, e.g. days.datetime,days.tempmax',
+    schema: { type: 'string', pattern: '^\\s*[A-Za-z_]\\w*(\\.[A-Za-z_]\\w*)*(\\s*,\\s*[A-Za-z_]\\w*(\\.[A-Za-z_]\\w*)*)*\\s*$' }
+  },
+  id: {
+    name: 'id',
+    in: 'path',
+    required: true,
+    schema: { type: 'string', minLength: 1 }
+  },
+  subscriptionSecret: {
+    name: 'X-Subscription-Secret',
+    in: 'header',
+    description: 'Secret returned when the subscription was created; not needed with the API key that created it',
+    schema: { type: 'string' }
+  }
+};
+
+/**
+ * The `format` parameter, listing the formats a route supports
+ * @param {...string} extra - Formats besides json and xml
+ * @returns {Object} - Parameter object
+ */
+const formatParameter = (...extra) => ({
+  name: 'format',
+  in: 'query',
+  description: 'Output format; may also be chosen with the Accept header',
+  schema: { type: 'string', enum: ['json', 'xml', ...extra] }
+});
+
+const ref = (group, name) => ({ $ref: `#/components/${group}/${name}` });
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+
+const errorResponse = (description) => ({ description, content: jsonContent(ref('schemas', 'Error')) });
+
+// Responses every route can return
+const commonResponses = {
+  400: errorResponse('Invalid request parameters or body'),
+  401: errorResponse('Missing or invalid API key'),
+  429: errorResponse('Quota exceeded')
+};
+
+// Responses of routes that read weather data
+const weatherResponses = {
+  ...commonResponses,
+  404: errorResponse('Unknown location'),
+  502: errorResponse('The weather provider failed'),
+  503: errorResponse('The weather provider\'s quota is used up'),
+  504: errorResponse('The weather provider did not answer in time')
+};
+
+const adminResponses = {
+  401: errorResponse('Missing or invalid admin token'),
+  403: errorResponse('Admin routes are disabled')
+};
+
+const weatherSummary = (extra) => ({
+  type: 'object',
+  properties: {
+    location: { type: 'string' },
+    coordinates: ref('schemas', 'Coordinates'),
+    timezone: { type: 'string' },
+    provider: { type: 'string' },
+    ...extra
+  }
+});
+
+const paths = {
+  '/': {
+    get: {
+      tags: ['Meta'],
+      summary: 'List the main endpoints',
+      security: [],
+      responses: { 200: { description: 'Endpoint overview', content: jsonContent({ type: 'object' }) } }
+    }
+  },
+  '/health': {
+    get: {
+      tags: ['Meta'],
+      summary: 'Health check with cache and upstream statistics',
+      security: [],
+      responses: { 200: { description: 'The server is up', content: jsonContent({ type: 'object' }) } }
+    }
+  },
+  '/metrics': {
+    get: {
+      tags: ['Meta'],
+      summary: 'Prometheus metrics',
+      security: [],
+      responses: { 200: { description: 'Metrics in the Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } } }
+    }
+  },
+  '/openapi.json': {
+    get: {
+      tags: ['Meta'],
+      summary: 'This document',
+      security: [],
+      responses: { 200: { description: 'OpenAPI document', content: jsonContent({ type: 'object' }) } }
+    }
+  },
+  '/api/weather/batch': {
+    post: {
+      tags: ['Weather'],
+      summary: 'Get weather for many locations',
+      description: 'Counts against the quota as one request per location. Each location succeeds or fails on its own.',
+      parameters: [ref('parameters', 'fields'), formatParameter()],
+      requestBody: {
+        required: true,
+        content: jsonContent({
+          type: 'object',
+          required: ['locations'],
+          properties: {
+            locations: LOCATION_LIST,
+            view: { type: 'string', enum: ['current', 'forecast'], default: 'current' },
+            unitGroup: UNIT_GROUP,
+            days: { type: 'integer', minimum: 1 }
+          }
+        })
+      },
+      responses: { 200: { description: 'One result per location', content: jsonContent({ type: 'object' }) }, ...commonResponses }
+    }
+  },
+  '/api/weather/{location}': {
+    get: {
+      tags: ['Weather'],
+      summary: 'Get weather data for a location',
+      parameters: [
+        ref('parameters', 'location'),
+        ref('parameters', 'unitGroup'),
+        {
+          name: 'include',
+          in: 'query',
+          description: 'Sections to include',
+          schema: { type: 'string', pattern: '^(days|hours|current|alerts)(,(days|hours|current|alerts))*$' }
+        },
+        { name: 'elements', in: 'query', description: 'Weather elements to return', schema: { type: 'string', pattern: '^\\w+(,\\w+)*$' } },
+        { name: 'startDate', in: 'query', description: 'Start date (YYYY-MM-DD); requires endDate', schema: { type: 'string', format: 'date' } },
+        { name: 'endDate', in: 'query', description: 'End date (YYYY-MM-DD); requires startDate', schema: { type: 'string', format: 'date' } },
+        ref('parameters', 'fields'),
+        formatParameter()
+      ],
+      responses: { 200: { description: 'Weather data', content: jsonContent(ref('schemas', 'WeatherData')) }, ...weatherResponses }
+    }
+  },
+  '/api/weather/{location}/current': {
+    get: {
+      tags: ['Weather'],
+      summary: 'Get current conditions',
+      parameters: [ref('parameters', 'location'), ref('parameters', 'unitGroup'), ref('parameters', 'fields'), formatParameter()],
+      responses: {
+        200: { description: 'Current conditions', content: jsonContent(weatherSummary({ current: ref('schemas', 'Conditions') })) },
+        ...weatherResponses
+      }
+    }
+  },
+  '/api/weather/{location}/stream': {
+    get: {
+      tags: ['Weather'],
+      summary: 'Stream current conditions as Server-Sent Events',
+      description: 'Sends a `conditions` event with the body of /current right away and again whenever the conditions change, '
+        + 'a `failure` event when refreshing them fails, and a comment line as heartbeat. Counts as one request and one open stream. '
+        + 'To stream several locations over one connection, open a WebSocket to /api/stream and send '
+        + '`{"type": "subscribe", "locations": ["London", "@home"], "unitGroup": "metric"}`; '
+        + 'conditions arrive as `{"type": "conditions", "subscription": "London", ...}`.',
+      parameters: [ref('parameters', 'location'), ref('parameters', 'unitGroup')],
+      responses: {
+        200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+        ...weatherResponses
+      }
+    }
+  },
+  '/api/weather/{location}/forecast': {
+    get: {
+      tags: ['Weather'],
+      summary: 'Get the daily forecast',
+      parameters: [
+        ref('parameters', 'location'),
+        ref('parameters', 'unitGroup'),
+        { name: 'days', in: 'query', description: 'Number of days to return', schema: { type: 'integer', minimum: 1 } },
+        ref('parameters', 'fields'),
+        formatParameter('csv', 'ics'),
+        { name: 'key', in: 'query', description: 'API key, only read with format=ics, for calendar apps that cannot send headers', schema: { type: 'string' } }
+      ],
+      responses: {
+        200: {
+          description: 'Daily forecast',
+          content: {
+            ...jsonContent(weatherSummary({ days: { type: 'array', items: ref('schemas', 'Day') } })),
+            'text/csv': { schema: { type: 'string' } },
+            'text/calendar': { schema: { type: 'string' } }
+          }
+        },
+        ...weatherResponses
+      }
+    }
+  },
+  '/api/weather/{location}/hourly': {
+    get: {
+      tags: ['Weather'],
+      summary: 'Get the hourly forecast for the next N hours or a local time window',
+      parameters: [
+        ref('parameters', 'location'),
+        ref('parameters', 'unitGroup'),
+        { name: 'hours', in: 'query', description: 'Number of hours to return (defaults to 24)', schema: { type: 'integer', minimum: 1 } },
+        { name: 'from', in: 'query', description: 'Start of the window in local time (YYYY-MM-DD or YYYY-MM-DDTHH:mm)', schema: { type: 'string' } },
+        { name: 'to', in: 'query', description: 'End of the window in local time', schema: { type: 'string' } },
+        ref('parameters', 'fields'),
+        formatParameter('csv')
+      ],
+      responses: {
+        200: {
+          description: 'Hourly forecast',
+          content: {
+            ...jsonContent(weatherSummary({ hours: { type: 'array', items: ref('schemas', 'Conditions') } })),
+            'text/csv': { schema: { type: 'string' } }
+          }
+        },
+        ...weatherResponses
+      }
+    }
+  },
+  '/api/weather/{location}/insights': {
+    get: {
+      tags: ['Weather'],
+      summary: 'Get comfort indices, the best hours today for an activity, warnings and daily summaries',
+      description: 'Derived from the cached forecast that /forecast and /hourly are served from, so it costs no extra upstream call. '
+        + 'Without a cached forecast the answer is 404 with code NOT_CACHED. '
+        + 'Criteria are in the requested unit group and replace those of the activity.',
+      parameters: [
+        ref('parameters', 'location'),
+        ref('parameters', 'unitGroup'),
+        { name: 'days', in: 'query', description: 'Number of days to summarize', schema: { type: 'integer', minimum: 1 } },
+        { name: 'activity', in: 'query', description: 'Activity whose criteria pick the best hours', schema: { type: 'string', enum: ['walking', 'running', 'cycling', 'beach'], default: 'walking' } },
+        { name: 'minTemp', in: 'query', description: 'Lowest feels-like temperature', schema: { type: 'number' } },
+        { name: 'maxTemp', in: 'query', description: 'Highest feels-like temperature', schema: { type: 'number' } },
+        { name: 'maxWind', in: 'query', description: 'Highest wind speed', schema: { type: 'number', minimum: 0 } },
+        { name: 'maxPrecipProb', in: 'query', description: 'Highest precipitation probability in %', schema: { type: 'number', minimum: 0, maximum: 100 } },
+        { name: 'maxUv', in: 'query', description: 'Highest UV index', schema: { type: 'number', minimum: 0 } },
+        { name: 'minHours', in: 'query', description: 'Shortest window worth reporting, in hours', schema: { type: 'integer', minimum: 1, maximum: 16, default: 1 } },
+        ref('parameters', 'fields'),
+        formatParameter()
+      ],
+      responses: {
+        200: { description: 'Weather insights', content: jsonContent({ allOf: [weatherSummary({}), ref('schemas', 'Insights')] }) },
+        ...weatherResponses,
+        404: errorResponse('Unknown location, or no forecast cached for it (NOT_CACHED)')
+      }
+    }
+  },
+  '/api/weather/{location}/alerts': {
+    get: {
+      tags: ['Weather'],
+      summary: 'Get active severe weather alerts',
+      parameters: [ref('parameters', 'location'), ref('parameters', 'fields'), formatParameter()],
+      responses: {
+        200: { description: 'Active alerts', content: jsonContent(weatherSummary({ alerts: { type: 'array', items: ref('schemas', 'Alert') } })) },
+        ...weatherResponses
+      }
+    }
+  },
+  '/api/weather/{location}/history': {
+    get: {
+      tags: ['Weather'],
+      summary: 'Get historical daily weather',
+      parameters: [
+        ref('parameters', 'location'),
+        { name: 'from', in: 'query', required: true, description: 'Start date (YYYY-MM-DD), yesterday or lastNdays', schema: { type: 'string', pattern: '^(\\d{4}-\\d{2}-\\d{2}|yesterday|last\\d+days)$' } },
+        { name: 'to', in: 'query', description: 'End date (YYYY-MM-DD), defaults to from', schema: { type: 'string', format: 'date' } },
+        ref('parameters', 'unitGroup'),
+        { name: 'include', in: 'query', schema: { type: 'string', pattern: '^(days|hours)(,(days|hours))*$' } },
+        ref('parameters', 'fields'),
+        formatParameter('csv')
+      ],
+      responses: {
+        200: {
+          description: 'Daily history',
+          content: {
+            ...jsonContent(weatherSummary({
+              from: { type: 'string', format: 'date' },
+              to: { type: 'string', format: 'date' },
+              days: { type: 'array', items: ref('schemas', 'Day') }
+            })),
+            'text/csv': { schema: { type: 'string' } }
+          }
+        },
+        ...weatherResponses
+      }
+    }
+  },
+  '/api/subscriptions': {
+    post: {
+      tags: ['Subscriptions'],
+      summary: 'Register a webhook for severe weather alerts',
+      requestBody: {
+        required: true,
+        content: jsonContent({
+          type: 'object',
+          required: ['location', 'webhookUrl'],
+          properties: {
+            location: { type: 'string', minLength: 1, pattern: '\\S', description: 'Location; a saved location ("@home") is resolved when the subscription is created' },
+            webhookUrl: { type: 'string', pattern: '^https?://', description: 'Must resolve to a public address; loopback, link-local and private addresses are refused' }
+          }
+        })
+      },
+      responses: { 201: { description: 'Subscription, including its signing secret', content: jsonContent(ref('schemas', 'Subscription')) }, ...commonResponses }
+    }
+  },
+  '/api/subscriptions/{id}': {
+    get: {
+      tags: ['Subscriptions'],
+      summary: 'Get a subscription',
+      description: 'Needs the API key that created the subscription or its secret in X-Subscription-Secret.',
+      parameters: [ref('parameters', 'id'), ref('parameters', 'subscriptionSecret')],
+      responses: { 200: { description: 'Subscription', content: jsonContent(ref('schemas', 'Subscription')) }, 404: errorResponse('Unknown subscription, or not created with this API key or secret') }
+    },
+    delete: {
+      tags: ['Subscriptions'],
+      summary: 'Delete a subscription',
+      description: 'Needs the API key that created the subscription or its secret in X-Subscription-Secret.',
+      parameters: [ref('parameters', 'id'), ref('parameters', 'subscriptionSecret')],
+      responses: { 204: { description: 'Deleted' }, 404: errorResponse('Unknown subscription, or not created with this API key or secret') }
+    }
+  },
+  '/api/profile': {
+    get: {
+      tags: ['Profile'],
+      summary: 'Get the saved locations and preferences of the API key',
+      responses: { 200: { description: 'Profile', content: jsonContent(ref('schemas', 'Profile')) }, 401: errorResponse('No API key') }
+    },
+    patch: {
+      tags: ['Profile'],
+      summary: 'Change preferences; null clears one',
+      requestBody: {
+        required: true,
+        content: jsonContent({
+          type: 'object',
+          minProperties: 1,
+          properties: {
+            units: { type: 'string', enum: ['metric', 'us', 'uk'], nullable: true },
+            forecastDays: { type: 'integer', minimum: 1, maximum: 15, nullable: true }
+          }
+        })
+      },
+      responses: { 200: { description: 'Profile', content: jsonContent(ref('schemas', 'Profile')) }, 400: errorResponse('Invalid preferences'), 401: errorResponse('No API key') }
+    }
+  },
+  '/api/profile/locations/{name}': {
+    put: {
+      tags: ['Profile'],
+      summary: 'Save a location under a name',
+      parameters: [{ name: 'name', in: 'path', required: true, description: 'Name, used as @name', schema: { type: 'string', pattern: '^@?[A-Za-z0-9][\\w-]{0,31}$' } }],
+      requestBody: {
+        required: true,
+        content: jsonContent({
+          type: 'object',
+          required: ['location'],
+          properties: { location: { type: 'string', minLength: 1, pattern: '^\\s*[^@\\s]' } }
+        })
+      },
+      responses: { 200: { description: 'Profile', content: jsonContent(ref('schemas', 'Profile')) }, 400: errorResponse('Invalid name or location'), 401: errorResponse('No API key') }
+    },
+    delete: {
+      tags: ['Profile'],
+      summary: 'Remove a saved location',
+      parameters: [{ name: 'name', in: 'path', required: true, schema: { type: 'string' } }],
+      responses: { 204: { description: 'Removed' }, 401: errorResponse('No API key'), 404: errorResponse('Unknown saved location') }
+    }
+  },
+  '/admin/plans': {
+    get: {
+      tags: ['Admin'],
+      summary: 'List plans',
+      security: [{ adminToken: [] }],
+      responses: { 200: { description: 'Plans by name', content: jsonContent({ type: 'object' }) }, ...adminResponses }
+    }
+  },
+  '/admin/keys': {
+    get: {
+      tags: ['Admin'],
+      summary: 'List API keys with their usage',
+      security: [{ adminToken: [] }],
+      responses: { 200: { description: 'API keys', content: jsonContent({ type: 'object' }) }, ...adminResponses }
+    },
+    post: {
+      tags: ['Admin'],
+      summary: 'Issue an API key',
+      security: [{ adminToken: [] }],
+      requestBody: {
+        required: true,
+        content: jsonContent({
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: { type: 'string', minLength: 1, pattern: '\\S' },
+            plan: { type: 'string', default: 'basic' }
+          }
+        })
+      },
+      responses: { 201: { description: 'The key, shown only once', content: jsonContent(ref('schemas', 'ApiKey')) }, 400: errorResponse('Invalid name or plan'), ...adminResponses }
+    }
+  },
+  '/admin/keys/{id}/rotate': {
+    post: {
+      tags: ['Admin'],
+      summary: 'Replace the secret of an API key',
+      security: [{ adminToken: [] }],
+      parameters: [ref('parameters', 'id')],
+      responses: { 200: { description: 'The new key, shown only once', content: jsonContent(ref('schemas', 'ApiKey')) }, 404: errorResponse('Unknown key'), ...adminResponses }
+    }
+  },
+  '/admin/keys/{id}': {
+    delete: {
+      tags: ['Admin'],
+      summary: 'Revoke an API key',
+      security: [{ adminToken: [] }],
+      parameters: [ref('parameters', 'id')],
+      responses: { 200: { description: 'The revoked key', content: jsonContent(ref('schemas', 'ApiKey')) }, 404: errorResponse('Unknown key'), ...adminResponses }
+    }
+  },
+  '/admin/cache': {
+    delete: {
+      tags: ['Admin'],
+      summary: 'Flush the whole cache',
+      security: [{ adminToken: [] }],
+      responses: { 200: { description: 'Flushed', content: jsonContent({ type: 'object' }) }, ...adminResponses }
+    }
+  },
+  '/admin/cache/stats': {
+    get: {
+      tags: ['Admin'],
+      summary: 'Cache hit rate, size and memory statistics',
+      security: [{ adminToken: [] }],
+      responses: { 200: { description: 'Statistics', content: jsonContent({ type: 'object' }) }, ...adminResponses }
+    }
+  },
+  '/admin/cache/prewarm': {
+    get: {
+      tags: ['Admin'],
+      summary: 'Last and next refresh of every prewarmed location',
+      security: [{ adminToken: [] }],
+      responses: {
+        200: {
+          description: 'Prewarm status',
+          content: jsonContent({
+            type: 'object',
+            properties: {
+              enabled: { type: 'boolean' },
+              lastRunAt: { type: 'string', format: 'date-time', nullable: true },
+              jobs: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    location: { type: 'string' },
+                    view: { type: 'string', enum: ['current', 'forecast'] },
+                    lastRefreshAt: { type: 'string', format: 'date-time', nullable: true },
+                    lastAttemptAt: { type: 'string', format: 'date-time', nullable: true },
+                    nextRefreshAt: { type: 'string', format: 'date-time', nullable: true },
+                    failures: { type: 'integer', description: 'Failed refreshes in a row' },
+                    lastError: { type: 'object', nullable: true, properties: { code: { type: 'string' }, message: { type: 'string' } } },
+                    provider: { type: 'string', nullable: true }
+                  }
+                }
+              }
+            }
+          })
+        },
+        ...adminResponses
+      }
+    }
+  },
+  '/admin/cache/keys': {
+    get: {
+      tags: ['Admin'],
+      summary: 'List cache keys with their type (weather or alias) and remaining TTL',
+      security: [{ adminToken: [] }],
+      parameters: [
+        { name: 'pattern', in: 'query', description: 'Glob on the key', schema: { type: 'string' } },
+        { name: 'location', in: 'query', description: 'Glob on the normalized location', schema: { type: 'string' } }
+      ],
+      responses: { 200: { description: 'Keys', content: jsonContent({ type: 'object' }) }, ...adminResponses }
+    }
+  },
+  '/admin/cache/entry': {
+    get: {
+      tags: ['Admin'],
+      summary: 'Get a single cache entry',
+      security: [{ adminToken: [] }],
+      parameters: [{ name: 'key', in: 'query', required: true, schema: { type: 'string', minLength: 1 } }],
+      responses: { 200: { description: 'Entry', content: jsonContent({ type: 'object' }) }, 404: errorResponse('Unknown key'), ...adminResponses }
+    }
+  },
+  '/admin/cache/invalidate': {
+    post: {
+      tags: ['Admin'],
+      summary: 'Remove entries by exact key or location glob; a location glob also removes its aliases',
+      security: [{ adminToken: [] }],
+      requestBody: {
+        required: true,
+        content: jsonContent({
+          type: 'object',
+          minProperties: 1,
+          properties: {
+            key: { type: 'string', minLength: 1 },
+            location: { type: 'string', minLength: 1 }
+          }
+        })
+      },
+      responses: { 200: { description: 'Removed keys', content: jsonContent({ type: 'object' }) }, 400: errorResponse('Neither key nor location given'), ...adminResponses }
+    }
+  },
+  '/admin/cache/warm': {
+    post: {
+      tags: ['Admin'],
+      summary: 'Fetch fresh data for a list of locations',
+      security: [{ adminToken: [] }],
+      requestBody: {
+        required: true,
+        content: jsonContent({
+          type: 'object',
+          required: ['locations'],
+          properties: {
+            locations: LOCATION_LIST,
+            views: { type: 'array', minItems: 1, items: { type: 'string', enum: ['current', 'forecast'] } },
+            unitGroup: UNIT_GROUP
+          }
+        })
+      },
+      responses: { 200: { description: 'One result per location and view', content: jsonContent({ type: 'object' }) }, 400: errorResponse('Invalid body'), ...adminResponses }
+    }
+  }
+};
+
+/**
+ * The OpenAPI document describing every route of the API. Requests are
+ * validated against it, and the server refuses to start when its routes
+ * and this document disagree.
+ */
+const spec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Weather API',
+    version,
+    description: 'Weather data with caching, served from Visual Crossing or Open-Meteo. Errors use the envelope described by the Error schema.'
+  },
+  tags: [
+    { name: 'Weather' },
+    { name: 'Subscriptions' },
+    { name: 'Profile', description: 'Saved locations and preferences of an API key' },
+    { name: 'Admin' },
+    { name: 'Meta' }
+  ],
+  security: [{}, { apiKey: [] }, { bearer: [] }],
+  paths,
+  components: {
+    schemas,
+    parameters,
+    securitySchemes: {
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      bearer: { type: 'http', scheme: 'bearer', description: 'API key as a bearer token' },
+      adminToken: { type: 'apiKey', in: 'header', name: 'X-Admin-Token' }
+    }
+  }
+};
+
+module.exports = spec;
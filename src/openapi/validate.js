@@ -0,0 +1,239 @@
+const Ajv = require('ajv');
+const spec = require('./spec');
+const { ValidationError } = require('../utils/errors');
+
+// Query strings and paths only carry strings, so their values are coerced
+// to the schema's type; JSON bodies must already have the right types
+const parameterAjv = new Ajv({ coerceTypes: true, allErrors: true, strict: false });
+const bodyAjv = new Ajv({ allErrors: true, strict: false });
+const responseAjv = new Ajv({ allErrors: true, strict: false });
+
+[parameterAjv, bodyAjv, responseAjv].forEach(ajv => ajv.addFormat('date', /^\d{4}-\d{2}-\d{2}$/));
+responseAjv.addFormat('date-time', { validate: value => !isNaN(Date.parse(value)) });
+
+const PARAMETER_LOCATIONS = { path: 'Path parameter', query: 'Query parameter' };
+
+/**
+ * Resolve a local $ref such as #/components/parameters/location
+ * @param {Object} value - Object that may be a reference
+ * @returns {Object} - Referenced object, or value itself
+ */
+const resolve = (value) => {
+  if (!value || !value.$ref) return value;
+  return value.$ref.slice(2).split('/').reduce((node, key) => node[key], spec);
+};
+
+/**
+ * Decode a path segment, keeping it as it is when it is not valid
+ * percent-encoding
+ * @param {string} segment - Raw path segment
+ * @returns {string} - Decoded segment
+ */
+const decode = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+};
+
+/**
+ * Turn an OpenAPI path template into a regular expression
+ * @param {string} template - Path such as /api/weather/{location}/current
+ * @returns {RegExp} - Pattern capturing the path parameters in order
+ */
+const toPattern = (template) => new RegExp(`^${template
+  .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+  .replace(/\{[^}]+\}/g, '([^/]+)')}/?$`);
+
+/**
+ * Compile the validators of one operation
+ * @param {string} template - Path template
+ * @param {Object} operation - OpenAPI operation
+ * @param {Array<Object>} pathParameters - Parameters shared by the path item
+ * @returns {Object} - Compiled operation
+ */
+const compileOperation = (template, operation, pathParameters = []) => {
+  const parameters = [...pathParameters, ...(operation.parameters || [])].map(resolve).map(parameter => ({
+    ...parameter,
+    validate: parameterAjv.compile(parameter.schema || {})
+  }));
+  const body = operation.requestBody && resolve(operation.requestBody);
+  const bodySchema = body && body.content['application/json'] && body.content['application/json'].schema;
+
+  return {
+    pattern: toPattern(template),
+    pathNames: (template.match(/\{[^}]+\}/g) || []).map(name => name.slice(1, -1)),
+    parameters,
+    bodyRequired: Boolean(body && body.required),
+    validateBody: bodySchema && bodyAjv.compile(resolve(bodySchema)),
+    responses: operation.responses || {},
+    responseValidators: {}
+  };
+};
+
+// Operations by method; static paths are listed before templated ones so
+// /api/weather/batch is not taken for a location
+const operations = {};
+
+Object.entries(spec.paths)
+  .sort(([a], [b]) => Number(a.includes('{')) - Number(b.includes('{')))
+  .forEach(([template, pathItem]) => {
+    Object.entries(pathItem)
+      .filter(([method]) => method !== 'parameters')
+      .forEach(([method, operation]) => {
+        operations[method] = operations[method] || [];
+        operations[method].push(compileOperation(template, operation, pathItem.parameters));
+      });
+  });
+
+/**
+ * Describe an Ajv error in words, naming allowed values for enums
+ * @param {Object} error - Ajv error
+ * @returns {string} - Message such as "must be >= 1"
+ */
+const describe = (error) => {
+  if (error.keyword === 'enum') return `must be one of ${error.params.allowedValues.join(', ')}`;
+  if (error.keyword === 'pattern') return 'has an invalid format';
+  if (['minLength', 'minItems', 'minProperties'].includes(error.keyword) && error.params.limit === 1) return 'must not be empty';
+  return error.message;
+};
+
+/**
+ * Name of the body property an Ajv error is about, e.g. locations[0]
+ * @param {Object} error - Ajv error
+ * @returns {string|undefined} - Property path, or undefined for the body itself
+ */
+const propertyPath = (error) => {
+  const segments = error.instancePath.split('/').slice(1);
+  if (error.keyword === 'required') segments.push(error.params.missingProperty);
+
+  return segments.reduce((path, segment) => (
+    /^\d+$/.test(segment) ? `${path}[${segment}]` : (path ? `${path}.${segment}` : segment)
+  ), '') || undefined;
+};
+
+/**
+ * Check a request against its operation
+ * @param {Object} operation - Compiled operation
+ * @param {Object} req - Express request
+ * @param {Array<string>} pathValues - Captured path parameter values
+ * @returns {Array<Object>} - Problems as { in, parameter, message }
+ */
+const findProblems = (operation, req, pathValues) => {
+  const problems = [];
+  const values = {
+    path: Object.fromEntries(operation.pathNames.map((name, index) => [name, decode(pathValues[index])])),
+    query: req.query
+  };
+
+  operation.parameters.forEach(parameter => {
+    const label = `${PARAMETER_LOCATIONS[parameter.in]} ${parameter.name}`;
+    const value = values[parameter.in] && values[parameter.in][parameter.name];
+
+    if (value === undefined || value === '') {
+      if (parameter.required) problems.push({ in: parameter.in, parameter: parameter.name, message: `${label} is required` });
+      return;
+    }
+
+    // A repeated query parameter arrives as an array
+    if (Array.isArray(value)) {
+      problems.push({ in: parameter.in, parameter: parameter.name, message: `${label} must only be given once` });
+      return;
+    }
+
+    if (!parameter.validate(value)) {
+      parameter.validate.errors.forEach(error => {
+        problems.push({ in: parameter.in, parameter: parameter.name, message: `${label} ${describe(error)}` });
+      });
+    }
+  });
+
+  if (operation.validateBody) {
+    if (operation.bodyRequired && !req.is('application/json')) {
+      problems.push({ in: 'body', message: 'Request body must be JSON (Content-Type: application/json)' });
+    } else if (!operation.validateBody(req.body || {})) {
+      operation.validateBody.errors.forEach(error => {
+        const parameter = propertyPath(error);
+        const label = parameter ? `Body field ${parameter}` : 'Request body';
+        const message = error.keyword === 'required' ? `${label} is required` : `${label} ${describe(error)}`;
+
+        problems.push({ in: 'body', parameter, message });
+      });
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * Validate path parameters, query parameters and the JSON body against
+ * the OpenAPI document, before any route handler (and upstream call)
+ * runs. Requests that match no documented operation are passed on.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+const validateRequest = (req, res, next) => {
+  const path = req.originalUrl.split('?')[0];
+  const candidates = operations[req.method.toLowerCase()] || [];
+
+  for (const operation of candidates) {
+    const match = path.match(operation.pattern);
+    if (!match) continue;
+
+    const problems = findProblems(operation, req, match.slice(1));
+    if (problems.length === 0) return next();
+
+    return next(new ValidationError(problems[0].message, {
+      details: { parameter: problems[0].parameter, errors: problems }
+    }));
+  }
+
+  return next();
+};
+
+/**
+ * Find the documented operation a request path belongs to
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path, without the query string
+ * @returns {Object|null} - Compiled operation
+ */
+const findOperation = (method, path) => (operations[method.toLowerCase()] || [])
+  .find(operation => operation.pattern.test(path)) || null;
+
+/**
+ * Check a JSON response body against the document. Used by the
+ * contract tests, so responses cannot drift from the schemas clients
+ * are generated from.
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path, without the query string
+ * @param {number} status - Response status
+ * @param {any} body - Parsed JSON body
+ * @returns {Array<Object>} - Problems as { field, message }; empty when the body matches
+ */
+const findResponseProblems = (method, path, status, body) => {
+  const operation = findOperation(method, path);
+  if (!operation) return [{ message: `${method.toUpperCase()} ${path} is not documented` }];
+
+  const response = operation.responses[status] || operation.responses.default;
+  if (!response) return [{ message: `Status ${status} of ${method.toUpperCase()} ${path} is not documented` }];
+
+  const schema = response.content && response.content['application/json'] && response.content['application/json'].schema;
+  if (!schema) return [{ message: `Status ${status} of ${method.toUpperCase()} ${path} is not documented as JSON` }];
+
+  // Compiled with the components alongside, so #/components/... references resolve
+  if (!operation.responseValidators[status]) {
+    operation.responseValidators[status] = responseAjv.compile({ ...resolve(schema), components: spec.components });
+  }
+
+  const validate = operation.responseValidators[status];
+  if (validate(body)) return [];
+
+  return validate.errors.map(error => ({ field: propertyPath(error), message: describe(error) }));
+};
+
+module.exports = {
+  validateRequest,
+  findResponseProblems
+};
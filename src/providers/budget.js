@@ -0,0 +1,213 @@
+const { UpstreamQuotaError } = require('../utils/errors');
+const { upstreamBudgetRejections } = require('../utils/metrics');
+const { logger } = require('../utils/logger');
+
+// Load environment variables
+const dailyLimit = parseInt(process.env.UPSTREAM_DAILY_BUDGET) || 0; // records per UTC day, 0 = unlimited
+const minuteLimit = parseInt(process.env.UPSTREAM_MINUTE_BUDGET) || 0; // records per minute, 0 = unlimited
+const reservePercent = process.env.UPSTREAM_BUDGET_RESERVE !== undefined
+  ? Math.min(Math.max(parseFloat(process.env.UPSTREAM_BUDGET_RESERVE) || 0, 0), 100)
+  : 5; // share of the daily budget kept back; once reached only cached data is served
+const queueTimeout = parseInt(process.env.UPSTREAM_QUEUE_TIMEOUT_MS) || 5000; // longest wait for the minute budget
+
+// Queued calls are served in this order; lower goes first
+const PRIORITIES = {
+  interactive: 0, // a client is waiting for this response
+  batch: 1, // one of many locations of a batch request
+  background: 2 // warm-up, scheduled checks and stale-while-revalidate refreshes
+};
+
+const DAY_MS = 24 * 3600 * 1000;
+const reserve = Math.ceil(dailyLimit * reservePercent / 100);
+
+// Records charged today; the day is aligned to midnight UTC like the client quotas
+const day = { used: 0, resetAt: 0, warned: false };
+
+// Token bucket for the minute budget, refilled continuously
+const bucket = { tokens: minuteLimit, updatedAt: Date.now() };
+
+// Calls waiting for tokens, in priority order
+const queue = [];
+let drainTimer = null;
+
+// Set when the provider itself reported its quota exhausted
+let pausedUntil = 0;
+
+// Calls refused, by reason
+const rejections = { daily: 0, reserve: 0, queue: 0, paused: 0 };
+
+/**
+ * Start a new day when midnight UTC has passed
+ * @param {number} now - Current time in ms
+ */
+const rollDay = (now) => {
+  if (day.resetAt <= now) {
+    day.used = 0;
+    day.warned = false;
+    day.resetAt = Math.floor(now / DAY_MS) * DAY_MS + DAY_MS;
+  }
+};
+
+/**
+ * Add the tokens earned since the last refill
+ * @param {number} now - Current time in ms
+ */
+const refill = (now) => {
+  bucket.tokens = Math.min(minuteLimit, bucket.tokens + (now - bucket.updatedAt) * minuteLimit / 60000);
+  bucket.updatedAt = now;
+};
+
+/**
+ * Refuse a call
+ * @param {string} reason - daily, reserve, queue or paused
+ * @param {string} priority - Priority of the call
+ * @param {string} message - Error message
+ * @param {number} retryAfter - Seconds until the budget allows calls again
+ * @returns {UpstreamQuotaError} - Error to throw or reject with
+ */
+const refuse = (reason, priority, message, retryAfter) => {
+  rejections[reason]++;
+  upstreamBudgetRejections.inc({ reason, priority });
+
+  return new UpstreamQuotaError(message, {
+    details: { budget: reason },
+    retryAfter: Math.max(1, Math.ceil(retryAfter))
+  });
+};
+
+/**
+ * Check the daily budget for a call and charge it
+ * @param {number} cost - Estimated records
+ * @param {string} priority - Priority of the call
+ * @param {number} now - Current time in ms
+ * @returns {UpstreamQuotaError|null} - Error when the call is refused
+ */
+const chargeDaily = (cost, priority, now) => {
+  rollDay(now);
+
+  if (dailyLimit > 0 && day.used + cost > dailyLimit - reserve) {
+    const reason = day.used + cost > dailyLimit ? 'daily' : 'reserve';
+
+    if (!day.warned) {
+      day.warned = true;
+      logger.warn('upstream budget nearly spent, serving cached data only', { used: day.used, limit: dailyLimit, reserve });
+    }
+
+    return refuse(reason, priority, 'The daily upstream budget is spent; only cached data can be served', (day.resetAt - now) / 1000);
+  }
+
+  day.used += cost;
+  return null;
+};
+
+/**
+ * Let queued calls through while the bucket has tokens, then wait for
+ * enough tokens for the next one. A call the daily budget refuses
+ * takes no tokens, so it does not hold up the calls behind it.
+ */
+const drain = () => {
+  clearTimeout(drainTimer);
+  drainTimer = null;
+
+  const now = Date.now();
+  refill(now);
+
+  while (queue.length > 0 && bucket.tokens >= queue[0].tokens) {
+    const call = queue.shift();
+    clearTimeout(call.timer);
+
+    const error = chargeDaily(call.cost, call.priority, now);
+    if (error) {
+      call.reject(error);
+    } else {
+      bucket.tokens -= call.tokens;
+      call.resolve();
+    }
+  }
+
+  if (queue.length > 0) {
+    const waitMs = (queue[0].tokens - bucket.tokens) * 60000 / minuteLimit;
+    drainTimer = setTimeout(drain, Math.ceil(waitMs));
+  }
+};
+
+/**
+ * Wait until the budget allows an upstream call and charge it. Calls
+ * beyond the minute budget queue, interactive ones first; calls that
+ * would eat into the daily reserve are refused, so callers fall back
+ * to cached data.
+ * @param {number} cost - Estimated records the call is billed
+ * @param {string} [priority] - interactive, batch or background
+ * @returns {Promise<void>} - Resolves when the call may be made
+ */
+const acquire = (cost, priority = 'interactive') => {
+  const now = Date.now();
+  const rank = PRIORITIES[priority] !== undefined ? priority : 'interactive';
+
+  if (pausedUntil > now) {
+    return Promise.reject(refuse('paused', rank, 'The weather provider reported its quota exhausted', (pausedUntil - now) / 1000));
+  }
+
+  if (minuteLimit <= 0) {
+    const error = chargeDaily(cost, rank, now);
+    return error ? Promise.reject(error) : Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    // A call costing more than the whole bucket waits for a full bucket
+    const call = { cost, tokens: Math.min(cost, minuteLimit), priority: rank, resolve, reject };
+    // Behind every call of the same or a higher priority
+    const position = queue.findIndex(queued => PRIORITIES[queued.priority] > PRIORITIES[rank]);
+
+    call.timer = setTimeout(() => {
+      queue.splice(queue.indexOf(call), 1);
+      drain();
+      reject(refuse('queue', rank, 'Too many upstream calls are waiting; try again shortly', queueTimeout / 1000));
+    }, queueTimeout);
+
+    queue.splice(position === -1 ? queue.length : position, 0, call);
+    drain();
+  });
+};
+
+/**
+ * Stop calling the provider after it reported its quota exhausted
+ * @param {number} [retryAfter] - Seconds the provider asked to wait
+ */
+const pause = (retryAfter = 60) => {
+  pausedUntil = Math.max(pausedUntil, Date.now() + retryAfter * 1000);
+  logger.warn('provider quota exhausted, pausing upstream calls', { retryAfter });
+};
+
+/**
+ * Get the state of the budget, for /health
+ * @returns {Object} - Mode, daily and minute budgets, queue and rejections
+ */
+const getBudgetStats = () => {
+  const now = Date.now();
+  rollDay(now);
+  if (minuteLimit > 0) refill(now);
+
+  const remaining = dailyLimit > 0 ? Math.max(dailyLimit - day.used, 0) : null;
+  let mode = 'normal';
+  if (pausedUntil > now) mode = 'paused';
+  else if (remaining !== null && remaining <= reserve) mode = 'cached-only';
+
+  return {
+    mode,
+    daily: dailyLimit > 0
+      ? { limit: dailyLimit, used: day.used, remaining, reserve, resetsAt: new Date(day.resetAt).toISOString() }
+      : { limit: null, used: day.used },
+    perMinute: minuteLimit > 0 ? { limit: minuteLimit, available: Math.floor(bucket.tokens) } : { limit: null },
+    queued: Object.fromEntries(Object.keys(PRIORITIES).map(priority => [priority, queue.filter(call => call.priority === priority).length])),
+    pausedUntil: pausedUntil > now ? new Date(pausedUntil).toISOString() : null,
+    rejected: { ...rejections }
+  };
+};
+
+module.exports = {
+  PRIORITIES,
+  acquire,
+  pause,
+  getBudgetStats
+};
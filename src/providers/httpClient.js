@@ -0,0 +1,224 @@
+const axios = require('axios');
+const http = require('http');
+const https = require('https');
+const { parseRetryAfter } = require('./httpError');
+const { UpstreamUnavailableError } = require('../utils/errors');
+const { upstreamRetries, upstreamCircuitState } = require('../utils/metrics');
+const { logger } = require('../utils/logger');
+
+// Load environment variables
+const defaults = {
+  connectTimeout: parseInt(process.env.PROVIDER_CONNECT_TIMEOUT_MS) || 3000, // to open the connection (and TLS)
+  readTimeout: parseInt(process.env.PROVIDER_TIMEOUT_MS) || 10000, // from connecting to the end of the response
+  retries: process.env.PROVIDER_RETRIES !== undefined ? Math.max(parseInt(process.env.PROVIDER_RETRIES) || 0, 0) : 2,
+  retryDelay: parseInt(process.env.PROVIDER_RETRY_DELAY_MS) || 200, // doubled after every failed attempt
+  maxRetryDelay: parseInt(process.env.PROVIDER_RETRY_MAX_DELAY_MS) || 5000, // longer Retry-After values are not waited for
+  breakerThreshold: parseInt(process.env.PROVIDER_BREAKER_THRESHOLD) || 5, // consecutive failures that open the circuit
+  breakerCooldown: parseInt(process.env.PROVIDER_BREAKER_COOLDOWN_MS) || 30000 // how long it stays open
+};
+
+// Statuses worth another attempt; 429 only when Retry-After is short
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+// Network errors worth another attempt. Read timeouts (ECONNABORTED) are
+// not retried: a provider that hangs would only make callers wait longer.
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ETIMEDOUT'];
+
+// Value of the circuit state gauge for each state
+const CIRCUIT_STATES = { closed: 0, 'half-open': 1, open: 2 };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Error for a request that took too long, with the codes axios uses
+ * @param {string} code - ETIMEDOUT (connect) or ECONNABORTED (read)
+ * @param {string} message - Error message
+ * @returns {Error} - Error
+ */
+const timeoutError = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * Transport for axios that enforces a connect timeout and a read
+ * timeout. axios only has an idle timeout, which a provider trickling
+ * bytes never trips. Redirects are not followed.
+ * @param {number} connectTimeout - Milliseconds to open the connection
+ * @param {number} readTimeout - Milliseconds from connecting to the end of the response
+ * @returns {Object} - Transport ({ request })
+ */
+const timedTransport = (connectTimeout, readTimeout) => ({
+  request: (options, callback) => {
+    const req = (options.protocol === 'https:' ? https : http).request(options, callback);
+    let timer = null;
+
+    const startReading = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => req.destroy(timeoutError('ECONNABORTED', `No complete response within ${readTimeout}ms`)), readTimeout);
+    };
+
+    req.once('socket', (socket) => {
+      if (!socket.connecting) return startReading();
+
+      timer = setTimeout(() => req.destroy(timeoutError('ETIMEDOUT', `Could not connect within ${connectTimeout}ms`)), connectTimeout);
+      return socket.once(socket.encrypted ? 'secureConnect' : 'connect', startReading);
+    });
+    req.once('close', () => clearTimeout(timer));
+
+    return req;
+  }
+});
+
+/**
+ * Whether a failed attempt is worth repeating
+ * @param {Error} error - Error thrown by axios
+ * @param {number} [retryAfter] - Seconds from the Retry-After header
+ * @returns {boolean} - True for transient failures
+ */
+const isTransient = (error, retryAfter) => {
+  if (!error.response) return RETRYABLE_CODES.includes(error.code);
+
+  const { status } = error.response;
+  return RETRYABLE_STATUSES.includes(status) && (status !== 429 || retryAfter !== undefined);
+};
+
+/**
+ * Create an HTTP client for a weather provider. GET requests get
+ * connect and read timeouts, are retried on transient failures with
+ * jittered exponential backoff (waiting for Retry-After when the
+ * provider sends one), and go through a circuit breaker: after
+ * breakerThreshold failures in a row the provider is not called for
+ * breakerCooldown ms, then one trial request decides whether the
+ * circuit closes again.
+ * @param {Object} options - { name, plus any of the defaults above }
+ * @returns {Object} - Client
+ */
+const createHttpClient = ({ name, ...overrides }) => {
+  const settings = { ...defaults, ...overrides };
+  const transport = timedTransport(settings.connectTimeout, settings.readTimeout);
+
+  const circuit = {
+    state: 'closed',
+    failures: 0, // consecutive failed requests
+    openedAt: null,
+    trial: false // whether the half-open trial request is in flight
+  };
+
+  upstreamCircuitState.set({ provider: name }, CIRCUIT_STATES.closed);
+
+  const moveTo = (state) => {
+    if (circuit.state === state) return;
+
+    logger[state === 'open' ? 'warn' : 'info']('provider circuit changed', { provider: name, from: circuit.state, to: state, failures: circuit.failures });
+    circuit.state = state;
+    circuit.openedAt = state === 'open' ? Date.now() : circuit.openedAt;
+    upstreamCircuitState.set({ provider: name }, CIRCUIT_STATES[state]);
+  };
+
+  const retryAt = () => circuit.openedAt + settings.breakerCooldown;
+
+  /**
+   * Fail fast while the circuit is open, so callers can fail over or
+   * serve cached data without charging budgets or waiting on timeouts
+   * @throws {UpstreamUnavailableError} - When the provider is not called
+   */
+  const assertAvailable = () => {
+    if (circuit.state === 'open' && Date.now() >= retryAt()) {
+      moveTo('half-open');
+    }
+
+    if (circuit.state === 'open' || (circuit.state === 'half-open' && circuit.trial)) {
+      throw new UpstreamUnavailableError(`Weather service ${name} is unavailable after repeated failures`, {
+        details: { provider: name, circuit: circuit.state },
+        retryAfter: Math.max(1, Math.ceil((retryAt() - Date.now()) / 1000))
+      });
+    }
+  };
+
+  const recordSuccess = () => {
+    circuit.failures = 0;
+    moveTo('closed');
+  };
+
+  const recordFailure = () => {
+    circuit.failures++;
+
+    if (circuit.state === 'half-open' || circuit.failures >= settings.breakerThreshold) {
+      moveTo('open');
+    }
+  };
+
+  /**
+   * Send a GET request
+   * @param {string} url - URL
+   * @param {Object} params - Query parameters
+   * @param {Object} [options] - Options
+   * @param {Function} [options.beforeAttempt] - Awaited before every attempt, retries included,
+   *                                             e.g. to charge each billed request to a budget
+   * @returns {Promise<Object>} - axios response; rejects with the axios error of the last attempt
+   */
+  const get = async (url, params, { beforeAttempt = async () => {} } = {}) => {
+    assertAvailable();
+
+    const trial = circuit.state === 'half-open';
+    circuit.trial = trial;
+
+    try {
+      for (let attempt = 1; ; attempt++) {
+        await beforeAttempt(attempt);
+
+        try {
+          const response = await axios.get(url, { params, transport, maxRedirects: 0 });
+          recordSuccess();
+          return response;
+        } catch (error) {
+          const retryAfter = error.response ? parseRetryAfter(error.response.headers) : undefined;
+          const transient = isTransient(error, retryAfter);
+          // Full jitter: anywhere between 0 and base * 2^(attempt-1)
+          const backoff = Math.random() * settings.retryDelay * 2 ** (attempt - 1);
+          const delay = retryAfter !== undefined ? Math.max(retryAfter * 1000, backoff) : backoff;
+
+          if (!transient || attempt > settings.retries || trial || delay > settings.maxRetryDelay) {
+            // Any answer below 500 shows the provider works; quota errors say nothing either way
+            const status = error.response ? error.response.status : null;
+            if (status === null || status >= 500) recordFailure();
+            else if (status !== 429) recordSuccess();
+            throw error;
+          }
+
+          upstreamRetries.inc({ provider: name });
+          logger.warn('provider request failed, retrying', {
+            provider: name,
+            attempt,
+            delayMs: Math.round(delay),
+            reason: error.response ? `HTTP ${error.response.status}` : error.code
+          });
+          await sleep(delay);
+        }
+      }
+    } finally {
+      if (trial) circuit.trial = false;
+    }
+  };
+
+  /**
+   * Get the state of the circuit breaker, for /health
+   * @returns {Object} - State, consecutive failures and when a trial request is allowed
+   */
+  const getCircuit = () => {
+    if (circuit.state === 'open' && Date.now() >= retryAt()) moveTo('half-open');
+
+    return {
+      state: circuit.state,
+      failures: circuit.failures,
+      openedAt: circuit.openedAt && circuit.state !== 'closed' ? new Date(circuit.openedAt).toISOString() : null,
+      retryAt: circuit.state === 'open' ? new Date(retryAt()).toISOString() : null
+    };
+  };
+
+  return {
+    get,
+    assertAvailable,
+    getCircuit
+  };
+};
+
+module.exports = createHttpClient;
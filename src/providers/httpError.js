@@ -0,0 +1,76 @@
+const {
+  ValidationError,
+  NotFoundError,
+  UpstreamAuthError,
+  UpstreamQuotaError,
+  UpstreamTimeoutError,
+  UpstreamUnavailableError
+} = require('../utils/errors');
+
+/**
+ * Read a Retry-After header given in seconds or as an HTTP date
+ * @param {Object} headers - Response headers
+ * @returns {number|undefined} - Seconds to wait, if the header is usable
+ */
+const parseRetryAfter = (headers = {}) => {
+  const value = headers['retry-after'];
+  if (!value) return undefined;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds);
+
+  const date = Date.parse(value);
+  return isNaN(date) ? undefined : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+};
+
+/**
+ * Translate an axios error into a typed error.
+ * Server errors, quota errors, timeouts and network failures allow
+ * failover to the next provider; client errors do not, since every
+ * provider would reject the same request.
+ * @param {Error} error - Error thrown by axios
+ * @param {string} location - Location that was requested
+ * @returns {Error} - Typed error
+ */
+const translateHttpError = (error, location) => {
+  if (error.response) {
+    // The request was made and the server responded with a status code
+    // that falls out of the range of 2xx
+    const statusCode = error.response.status;
+    const data = error.response.data;
+    const errorMessage = (data && (data.message || data.reason)) || (typeof data === 'string' && data) || error.response.statusText;
+    const retryAfter = parseRetryAfter(error.response.headers);
+    const details = { location, upstreamStatus: statusCode };
+
+    // Customize error based on status code
+    if (statusCode === 404 || (statusCode === 400 && /invalid location|location not found/i.test(errorMessage))) {
+      return new NotFoundError(`Location not found: ${location}`, { details, cause: error });
+    } else if (statusCode === 400) {
+      return new ValidationError(`Invalid request: ${errorMessage}`, { details, cause: error });
+    } else if (statusCode === 401 || statusCode === 403) {
+      return new UpstreamAuthError('Invalid API key or authentication error', { details, cause: error });
+    } else if (statusCode === 429) {
+      return new UpstreamQuotaError('API rate limit exceeded', { details, retryAfter, cause: error });
+    } else {
+      return new UpstreamUnavailableError(`Weather API error: ${errorMessage}`, {
+        details,
+        retryAfter,
+        failover: statusCode >= 500,
+        cause: error
+      });
+    }
+  } else if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new UpstreamTimeoutError('Weather service timed out. Please try again later.', { details: { location }, cause: error });
+  } else if (error.request) {
+    // The request was made but no response was received
+    return new UpstreamUnavailableError('No response from weather service. Please try again later.', { details: { location }, cause: error });
+  }
+
+  // Something happened in setting up the request that triggered an Error
+  return error;
+};
+
+module.exports = {
+  parseRetryAfter,
+  translateHttpError
+};
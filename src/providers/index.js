@@ -0,0 +1,76 @@
+const visualCrossing = require('./visualCrossing');
+const openMeteo = require('./openMeteo');
+const { getBudgetStats } = require('./budget');
+const { toApiError } = require('../utils/errors');
+const { upstreamRequests, upstreamDuration } = require('../utils/metrics');
+const { logger } = require('../utils/logger');
+
+// All known providers, by name
+const registry = {
+  [visualCrossing.name]: visualCrossing,
+  [openMeteo.name]: openMeteo
+};
+
+// Load environment variables
+const providerNames = (process.env.WEATHER_PROVIDERS || 'visualcrossing') // providers in failover order
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(Boolean);
+
+const unknown = providerNames.filter(name => !registry[name]);
+if (unknown.length > 0) {
+  throw new Error(`Unknown WEATHER_PROVIDERS entry "${unknown.join(', ')}" (expected ${Object.keys(registry).join(', ')})`);
+}
+
+const providers = providerNames.map(name => registry[name]);
+
+/**
+ * Fetch weather data, trying providers in the configured order.
+ * The next provider is only tried when the error allows failover
+ * (server errors, quota errors, timeouts, network failures).
+ * @param {string} location - City name or coordinates
+ * @param {Object} params - Query parameters
+ * @param {Object} options - { priority: 'interactive'|'batch'|'background' } for the upstream budget
+ * @returns {Promise<Object>} - Weather data with the serving provider in `provider`
+ */
+const fetchWeather = async (location, params = {}, options = {}) => {
+  let lastError;
+
+  for (const provider of providers) {
+    const endTimer = upstreamDuration.startTimer({ provider: provider.name });
+
+    try {
+      const data = await provider.fetchWeather(location, params, options);
+      upstreamRequests.inc({ provider: provider.name, outcome: 'ok' });
+      endTimer({ outcome: 'ok' });
+      return { ...data, provider: provider.name };
+    } catch (error) {
+      lastError = error;
+
+      const { code: outcome } = toApiError(error);
+      upstreamRequests.inc({ provider: provider.name, outcome });
+      endTimer({ outcome });
+
+      if (!error.failover) {
+        throw error;
+      }
+
+      logger.warn('provider failed, trying the next one', { provider: provider.name, location, error });
+    }
+  }
+
+  throw lastError;
+};
+
+/**
+ * Get the circuit breaker state of each configured provider
+ * @returns {Object} - Circuit state by provider name
+ */
+const getCircuitStats = () => Object.fromEntries(providers.map(provider => [provider.name, provider.getCircuit()]));
+
+module.exports = {
+  providerNames,
+  fetchWeather,
+  getBudgetStats,
+  getCircuitStats
+};
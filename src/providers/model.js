@@ -0,0 +1,77 @@
+/**
+ * Internal weather model shared by all providers.
+ *
+ * Field names follow the Visual Crossing timeline API, which the API
+ * has always returned, so existing clients keep working whichever
+ * provider served the data. Providers may add fields of their own;
+ * routes must only rely on the ones documented here.
+ *
+ * @typedef {Object} Conditions
+ * @property {string} datetime - Local time (HH:mm:ss) or date (YYYY-MM-DD) for days
+ * @property {number} datetimeEpoch - Unix time in seconds
+ * @property {number} temp - Temperature
+ * @property {number} feelslike - Apparent temperature
+ * @property {number} humidity - Relative humidity in %
+ * @property {number} dew - Dew point
+ * @property {number} precip - Precipitation amount
+ * @property {number} [precipprob] - Precipitation probability in %
+ * @property {number} [snow] - Snowfall amount
+ * @property {number} windspeed - Wind speed
+ * @property {number} [windgust] - Wind gust speed
+ * @property {number} winddir - Wind direction in degrees
+ * @property {number} pressure - Sea level pressure in hPa (mb)
+ * @property {number} cloudcover - Cloud cover in %
+ * @property {number} uvindex - UV index
+ * @property {string} conditions - Short text description
+ * @property {string} [icon] - Icon name
+ *
+ * @typedef {Conditions} Day
+ * @property {number} tempmax - Maximum temperature
+ * @property {number} tempmin - Minimum temperature
+ * @property {string} [description] - Longer text description
+ * @property {Conditions[]} [hours] - Hourly conditions
+ *
+ * @typedef {Object} Alert
+ * @property {string} [id] - Provider alert identifier
+ * @property {string} event - Event name
+ * @property {string} headline - Headline
+ * @property {string} description - Full description
+ * @property {string} onset - Start time (ISO 8601)
+ * @property {string} ends - End time (ISO 8601)
+ *
+ * @typedef {Object} WeatherData
+ * @property {string} provider - Name of the provider that served the data
+ * @property {string} address - Location as queried
+ * @property {string} resolvedAddress - Location as resolved by the provider
+ * @property {number} latitude - Latitude
+ * @property {number} longitude - Longitude
+ * @property {string} timezone - IANA time zone of the location
+ * @property {number} tzoffset - Current UTC offset in hours
+ * @property {Conditions} [currentConditions] - Current conditions
+ * @property {Day[]} [days] - Daily data
+ * @property {Alert[]} alerts - Weather alerts (empty if none)
+ */
+
+/**
+ * Parse a unit group, falling back to metric
+ * @param {string} unitGroup - metric, us or uk
+ * @returns {string} - Unit group
+ */
+const toUnitGroup = (unitGroup) => {
+  return ['metric', 'us', 'uk'].includes(unitGroup) ? unitGroup : 'metric';
+};
+
+/**
+ * Parse the include parameter into a set of sections
+ * @param {string} include - Comma-separated sections (days,hours,current,alerts)
+ * @returns {Set<string>|null} - Requested sections, or null for everything
+ */
+const toSections = (include) => {
+  if (!include) return null;
+  return new Set(String(include).split(',').map(item => item.trim()).filter(Boolean));
+};
+
+module.exports = {
+  toUnitGroup,
+  toSections
+};
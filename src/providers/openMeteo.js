@@ -0,0 +1,322 @@
+const createHttpClient = require('./httpClient');
+const { translateHttpError } = require('./httpError');
+const { ApiError, ValidationError, NotFoundError } = require('../utils/errors');
+const { toUnitGroup, toSections } = require('./model');
+
+// Load environment variables
+const baseUrl = process.env.OPEN_METEO_BASE_URL || 'https://api.open-meteo.com/v1/forecast';
+const geocodingUrl = process.env.OPEN_METEO_GEOCODING_URL || 'https://geocoding-api.open-meteo.com/v1/search';
+const archiveUrl = process.env.OPEN_METEO_ARCHIVE_URL || 'https://archive-api.open-meteo.com/v1/archive';
+
+const client = createHttpClient({ name: 'openmeteo' });
+
+// Matches "lat,lon" queries such as "37.8267,-122.4233"
+const COORDINATES_PATTERN = /^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/;
+
+// Matches ISO dates such as "2024-01-31"
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// The archive API lags a few days behind; newer dates come from the forecast API
+const ARCHIVE_DELAY_DAYS = 5;
+
+// Variables the archive API does not have
+const FORECAST_ONLY_VARIABLES = ['precipitation_probability', 'precipitation_probability_max', 'uv_index', 'uv_index_max'];
+
+// Open-Meteo unit options for each unit group
+const UNITS = {
+  metric: { temperature_unit: 'celsius', wind_speed_unit: 'kmh', precipitation_unit: 'mm' },
+  us: { temperature_unit: 'fahrenheit', wind_speed_unit: 'mph', precipitation_unit: 'inch' },
+  uk: { temperature_unit: 'celsius', wind_speed_unit: 'mph', precipitation_unit: 'mm' }
+};
+
+// Variables requested for hourly and current conditions
+const CONDITION_VARIABLES = [
+  'temperature_2m', 'apparent_temperature', 'relative_humidity_2m', 'dew_point_2m',
+  'precipitation', 'snowfall', 'weather_code', 'wind_speed_10m', 'wind_direction_10m',
+  'wind_gusts_10m', 'pressure_msl', 'cloud_cover', 'uv_index'
+];
+
+// Variables requested for daily data
+const DAILY_VARIABLES = [
+  'weather_code', 'temperature_2m_max', 'temperature_2m_min', 'precipitation_sum',
+  'precipitation_probability_max', 'snowfall_sum', 'wind_speed_10m_max', 'wind_gusts_10m_max',
+  'wind_direction_10m_dominant', 'uv_index_max', 'sunrise', 'sunset'
+];
+
+// WMO weather interpretation codes
+const WEATHER_CODES = {
+  0: ['Clear', 'clear-day'],
+  1: ['Mainly clear', 'clear-day'],
+  2: ['Partially cloudy', 'partly-cloudy-day'],
+  3: ['Overcast', 'cloudy'],
+  45: ['Fog', 'fog'],
+  48: ['Freezing fog', 'fog'],
+  51: ['Light drizzle', 'rain'],
+  53: ['Drizzle', 'rain'],
+  55: ['Heavy drizzle', 'rain'],
+  56: ['Light freezing drizzle', 'rain'],
+  57: ['Freezing drizzle', 'rain'],
+  61: ['Light rain', 'rain'],
+  63: ['Rain', 'rain'],
+  65: ['Heavy rain', 'rain'],
+  66: ['Light freezing rain', 'rain'],
+  67: ['Freezing rain', 'rain'],
+  71: ['Light snow', 'snow'],
+  73: ['Snow', 'snow'],
+  75: ['Heavy snow', 'snow'],
+  77: ['Snow grains', 'snow'],
+  80: ['Light rain showers', 'showers-day'],
+  81: ['Rain showers', 'showers-day'],
+  82: ['Violent rain showers', 'showers-day'],
+  85: ['Light snow showers', 'snow-showers-day'],
+  86: ['Snow showers', 'snow-showers-day'],
+  95: ['Thunderstorm', 'thunder-rain'],
+  96: ['Thunderstorm with hail', 'thunder-rain'],
+  99: ['Thunderstorm with heavy hail', 'thunder-rain']
+};
+
+const describe = (code) => WEATHER_CODES[code] || ['Unknown', 'cloudy'];
+
+const average = (values) => {
+  const numbers = values.filter(value => typeof value === 'number');
+  if (numbers.length === 0) return null;
+  return Math.round((numbers.reduce((sum, value) => sum + value, 0) / numbers.length) * 10) / 10;
+};
+
+/**
+ * Format a Unix time as local date and time strings
+ * @param {number} epoch - Unix time in seconds
+ * @param {number} offsetSeconds - UTC offset of the location
+ * @returns {Object} - { date: 'YYYY-MM-DD', time: 'HH:mm:ss' }
+ */
+const toLocal = (epoch, offsetSeconds) => {
+  const iso = new Date((epoch + offsetSeconds) * 1000).toISOString();
+  return { date: iso.slice(0, 10), time: iso.slice(11, 19) };
+};
+
+/**
+ * Resolve a location to coordinates using the Open-Meteo geocoding API
+ * @param {string} location - City name or coordinates
+ * @returns {Promise<Object>} - { latitude, longitude, resolvedAddress }
+ */
+const geocode = async (location) => {
+  const coordinates = String(location).trim().match(COORDINATES_PATTERN);
+
+  if (coordinates) {
+    const latitude = Number(coordinates[1]);
+    const longitude = Number(coordinates[2]);
+    return { latitude, longitude, resolvedAddress: `${latitude},${longitude}` };
+  }
+
+  const response = await client.get(geocodingUrl, { name: location, count: 1, language: 'en', format: 'json' });
+
+  const place = response.data.results && response.data.results[0];
+
+  if (!place) {
+    throw new NotFoundError(`Location not found: ${location}`, { details: { location } });
+  }
+
+  return {
+    latitude: place.latitude,
+    longitude: place.longitude,
+    resolvedAddress: [place.name, place.admin1, place.country].filter(Boolean).join(', ')
+  };
+};
+
+/**
+ * Build the endpoint and date parameters of the requests for a date
+ * range. The forecast API only goes back about three months, so a range
+ * reaching back past the archive cutoff is split there: older days come
+ * from the archive, the rest from the forecast API.
+ * @param {Object} params - Query parameters (startDate, endDate)
+ * @returns {Array<Object>} - [{ url, dateParams, archive }], oldest first
+ */
+const toDateRequests = ({ startDate, endDate }) => {
+  if (!startDate) {
+    return [{ url: baseUrl, dateParams: { forecast_days: 15 }, archive: false }];
+  }
+
+  const end = endDate || startDate;
+
+  if (!DATE_PATTERN.test(startDate) || !DATE_PATTERN.test(end)) {
+    throw new ValidationError('Open-Meteo only accepts dates as YYYY-MM-DD', { details: { startDate, endDate } });
+  }
+
+  // First date the archive may not have yet
+  const archiveLimit = new Date(Date.now() - ARCHIVE_DELAY_DAYS * 86400 * 1000).toISOString().slice(0, 10);
+  const request = (from, to, archive) => ({
+    url: archive ? archiveUrl : baseUrl,
+    dateParams: { start_date: from, end_date: to },
+    archive
+  });
+
+  if (end < archiveLimit) return [request(startDate, end, true)];
+  if (startDate >= archiveLimit) return [request(startDate, end, false)];
+
+  const lastArchived = new Date(Date.parse(`${archiveLimit}T00:00:00Z`) - 86400 * 1000).toISOString().slice(0, 10);
+  return [request(startDate, lastArchived, true), request(archiveLimit, end, false)];
+};
+
+/**
+ * Map one entry of an Open-Meteo hourly or current block onto the model
+ * @param {Object} block - Block holding arrays (hourly) or values (current)
+ * @param {number} index - Array index, or null for the current block
+ * @param {number} offsetSeconds - UTC offset of the location
+ * @returns {Object} - Conditions
+ */
+const toConditions = (block, index, offsetSeconds) => {
+  const value = (name) => (index === null ? block[name] : block[name] && block[name][index]);
+  const epoch = value('time');
+  const [conditions, icon] = describe(value('weather_code'));
+
+  return {
+    datetime: toLocal(epoch, offsetSeconds).time,
+    datetimeEpoch: epoch,
+    temp: value('temperature_2m'),
+    feelslike: value('apparent_temperature'),
+    humidity: value('relative_humidity_2m'),
+    dew: value('dew_point_2m'),
+    precip: value('precipitation'),
+    precipprob: value('precipitation_probability'),
+    snow: value('snowfall'),
+    windspeed: value('wind_speed_10m'),
+    windgust: value('wind_gusts_10m'),
+    winddir: value('wind_direction_10m'),
+    pressure: value('pressure_msl'),
+    cloudcover: value('cloud_cover'),
+    uvindex: value('uv_index'),
+    conditions,
+    icon
+  };
+};
+
+/**
+ * Map an Open-Meteo forecast response onto the internal model
+ * @param {string} location - Location as queried
+ * @param {Object} place - Geocoding result
+ * @param {Object} data - Forecast API response
+ * @param {Set<string>|null} sections - Requested sections, or null for everything
+ * @returns {Object} - Weather data (see model.js)
+ */
+const toWeatherData = (location, place, data, sections) => {
+  const offsetSeconds = data.utc_offset_seconds || 0;
+  const wants = (section) => !sections || sections.has(section);
+  const hourly = data.hourly ? data.hourly.time.map((_, index) => toConditions(data.hourly, index, offsetSeconds)) : [];
+  const daily = (name, index) => (data.daily[name] ? data.daily[name][index] : null);
+
+  const days = data.daily.time.map((epoch, index) => {
+    const date = toLocal(epoch, offsetSeconds).date;
+    const hours = hourly.filter(hour => toLocal(hour.datetimeEpoch, offsetSeconds).date === date);
+    const [conditions, icon] = describe(daily('weather_code', index));
+
+    const day = {
+      datetime: date,
+      datetimeEpoch: epoch,
+      tempmax: daily('temperature_2m_max', index),
+      tempmin: daily('temperature_2m_min', index),
+      temp: average(hours.map(hour => hour.temp)),
+      feelslike: average(hours.map(hour => hour.feelslike)),
+      humidity: average(hours.map(hour => hour.humidity)),
+      dew: average(hours.map(hour => hour.dew)),
+      precip: daily('precipitation_sum', index),
+      precipprob: daily('precipitation_probability_max', index),
+      snow: daily('snowfall_sum', index),
+      windspeed: daily('wind_speed_10m_max', index),
+      windgust: daily('wind_gusts_10m_max', index),
+      winddir: daily('wind_direction_10m_dominant', index),
+      pressure: average(hours.map(hour => hour.pressure)),
+      cloudcover: average(hours.map(hour => hour.cloudcover)),
+      uvindex: daily('uv_index_max', index),
+      sunriseEpoch: daily('sunrise', index),
+      sunsetEpoch: daily('sunset', index),
+      conditions,
+      description: conditions,
+      icon
+    };
+
+    if (wants('hours')) {
+      day.hours = hours;
+    }
+
+    return day;
+  });
+
+  const weatherData = {
+    address: location,
+    resolvedAddress: place.resolvedAddress,
+    latitude: place.latitude,
+    longitude: place.longitude,
+    timezone: data.timezone,
+    tzoffset: offsetSeconds / 3600,
+    alerts: [] // Open-Meteo does not publish alerts
+  };
+
+  if (wants('days') || wants('hours')) {
+    weatherData.days = days;
+  }
+
+  if (wants('current') && data.current) {
+    weatherData.currentConditions = toConditions(data.current, null, offsetSeconds);
+  }
+
+  return weatherData;
+};
+
+/**
+ * Open-Meteo forecast API provider (no API key required)
+ */
+const openMeteo = {
+  name: 'openmeteo',
+
+  /**
+   * Check whether the provider can be used
+   * @returns {boolean} - Always true, Open-Meteo needs no API key
+   */
+  isConfigured: () => true,
+
+  getCircuit: client.getCircuit,
+
+  /**
+   * Fetch weather data for a location
+   * @param {string} location - City name or coordinates
+   * @param {Object} params - Query parameters (unitGroup, include, startDate, endDate)
+   * @returns {Promise<Object>} - Weather data (see model.js)
+   */
+  fetchWeather: async (location, params = {}) => {
+    try {
+      const requests = toDateRequests(params);
+      const place = await geocode(location);
+      const sections = toSections(params.include);
+      const parts = [];
+
+      for (const { url, dateParams, archive } of requests) {
+        const variables = (names) => names.filter(name => !archive || !FORECAST_ONLY_VARIABLES.includes(name)).join(',');
+
+        const response = await client.get(url, {
+          latitude: place.latitude,
+          longitude: place.longitude,
+          timezone: 'auto',
+          timeformat: 'unixtime',
+          ...dateParams,
+          current: dateParams.forecast_days ? variables(CONDITION_VARIABLES) : undefined,
+          hourly: variables([...CONDITION_VARIABLES, 'precipitation_probability']),
+          daily: variables(DAILY_VARIABLES),
+          ...UNITS[toUnitGroup(params.unitGroup)]
+        });
+
+        parts.push(toWeatherData(location, place, response.data, sections));
+      }
+
+      // A split range is answered as one, its days in order
+      const [weatherData, ...later] = parts;
+      if (weatherData.days) later.forEach(part => weatherData.days.push(...part.days));
+
+      return weatherData;
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      throw translateHttpError(error, location);
+    }
+  }
+};
+
+module.exports = openMeteo;
@@ -0,0 +1,123 @@
+const createHttpClient = require('./httpClient');
+const { translateHttpError } = require('./httpError');
+const { UpstreamAuthError, UpstreamQuotaError } = require('../utils/errors');
+const budget = require('./budget');
+
+// Load environment variables
+const apiKey = process.env.WEATHER_API_KEY;
+const baseUrl = process.env.WEATHER_API_BASE_URL || 'https://weather.visualcrossing.com/VisualCrossingWebServices/rest/services/timeline';
+const hoursCostFactor = parseFloat(process.env.UPSTREAM_HOURS_COST_FACTOR) || 1; // records per day of hourly data
+
+// Days in a timeline request without dates
+const FORECAST_DAYS = 15;
+
+// Matches ISO dates such as "2024-01-31"
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Matches dynamic periods such as "last7days" and "next30days"
+const PERIOD_PATTERN = /^(?:last|next)(\d+)days$/;
+
+/**
+ * Estimate how many records a timeline request is billed: one per day
+ * of data, times UPSTREAM_HOURS_COST_FACTOR when hours are included
+ * (Visual Crossing bills a day with its hours as one record, but some
+ * plans bill hours). Current conditions or alerts alone cost one record.
+ * @param {Object} params - Query parameters (include, startDate, endDate)
+ * @returns {number} - Estimated records
+ */
+const estimateCost = (params = {}) => {
+  const include = String(params.include || 'days,hours').split(',');
+  const { startDate, endDate } = params;
+  let days = FORECAST_DAYS;
+
+  if (DATE_PATTERN.test(startDate)) {
+    days = DATE_PATTERN.test(endDate) ? Math.max(Math.round((Date.parse(endDate) - Date.parse(startDate)) / 86400000) + 1, 1) : 1;
+  } else if (PERIOD_PATTERN.test(startDate)) {
+    days = parseInt(startDate.match(PERIOD_PATTERN)[1]);
+  } else if (startDate) {
+    days = 1; // today, yesterday, tomorrow
+  } else if (!include.includes('days') && !include.includes('hours')) {
+    days = 1;
+  }
+
+  return Math.max(1, Math.ceil(days * (include.includes('hours') ? hoursCostFactor : 1)));
+};
+
+/**
+ * Map a Visual Crossing timeline response onto the internal model.
+ * The model uses Visual Crossing field names, so this mostly fills in
+ * the fields the API leaves out.
+ * @param {Object} data - Timeline API response
+ * @returns {Object} - Weather data (see model.js)
+ */
+const toWeatherData = (data) => ({
+  ...data,
+  alerts: data.alerts || []
+});
+
+const client = createHttpClient({ name: 'visualcrossing' });
+
+/**
+ * Visual Crossing timeline API provider
+ */
+const visualCrossing = {
+  name: 'visualcrossing',
+
+  /**
+   * Check whether the provider can be used
+   * @returns {boolean} - True if an API key is configured
+   */
+  isConfigured: () => !!apiKey,
+
+  estimateCost,
+
+  getCircuit: client.getCircuit,
+
+  /**
+   * Fetch weather data for a location
+   * @param {string} location - City name or coordinates
+   * @param {Object} params - Query parameters (unitGroup, include, elements, startDate, endDate)
+   * @param {Object} options - { priority } of the call for the upstream budget
+   * @returns {Promise<Object>} - Weather data (see model.js)
+   */
+  fetchWeather: async (location, params = {}, { priority } = {}) => {
+    if (!apiKey) {
+      throw new UpstreamAuthError('Weather API key is not configured');
+    }
+
+    // Visual Crossing bills per record, so every attempt, retries included,
+    // is charged to the budget before it is made. Nothing is charged while
+    // the circuit is open, since no call is made.
+    const cost = estimateCost(params);
+
+    try {
+      // Dates are path segments of the timeline API: /timeline/{location}/{date1}/{date2}
+      const { startDate, endDate, ...query } = params;
+      const segments = [location, startDate, startDate && endDate].filter(Boolean);
+
+      // Build the request URL
+      const url = `${baseUrl}/${segments.map(encodeURIComponent).join('/')}`;
+
+      // Add API key to parameters
+      const requestParams = {
+        ...query,
+        key: apiKey,
+        unitGroup: params.unitGroup || 'metric' // Default to metric units
+      };
+
+      // Make the API request
+      const response = await client.get(url, requestParams, {
+        beforeAttempt: () => budget.acquire(cost, priority)
+      });
+
+      return toWeatherData(response.data);
+    } catch (error) {
+      const translated = translateHttpError(error, location);
+      // Only a 429 from the provider pauses the budget, not the budget's own refusals
+      if (error.response && translated instanceof UpstreamQuotaError) budget.pause(translated.retryAfter);
+      throw translated;
+    }
+  }
+};
+
+module.exports = visualCrossing;
@@ -0,0 +1,97 @@
+const express = require('express');
+const router = express.Router();
+const { listEntries, getEntry, invalidate, flush, warm, getStats } = require('../services/cacheAdminService');
+const { getPrewarmStatus } = require('../services/prewarmScheduler');
+const { ValidationError } = require('../utils/errors');
+const asyncHandler = require('../utils/asyncHandler');
+const { trackRouter } = require('../middleware/requestMetrics');
+
+router.use(trackRouter);
+
+/**
+ * @route   GET /admin/cache/stats
+ * @desc    Get hit rate, size and memory statistics
+ * @access  Admin
+ */
+router.get('/stats', asyncHandler(async (req, res) => {
+  return res.json(await getStats());
+}));
+
+/**
+ * @route   GET /admin/cache/prewarm
+ * @desc    Get the last and next refresh of every prewarmed location
+ * @access  Admin
+ */
+router.get('/prewarm', (req, res) => {
+  return res.json(getPrewarmStatus());
+});
+
+/**
+ * @route   GET /admin/cache/keys
+ * @desc    List cache keys with their type (weather, alias or other) and
+ *          remaining TTL in seconds. Filter with ?pattern= (glob on the key)
+ *          or ?location= (glob on the location).
+ * @access  Admin
+ */
+router.get('/keys', asyncHandler(async (req, res) => {
+  const { pattern, location } = req.query;
+  const entries = await listEntries({ pattern, location });
+  
+  return res.json({ count: entries.length, keys: entries });
+}));
+
+/**
+ * @route   GET /admin/cache/entry?key=
+ * @desc    Get a single cache entry
+ * @access  Admin
+ */
+router.get('/entry', asyncHandler(async (req, res) => {
+  const { key } = req.query;
+  
+  if (!key) {
+    throw new ValidationError('The key parameter is required', { details: { parameter: 'key' } });
+  }
+  
+  return res.json(await getEntry(key));
+}));
+
+/**
+ * @route   POST /admin/cache/invalidate
+ * @desc    Remove entries by exact key ({"key": ...}) or by location
+ *          glob ({"location": "london*"}), along with the location's aliases
+ * @access  Admin
+ */
+router.post('/invalidate', asyncHandler(async (req, res) => {
+  const { key, location } = req.body || {};
+  const removed = await invalidate({ key, location });
+  
+  return res.json({ count: removed.length, removed });
+}));
+
+/**
+ * @route   POST /admin/cache/warm
+ * @desc    Fetch fresh data for a list of locations
+ * @access  Admin
+ */
+router.post('/warm', asyncHandler(async (req, res) => {
+  const results = await warm(req.body || {});
+  
+  return res.json({
+    count: results.length,
+    failed: results.filter(result => !result.ok).length,
+    results
+  });
+}));
+
+/**
+ * @route   DELETE /admin/cache
+ * @desc    Flush the whole cache
+ * @access  Admin
+ */
+router.delete('/', asyncHandler(async (req, res) => {
+  await flush();
+  
+  return res.json({ flushed: true });
+}));
+
+module.exports = router;
@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const { plans } = require('../config/plans');
+const { issueKey, rotateKey, revokeKey, listKeys } = require('../services/apiKeyStore');
+const { getUsage } = require('../middleware/rateLimiter');
+const adminAuth = require('../middleware/adminAuth');
+const adminCacheRoutes = require('./adminCacheRoutes');
+const asyncHandler = require('../utils/asyncHandler');
+const { trackRouter } = require('../middleware/requestMetrics');
+const { validateRequest } = require('../openapi/validate');
+
+router.use(trackRouter);
+router.use(adminAuth);
+router.use(validateRequest);
+router.use('/cache', adminCacheRoutes);
+
+/**
+ * @route   GET /admin/plans
+ * @desc    List the plans API keys can be issued for
+ * @access  Admin
+ */
+router.get('/plans', (req, res) => {
+  res.json({ plans });
+});
+
+/**
+ * @route   GET /admin/keys
+ * @desc    List API keys with their usage since start-up
+ * @access  Admin
+ */
+router.get('/keys', asyncHandler(async (req, res) => {
+  const keys = await listKeys();
+  
+  return res.json({
+    keys: keys.map(key => ({ ...key, usage: getUsage(key.id) }))
+  });
+}));
+
+/**
+ * @route   POST /admin/keys
+ * @desc    Issue an API key. The key is only shown in this response.
+ * @access  Admin
+ */
+router.post('/keys', asyncHandler(async (req, res) => {
+  const { name, plan } = req.body || {};
+  const key = await issueKey({ name, plan });
+  
+  return res.status(201).json(key);
+}));
+
+/**
+ * @route   POST /admin/keys/:id/rotate
+ * @desc    Replace an API key; the old key stops working at once
+ * @access  Admin
+ */
+router.post('/keys/:id/rotate', asyncHandler(async (req, res) => {
+  const key = await rotateKey(req.params.id);
+  
+  return res.json(key);
+}));
+
+/**
+ * @route   DELETE /admin/keys/:id
+ * @desc    Revoke an API key
+ * @access  Admin
+ */
+router.delete('/keys/:id', asyncHandler(async (req, res) => {
+  const key = await revokeKey(req.params.id);
+  
+  return res.json(key);
+}));
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const { getProfile, applyPreferences, applySavedLocation, removeSavedLocation, updateProfile } = require('../services/profileService');
+const { AuthenticationError } = require('../utils/errors');
+const asyncHandler = require('../utils/asyncHandler');
+const { trackRouter } = require('../middleware/requestMetrics');
+const { validateRequest } = require('../openapi/validate');
+
+router.use(trackRouter);
+router.use((req, res, next) => {
+  if (!req.client || req.client.anonymous) {
+    return next(new AuthenticationError('Profiles belong to an API key (send it in the X-API-Key header)'));
+  }
+  return next();
+});
+router.use(validateRequest);
+
+/**
+ * @route   GET /api/profile
+ * @desc    Get the saved locations and preferences of the API key
+ * @access  API key
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  return res.json(await getProfile(req.client.id));
+}));
+
+/**
+ * @route   PATCH /api/profile
+ * @desc    Change preferences (units, forecastDays); null clears one
+ * @access  API key
+ */
+router.patch('/', asyncHandler(async (req, res) => {
+  const { units, forecastDays } = req.body || {};
+  const profile = await updateProfile(req.client.id, current => applyPreferences(current, { units, forecastDays }));
+  
+  return res.json(profile);
+}));
+
+/**
+ * @route   PUT /api/profile/locations/:name
+ * @desc    Save a location under a name, to be used as @name in weather routes
+ * @access  API key
+ */
+router.put('/locations/:name', asyncHandler(async (req, res) => {
+  const { location } = req.body || {};
+  const profile = await updateProfile(req.client.id, current => applySavedLocation(current, req.params.name, location));
+  
+  return res.json(profile);
+}));
+
+/**
+ * @route   DELETE /api/profile/locations/:name
+ * @desc    Remove a saved location
+ * @access  API key
+ */
+router.delete('/locations/:name', asyncHandler(async (req, res) => {
+  await updateProfile(req.client.id, current => removeSavedLocation(current, req.params.name));
+  
+  return res.status(204).end();
+}));
+
+module.exports = router;
@@ -0,0 +1,187 @@
+const { STATUS_CODES } = require('http');
+const { WebSocketServer } = require('ws');
+const { identifyClient } = require('../middleware/apiKeyAuth');
+const { consume } = require('../middleware/rateLimiter');
+const { getProfile } = require('../services/profileService');
+const { heartbeatInterval, maxLocationsPerConnection, openConnection, subscribe } = require('../services/streamHub');
+const { ValidationError, NotFoundError, toApiError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+// Path clients connect to, e.g. ws://localhost:9090/api/stream
+const STREAM_PATH = '/api/stream';
+
+// Largest message accepted from a client
+const MAX_MESSAGE_BYTES = 16 * 1024;
+
+/**
+ * Answer an upgrade request that is refused with the usual JSON error envelope
+ * @param {Object} socket - Socket of the upgrade request
+ * @param {Error} err - Reason
+ */
+const refuseUpgrade = (socket, err) => {
+  const error = toApiError(err);
+  const body = JSON.stringify({ error: true, code: error.code, message: error.message, details: error.details });
+  const headers = [
+    `HTTP/1.1 ${error.status} ${STATUS_CODES[error.status]}`,
+    'Content-Type: application/json',
+    `Content-Length: ${Buffer.byteLength(body)}`,
+    'Connection: close',
+    ...(error.retryAfter ? [`Retry-After: ${Math.ceil(error.retryAfter)}`] : [])
+  ];
+
+  socket.end(`${headers.join('\r\n')}\r\n\r\n${body}`);
+};
+
+/**
+ * Read the locations of a subscribe or unsubscribe message
+ * @param {Object} message - Parsed message
+ * @returns {Array<string>} - Locations
+ */
+const parseLocations = (message) => {
+  const { locations } = message;
+
+  if (!Array.isArray(locations) || locations.length === 0
+    || locations.some(location => typeof location !== 'string' || !location.trim())) {
+    throw new ValidationError('Locations must be a non-empty array of location strings', { details: { parameter: 'locations' } });
+  }
+
+  return [...new Set(locations.map(location => location.trim()))];
+};
+
+/**
+ * Serve one WebSocket connection. Clients send
+ * { type: 'subscribe' | 'unsubscribe', locations: [...], unitGroup } and
+ * receive { type: 'conditions', subscription, ... } whenever conditions
+ * change, { type: 'unsubscribed', subscription } and
+ * { type: 'error', subscription, code, message }.
+ * @param {Object} ws - WebSocket
+ * @param {Object} client - Client from identifyClient
+ * @param {Object|null} profile - Profile of the client's API key
+ * @param {Function} release - Releases the connection from the stream limits
+ */
+const serveConnection = (ws, client, profile, release) => {
+  // Unsubscribe functions by location as the client wrote it; null while subscribing
+  const subscriptions = new Map();
+  let alive = true;
+
+  const send = (message) => {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+  };
+
+  const sendError = (err, subscription) => {
+    const { code, message, details } = toApiError(err);
+    send({ type: 'error', ...(subscription && { subscription }), code, message, details });
+  };
+
+  const addSubscription = async (location, unitGroup) => {
+    if (subscriptions.has(location)) return;
+
+    if (subscriptions.size >= maxLocationsPerConnection) {
+      throw new ValidationError(`At most ${maxLocationsPerConnection} locations can be streamed over one connection`, {
+        details: { parameter: 'locations' }
+      });
+    }
+
+    consume(client, 1);
+    subscriptions.set(location, null);
+
+    try {
+      const unsubscribe = await subscribe(location, { profile, unitGroup }, message => send({ ...message, subscription: location }));
+
+      if (ws.readyState === ws.OPEN && subscriptions.has(location)) subscriptions.set(location, unsubscribe);
+      else unsubscribe();
+    } catch (error) {
+      subscriptions.delete(location);
+      throw error;
+    }
+  };
+
+  const removeSubscription = (location) => {
+    const unsubscribe = subscriptions.get(location);
+
+    if (unsubscribe) unsubscribe();
+    subscriptions.delete(location);
+    send({ type: 'unsubscribed', subscription: location });
+  };
+
+  const handleMessage = async (data) => {
+    let message;
+
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      throw new ValidationError('Messages must be JSON');
+    }
+
+    const type = message && message.type;
+
+    if (type === 'subscribe') {
+      const locations = parseLocations(message);
+      await Promise.all(locations.map(location => addSubscription(location, message.unitGroup).catch(error => sendError(error, location))));
+    } else if (type === 'unsubscribe') {
+      parseLocations(message).forEach(removeSubscription);
+    } else {
+      throw new ValidationError('Message type must be subscribe or unsubscribe', { details: { parameter: 'type' } });
+    }
+  };
+
+  // Connections that miss a ping are dropped, so dead clients free their slots
+  const heartbeat = setInterval(() => {
+    if (!alive) return ws.terminate();
+    alive = false;
+    return ws.ping();
+  }, heartbeatInterval);
+
+  ws.on('pong', () => {
+    alive = true;
+  });
+
+  ws.on('message', (data) => {
+    handleMessage(data).catch(error => sendError(error));
+  });
+
+  ws.on('close', () => {
+    clearInterval(heartbeat);
+    subscriptions.forEach(unsubscribe => unsubscribe && unsubscribe());
+    subscriptions.clear();
+    release();
+  });
+
+  ws.on('error', (error) => {
+    logger.warn('stream socket error', { client: client.id, error });
+  });
+};
+
+/**
+ * Accept WebSocket connections on /api/stream. Clients authenticate
+ * like any request (X-API-Key or Authorization header), count against
+ * the stream connection limits and are charged one request per
+ * location they subscribe to.
+ * @param {Object} server - HTTP server from app.listen
+ * @returns {Object} - WebSocket server
+ */
+const attachStreamSocket = (server) => {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+  server.on('upgrade', async (req, socket, head) => {
+    try {
+      if (new URL(req.url, 'http://localhost').pathname !== STREAM_PATH) {
+        return refuseUpgrade(socket, new NotFoundError(`WebSocket connections are only accepted on ${STREAM_PATH}`));
+      }
+
+      const client = await identifyClient(req);
+      const profile = client.anonymous ? null : await getProfile(client.id);
+      const release = openConnection(client, 'websocket');
+      socket.once('close', release); // also when the handshake itself fails
+
+      return wss.handleUpgrade(req, socket, head, ws => serveConnection(ws, client, profile, release));
+    } catch (error) {
+      logger.info('stream connection rejected', { code: toApiError(error).code, reason: error.message });
+      return refuseUpgrade(socket, error);
+    }
+  });
+
+  return wss;
+};
+
+module.exports = attachStreamSocket;
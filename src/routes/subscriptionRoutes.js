@@ -0,0 +1,83 @@
+const express = require('express');
+const router = express.Router();
+const { createSubscription, getSubscription, deleteSubscription } = require('../services/subscriptionStore');
+const { checkWebhookUrl } = require('../services/webhookClient');
+const { resolveSavedLocation } = require('../services/locationResolver');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const asyncHandler = require('../utils/asyncHandler');
+const { trackRouter } = require('../middleware/requestMetrics');
+const { validateRequest } = require('../openapi/validate');
+const loadProfile = require('../middleware/loadProfile');
+
+router.use(trackRouter);
+router.use(validateRequest);
+router.use(loadProfile);
+
+/**
+ * Who is asking for a subscription: the API key of the request and the
+ * secret from the X-Subscription-Secret header
+ * @param {Object} req - Express request
+ * @returns {Object} - { clientId, secret }
+ */
+const credentialsOf = (req) => ({
+  clientId: req.client && !req.client.anonymous ? req.client.id : null,
+  secret: req.get('X-Subscription-Secret') || null
+});
+
+/**
+ * @route   POST /api/subscriptions
+ * @desc    Register a webhook that receives severe weather alerts for a location.
+ *          The response includes the secret used to sign deliveries; it is only shown once.
+ *          Saved locations ("@home") are resolved now, so later profile changes do not move the subscription.
+ * @access  Public
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  const { location, webhookUrl } = req.body || {};
+  
+  if (typeof location !== 'string' || !location.trim()) {
+    throw new ValidationError('Location is required', { details: { parameter: 'location' } });
+  }
+  
+  await checkWebhookUrl(webhookUrl);
+  
+  const subscription = await createSubscription({
+    location: resolveSavedLocation(location.trim(), req.profile),
+    webhookUrl,
+    owner: credentialsOf(req).clientId
+  });
+  
+  return res.status(201).json(subscription);
+}));
+
+/**
+ * @route   GET /api/subscriptions/:id
+ * @desc    Get a subscription. Needs the API key that created it or its
+ *          secret in X-Subscription-Secret; otherwise it is reported as not found.
+ * @access  Owner
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+  const subscription = await getSubscription(req.params.id, credentialsOf(req));
+  
+  if (!subscription) {
+    throw new NotFoundError(`Subscription not found: ${req.params.id}`);
+  }
+  
+  return res.json(subscription);
+}));
+
+/**
+ * @route   DELETE /api/subscriptions/:id
+ * @desc    Delete a subscription, with the same credentials as GET
+ * @access  Owner
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const deleted = await deleteSubscription(req.params.id, credentialsOf(req));
+  
+  if (!deleted) {
+    throw new NotFoundError(`Subscription not found: ${req.params.id}`);
+  }
+  
+  return res.status(204).end();
+}));
+
+module.exports = router;
@@ -1,170 +1,363 @@
 const express = require('express');
 const router = express.Router();
-const { getWeatherData } = require('../services/weatherService');
+const { getWeatherDataWithMeta } = require('../services/weatherService');
+const { getHistory } = require('../services/historyService');
+const { forecastParams, getHourly } = require('../services/hourlyService');
+const { getAlerts } = require('../services/alertService');
+const { getInsights } = require('../services/insightsService');
+const { parseBatchRequest, batchCost, getBatch } = require('../services/batchService');
+const { heartbeatInterval, openConnection, subscribe } = require('../services/streamHub');
+const { chargeCost } = require('../middleware/rateLimiter');
+const asyncHandler = require('../utils/asyncHandler');
+const { trackRouter } = require('../middleware/requestMetrics');
+const { validateRequest } = require('../openapi/validate');
+const loadProfile = require('../middleware/loadProfile');
+const fieldSelection = require('../middleware/fieldSelection');
+const { acceptFormats, sendFormatted } = require('../formatters');
+const { ValidationError } = require('../utils/errors');
+const { DAY_COLUMNS, HOUR_COLUMNS } = require('../formatters/columns');
+
+router.use(trackRouter);
+router.use(validateRequest);
+router.use(loadProfile);
+router.use(fieldSelection);
+
+/**
+ * Tell clients how fresh the served data is and which provider served it
+ * @param {Object} res - Express response
+ * @param {Object} cache - Cache metadata from getWeatherDataWithMeta
+ * @param {Object} weatherData - Weather data that is being served
+ */
+const setCacheHeaders = (res, cache, weatherData) => {
+  res.set('X-Cache', cache.status);
+  res.set('Age', String(cache.age));
+  if (weatherData.provider) res.set('X-Weather-Provider', weatherData.provider);
+};
+
+/**
+ * Unit group to serve: the one requested, else the one preferred in the
+ * API key's profile
+ * @param {Object} req - Express request (with req.profile from loadProfile)
+ * @param {string} [unitGroup] - Requested unit group
+ * @returns {string|undefined} - Unit group, undefined for the default
+ */
+const unitGroupFor = (req, unitGroup) => unitGroup || (req.profile && req.profile.units) || undefined;
+
+/**
+ * Add the location to every row of a CSV export, so exports of several
+ * locations can be combined
+ * @param {string} location - Location name
+ * @param {Array<Object>} rows - Days or hours
+ * @returns {Array<Object>} - Rows
+ */
+const withLocation = (location, rows) => rows.map(row => ({ location, ...row }));
+
+/**
+ * Temperature unit symbol for iCalendar summaries
+ * @param {string} unitGroup - metric, us or uk
+ * @returns {string} - °C or °F
+ */
+const temperatureUnit = (unitGroup) => (unitGroup === 'us' ? '°F' : '°C');
+
+/**
+ * @route   POST /api/weather/batch
+ * @desc    Get weather for many locations in one call. Counts against the
+ *          rate limit as one request per location.
+ * @access  Public
+ */
+router.post('/batch', chargeCost(req => batchCost(req.body)), acceptFormats(), asyncHandler(async (req, res) => {
+  const options = parseBatchRequest(req.body);
+  const results = await getBatch({ ...options, unitGroup: unitGroupFor(req, options.unitGroup) }, { profile: req.profile });
+  res.locals.upstreamRequests = results.filter(result => result.ok && result.cache.status === 'MISS').length;
+  
+  return sendFormatted(req, res, {
+    view: options.view,
+    count: results.length,
+    failed: results.filter(result => !result.ok).length,
+    results
+  }, { root: 'batch' });
+}));
 
 /**
  * @route   GET /api/weather/:location
  * @desc    Get weather data for a specific location
  * @access  Public
  */
-router.get('/:location', async (req, res) => {
-  try {
-    const { location } = req.params;
-    
-    // Extract query parameters
-    const {
-      unitGroup, // metric (default) or us, uk
-      include, // days,hours,current,alerts
-      elements, // specific weather elements
-      startDate,
-      endDate
-    } = req.query;
-    
-    // Optional parameters for the API
-    const params = {};
-    
-    // Add optional parameters if provided
-    if (unitGroup) params.unitGroup = unitGroup;
-    if (include) params.include = include;
-    if (elements) params.elements = elements;
-    if (startDate && endDate) {
-      params.startDate = startDate;
-      params.endDate = endDate;
-    }
-    
-    // Get weather data
-    const weatherData = await getWeatherData(location, params);
-    
-    return res.json(weatherData);
-  } catch (error) {
-    console.error('Weather route error:', error.message);
-    
-    // Determine appropriate status code based on error message
-    let statusCode = 500;
-    
-    if (error.message.includes('Location not found')) {
-      statusCode = 404;
-    } else if (error.message.includes('Invalid request')) {
-      statusCode = 400;
-    } else if (error.message.includes('API key') || error.message.includes('authentication')) {
-      statusCode = 401;
-    } else if (error.message.includes('rate limit')) {
-      statusCode = 429;
-    }
-    
-    return res.status(statusCode).json({
-      error: true,
-      message: error.message
+router.get('/:location', acceptFormats(), asyncHandler(async (req, res) => {
+  const { location } = req.params;
+  
+  // Extract query parameters
+  const {
+    unitGroup, // metric (default) or us, uk
+    include, // days,hours,current,alerts
+    elements, // specific weather elements
+    startDate,
+    endDate
+  } = req.query;
+  
+  // Optional parameters for the API
+  const params = {};
+  
+  // Add optional parameters if provided
+  const units = unitGroupFor(req, unitGroup);
+  if (units) params.unitGroup = units;
+  if (include) params.include = include;
+  if (elements) params.elements = elements;
+  
+  // A date range needs both ends; a single day is startDate=endDate
+  if (Boolean(startDate) !== Boolean(endDate)) {
+    const missing = startDate ? 'endDate' : 'startDate';
+    throw new ValidationError(`Query parameter ${missing} is required when ${startDate ? 'startDate' : 'endDate'} is given`, {
+      details: { parameter: missing }
     });
   }
-});
+  
+  if (startDate) {
+    params.startDate = startDate;
+    params.endDate = endDate;
+  }
+  
+  // Get weather data
+  const { data: weatherData, cache } = await getWeatherDataWithMeta(location, params, { profile: req.profile });
+  setCacheHeaders(res, cache, weatherData);
+  
+  return sendFormatted(req, res, weatherData, { root: 'weather' });
+}));
 
 /**
  * @route   GET /api/weather/:location/current
  * @desc    Get current weather conditions for a specific location
  * @access  Public
  */
-router.get('/:location/current', async (req, res) => {
+router.get('/:location/current', acceptFormats(), asyncHandler(async (req, res) => {
+  const { location } = req.params;
+  const { unitGroup } = req.query;
+  
+  // Get weather data with current conditions only
+  const params = {
+    include: 'current',
+    unitGroup: unitGroupFor(req, unitGroup) || 'metric'
+  };
+  
+  const { data: weatherData, cache } = await getWeatherDataWithMeta(location, params, { profile: req.profile });
+  setCacheHeaders(res, cache, weatherData);
+  
+  // Extract and return only current conditions
+  return sendFormatted(req, res, {
+    location: weatherData.resolvedAddress || weatherData.address,
+    coordinates: {
+      latitude: weatherData.latitude,
+      longitude: weatherData.longitude
+    },
+    current: weatherData.currentConditions,
+    timezone: weatherData.timezone,
+    provider: weatherData.provider
+  }, { root: 'weather' });
+}));
+
+/**
+ * @route   GET /api/weather/:location/stream
+ * @desc    Stream current conditions as Server-Sent Events, sent again whenever they change
+ * @access  Public
+ */
+router.get('/:location/stream', asyncHandler(async (req, res) => {
+  const { location } = req.params;
+  const { unitGroup } = req.query;
+
+  const release = openConnection(req.client, 'sse');
+  let closed = false;
+  let heartbeat = null;
+  let unsubscribe = null;
+
+  // Headers are sent with the first event, so a location that cannot be
+  // streamed is still answered with a regular error response
+  const send = ({ type, ...message }) => {
+    if (!res.headersSent) {
+      res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform', // no-transform also keeps compression from buffering events
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      heartbeat = setInterval(() => res.write(': heartbeat\n\n'), heartbeatInterval);
+    }
+
+    res.write(`event: ${type === 'error' ? 'failure' : type}\ndata: ${JSON.stringify(message)}\n\n`);
+  };
+
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+    release();
+  });
+
   try {
-    const { location } = req.params;
-    const { unitGroup } = req.query;
-    
-    // Get weather data with current conditions only
-    const params = {
-      include: 'current',
-      unitGroup: unitGroup || 'metric'
-    };
-    
-    const weatherData = await getWeatherData(location, params);
-    
-    // Extract and return only current conditions
-    return res.json({
-      location: weatherData.resolvedAddress || weatherData.address,
-      coordinates: {
-        latitude: weatherData.latitude,
-        longitude: weatherData.longitude
-      },
-      current: weatherData.currentConditions,
-      timezone: weatherData.timezone
-    });
+    unsubscribe = await subscribe(location, { profile: req.profile, unitGroup: unitGroupFor(req, unitGroup) }, send);
   } catch (error) {
-    console.error('Current weather route error:', error.message);
-    
-    // Determine appropriate status code based on error message
-    let statusCode = 500;
-    
-    if (error.message.includes('Location not found')) {
-      statusCode = 404;
-    } else if (error.message.includes('Invalid request')) {
-      statusCode = 400;
-    } else if (error.message.includes('API key') || error.message.includes('authentication')) {
-      statusCode = 401;
-    } else if (error.message.includes('rate limit')) {
-      statusCode = 429;
-    }
-    
-    return res.status(statusCode).json({
-      error: true,
-      message: error.message
-    });
+    release();
+    throw error;
   }
-});
+
+  if (closed) unsubscribe();
+}));
 
 /**
  * @route   GET /api/weather/:location/forecast
  * @desc    Get forecast for a specific location
  * @access  Public
  */
-router.get('/:location/forecast', async (req, res) => {
-  try {
-    const { location } = req.params;
-    const { unitGroup, days } = req.query;
-    
-    // Get weather data with forecast
-    const params = {
-      include: 'days',
-      unitGroup: unitGroup || 'metric'
-    };
-    
-    const weatherData = await getWeatherData(location, params);
-    
-    // Filter days if requested
-    let forecastDays = weatherData.days;
-    if (days && !isNaN(days) && days > 0) {
-      forecastDays = forecastDays.slice(0, parseInt(days));
-    }
-    
-    // Return forecast data
-    return res.json({
-      location: weatherData.resolvedAddress || weatherData.address,
-      coordinates: {
-        latitude: weatherData.latitude,
-        longitude: weatherData.longitude
-      },
-      timezone: weatherData.timezone,
-      days: forecastDays
-    });
-  } catch (error) {
-    console.error('Forecast route error:', error.message);
-    
-    // Determine appropriate status code based on error message
-    let statusCode = 500;
-    
-    if (error.message.includes('Location not found')) {
-      statusCode = 404;
-    } else if (error.message.includes('Invalid request')) {
-      statusCode = 400;
-    } else if (error.message.includes('API key') || error.message.includes('authentication')) {
-      statusCode = 401;
-    } else if (error.message.includes('rate limit')) {
-      statusCode = 429;
-    }
-    
-    return res.status(statusCode).json({
-      error: true,
-      message: error.message
-    });
-  }
-});
+router.get('/:location/forecast', acceptFormats('csv', 'ics'), asyncHandler(async (req, res) => {
+  const { location } = req.params;
+  const { unitGroup } = req.query;
+  const days = req.query.days || (req.profile && req.profile.forecastDays);
+  
+  // Get weather data with forecast (shares its cache entry with the hourly view)
+  const params = forecastParams(unitGroupFor(req, unitGroup));
+  
+  const { data: weatherData, cache } = await getWeatherDataWithMeta(location, params, { profile: req.profile });
+  setCacheHeaders(res, cache, weatherData);
+  
+  // Filter days if requested (validated as a positive integer) or preferred, leaving out the hours
+  const forecastDays = weatherData.days
+    .map(({ hours, ...day }) => day)
+    .slice(0, days ? parseInt(days) : undefined);
+  
+  // Return forecast data
+  const locationName = weatherData.resolvedAddress || weatherData.address;
+  
+  return sendFormatted(req, res, {
+    location: locationName,
+    coordinates: {
+      latitude: weatherData.latitude,
+      longitude: weatherData.longitude
+    },
+    timezone: weatherData.timezone,
+    days: forecastDays,
+    provider: weatherData.provider
+  }, {
+    root: 'forecast',
+    csv: () => ({ columns: DAY_COLUMNS, rows: withLocation(locationName, forecastDays) }),
+    ics: () => ({ location: locationName, days: forecastDays, temperatureUnit: temperatureUnit(weatherData.unitGroup) })
+  });
+}));
+
+/**
+ * @route   GET /api/weather/:location/hourly
+ * @desc    Get hourly forecast for the next N hours or a local time window
+ * @access  Public
+ */
+router.get('/:location/hourly', acceptFormats('csv'), asyncHandler(async (req, res) => {
+  const { location } = req.params;
+  const { unitGroup, hours, from, to } = req.query;
+  
+  const { data: weatherData, cache, hours: selectedHours } = await getHourly(location, { unitGroup: unitGroupFor(req, unitGroup), hours, from, to }, { profile: req.profile });
+  setCacheHeaders(res, cache, weatherData);
+  
+  const locationName = weatherData.resolvedAddress || weatherData.address;
+  
+  return sendFormatted(req, res, {
+    location: locationName,
+    coordinates: {
+      latitude: weatherData.latitude,
+      longitude: weatherData.longitude
+    },
+    timezone: weatherData.timezone,
+    hours: selectedHours,
+    provider: weatherData.provider
+  }, {
+    root: 'hourly',
+    csv: () => ({ columns: HOUR_COLUMNS, rows: withLocation(locationName, selectedHours) })
+  });
+}));
+
+/**
+ * @route   GET /api/weather/:location/insights
+ * @desc    Get comfort indices, the best hours today for an activity, frost and heavy-rain warnings and daily summaries
+ * @access  Public
+ */
+router.get('/:location/insights', acceptFormats(), asyncHandler(async (req, res) => {
+  const { location } = req.params;
+  const { unitGroup, activity, minTemp, maxTemp, maxWind, maxPrecipProb, maxUv, minHours } = req.query;
+  const days = req.query.days || (req.profile && req.profile.forecastDays);
+  
+  const { data: weatherData, cache, insights } = await getInsights(location, {
+    unitGroup: unitGroupFor(req, unitGroup),
+    days,
+    activity,
+    minTemp,
+    maxTemp,
+    maxWind,
+    maxPrecipProb,
+    maxUv,
+    minHours
+  }, { profile: req.profile });
+  setCacheHeaders(res, cache, weatherData);
+  
+  return sendFormatted(req, res, {
+    location: weatherData.resolvedAddress || weatherData.address,
+    coordinates: {
+      latitude: weatherData.latitude,
+      longitude: weatherData.longitude
+    },
+    timezone: weatherData.timezone,
+    ...insights,
+    provider: weatherData.provider
+  }, { root: 'insights' });
+}));
+
+/**
+ * @route   GET /api/weather/:location/alerts
+ * @desc    Get active severe weather alerts for a specific location
+ * @access  Public
+ */
+router.get('/:location/alerts', acceptFormats(), asyncHandler(async (req, res) => {
+  const { location } = req.params;
+  
+  const { data: weatherData, cache, alerts } = await getAlerts(location, { profile: req.profile });
+  setCacheHeaders(res, cache, weatherData);
+  
+  return sendFormatted(req, res, {
+    location: weatherData.resolvedAddress || weatherData.address,
+    coordinates: {
+      latitude: weatherData.latitude,
+      longitude: weatherData.longitude
+    },
+    timezone: weatherData.timezone,
+    alerts: alerts.map(({ fingerprint, ...alert }) => alert),
+    provider: weatherData.provider
+  }, { root: 'alerts' });
+}));
+
+/**
+ * @route   GET /api/weather/:location/history
+ * @desc    Get historical daily weather for a date range
+ * @access  Public
+ */
+router.get('/:location/history', acceptFormats('csv'), asyncHandler(async (req, res) => {
+  const { location } = req.params;
+  const { from, to, unitGroup, include } = req.query;
+  
+  const { data: weatherData, cache } = await getHistory(location, { from, to, unitGroup: unitGroupFor(req, unitGroup), include }, { profile: req.profile });
+  setCacheHeaders(res, cache, weatherData);
+  
+  const locationName = weatherData.resolvedAddress || weatherData.address;
+  
+  return sendFormatted(req, res, {
+    location: locationName,
+    coordinates: {
+      latitude: weatherData.latitude,
+      longitude: weatherData.longitude
+    },
+    timezone: weatherData.timezone,
+    from: weatherData.startDate,
+    to: weatherData.endDate,
+    days: weatherData.days,
+    provider: weatherData.provider
+  }, {
+    root: 'history',
+    csv: () => ({ columns: DAY_COLUMNS, rows: withLocation(locationName, weatherData.days) })
+  });
+}));
 
 module.exports = router; 
\ No newline at end of file
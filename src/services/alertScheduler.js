@@ -0,0 +1,115 @@
+const { getAlerts } = require('./alertService');
+const { listSubscriptions, setDelivered } = require('./subscriptionStore');
+const { deliverWebhook } = require('./webhookClient');
+const { normalizeLocation } = require('./locationResolver');
+const { logger } = require('../utils/logger');
+
+// Load environment variables
+const pollInterval = parseInt(process.env.ALERT_POLL_INTERVAL_MS) || 5 * 60 * 1000; // 5 minutes default
+
+let timer = null;
+let polling = false;
+
+const alertKey = (alert) => alert.id || alert.fingerprint;
+
+/**
+ * Deliver new and updated alerts to one subscription
+ * @param {Object} subscription - Stored subscription
+ * @param {Array<Object>} alerts - Active alerts for its location
+ * @returns {Promise<void>}
+ */
+const notifySubscription = async (subscription, alerts) => {
+  const changes = alerts
+    .filter(alert => subscription.delivered[alertKey(alert)] !== alert.fingerprint)
+    .map(alert => ({
+      ...alert,
+      change: subscription.delivered[alertKey(alert)] ? 'updated' : 'new'
+    }));
+
+  // Remember only alerts that are still active
+  const delivered = {};
+  alerts.forEach(alert => {
+    const previous = subscription.delivered[alertKey(alert)];
+    if (previous) delivered[alertKey(alert)] = previous;
+  });
+
+  if (changes.length > 0) {
+    await deliverWebhook(subscription.webhookUrl, subscription.secret, {
+      subscriptionId: subscription.id,
+      location: subscription.location,
+      alerts: changes,
+      sentAt: new Date().toISOString()
+    });
+
+    changes.forEach(alert => {
+      delivered[alertKey(alert)] = alert.fingerprint;
+    });
+    logger.info('alerts delivered', { subscriptionId: subscription.id, count: changes.length });
+  }
+
+  await setDelivered(subscription.id, delivered);
+};
+
+/**
+ * Check every subscribed location once. Alerts are read through the
+ * weather cache, so locations shared by many subscriptions cost one
+ * upstream call per cache period.
+ * @returns {Promise<void>}
+ */
+const pollAlerts = async () => {
+  if (polling) return;
+  polling = true;
+
+  try {
+    const byLocation = new Map();
+
+    (await listSubscriptions()).forEach(subscription => {
+      const key = normalizeLocation(subscription.location);
+      if (!byLocation.has(key)) byLocation.set(key, []);
+      byLocation.get(key).push(subscription);
+    });
+
+    for (const subscriptions of byLocation.values()) {
+      try {
+        const { alerts } = await getAlerts(subscriptions[0].location, { priority: 'background' });
+        const results = await Promise.allSettled(subscriptions.map(subscription => notifySubscription(subscription, alerts)));
+
+        results
+          .filter(result => result.status === 'rejected')
+          .forEach(result => logger.error('alert delivery failed', { error: result.reason }));
+      } catch (error) {
+        logger.error('alert poll failed', { location: subscriptions[0].location, error });
+      }
+    }
+  } finally {
+    polling = false;
+  }
+};
+
+/**
+ * Start polling for alerts in the background
+ */
+const startAlertScheduler = () => {
+  if (timer) return;
+
+  timer = setInterval(() => {
+    pollAlerts().catch(error => logger.error('alert scheduler error', { error }));
+  }, pollInterval);
+  timer.unref();
+
+  logger.info('alert scheduler started', { intervalSeconds: Math.round(pollInterval / 1000) });
+};
+
+/**
+ * Stop polling for alerts
+ */
+const stopAlertScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  pollAlerts,
+  startAlertScheduler,
+  stopAlertScheduler
+};
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const { getWeatherDataWithMeta } = require('./weatherService');
+
+// Load environment variables
+const alertsExpiration = parseInt(process.env.ALERTS_CACHE_EXPIRATION) || 900; // 15 minutes default in seconds
+
+// Severity keywords, checked in order. Providers rarely state a
+// severity, so it is derived from the event name and headline; colour
+// levels (as used by European services) win over generic words.
+const SEVERITY_KEYWORDS = [
+  ['extreme', /\b(extreme|red|emergency)\b/i],
+  ['severe', /\b(severe|orange)\b/i],
+  ['moderate', /\b(moderate|yellow)\b/i],
+  ['minor', /\b(minor|green)\b/i],
+  ['severe', /\bwarning\b/i],
+  ['moderate', /\bwatch\b/i],
+  ['minor', /\b(advisory|statement)\b/i]
+];
+
+/**
+ * Convert a provider timestamp to ISO 8601
+ * @param {string} value - Timestamp as returned by the provider
+ * @param {number} epoch - Unix time in seconds, if known
+ * @returns {string|null} - ISO timestamp
+ */
+const toIso = (value, epoch) => {
+  if (epoch) return new Date(epoch * 1000).toISOString();
+  if (!value) return null;
+  const time = Date.parse(value);
+  return isNaN(time) ? value : new Date(time).toISOString();
+};
+
+/**
+ * Find the severity a text names
+ * @param {string} text - Text to search
+ * @returns {string|null} - extreme, severe, moderate or minor; null if none is named
+ */
+const severityIn = (text) => {
+  const match = SEVERITY_KEYWORDS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : null;
+};
+
+/**
+ * Get an alert's severity: the one the provider states, mapped onto our
+ * levels ("Moderate; Likely", "warning"), else one derived from its text
+ * @param {Object} alert - Provider alert
+ * @returns {string} - extreme, severe, moderate, minor or unknown
+ */
+const toSeverity = (alert) => severityIn(String(alert.severity || ''))
+  || severityIn(`${alert.event || ''} ${alert.headline || ''}`)
+  || 'unknown';
+
+/**
+ * Normalize a provider alert
+ * @param {Object} alert - Provider alert (see providers/model.js)
+ * @returns {Object} - { id, event, headline, severity, onset, expires, description, link, fingerprint }
+ */
+const normalizeAlert = (alert) => {
+  const normalized = {
+    id: alert.id || null,
+    event: alert.event || null,
+    headline: alert.headline || null,
+    severity: toSeverity(alert),
+    onset: toIso(alert.onset, alert.onsetEpoch),
+    expires: toIso(alert.ends, alert.endsEpoch),
+    description: alert.description || null,
+    link: alert.link || null
+  };
+
+  // Changes whenever the content of the alert changes, so updates can be told apart from repeats
+  normalized.fingerprint = crypto.createHash('sha1')
+    .update(JSON.stringify([normalized.event, normalized.headline, normalized.onset, normalized.expires, normalized.description]))
+    .digest('hex');
+
+  return normalized;
+};
+
+/**
+ * Get the weather alerts currently issued for a location
+ * @param {string} location - City name or coordinates
+ * @param {Object} options - Options of getWeatherDataWithMeta, such as { profile }
+ * @returns {Promise<Object>} - { data, cache, alerts }
+ */
+const getAlerts = async (location, options = {}) => {
+  const { data, cache } = await getWeatherDataWithMeta(location, { include: 'alerts' }, { ...options, ttl: alertsExpiration });
+
+  return {
+    data,
+    cache,
+    alerts: (data.alerts || []).map(normalizeAlert)
+  };
+};
+
+module.exports = {
+  normalizeAlert,
+  getAlerts
+};
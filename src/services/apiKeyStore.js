@@ -0,0 +1,137 @@
+const path = require('path');
+const crypto = require('crypto');
+const { dataDir } = require('../config/storage');
+const { plans } = require('../config/plans');
+const { createJsonStore } = require('../utils/jsonFile');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+// Load environment variables
+const apiKeysFile = process.env.API_KEYS_FILE || path.join(dataDir, 'api-keys.json');
+
+// Only hashes of keys are stored; the key itself is shown once when issued
+const { load, save } = createJsonStore(apiKeysFile, []);
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+const generateKey = () => `wk_${crypto.randomBytes(24).toString('base64url')}`;
+
+/**
+ * Hide the key hash when returning a record
+ * @param {Object} record - Stored key record
+ * @returns {Object} - Public view of the record
+ */
+const toPublic = ({ keyHash, ...record }) => record;
+
+/**
+ * Find a key record by ID
+ * @param {string} id - Key ID
+ * @returns {Promise<Object>} - Stored record
+ */
+const findRecord = async (id) => {
+  const record = (await load()).find(item => item.id === id);
+
+  if (!record) {
+    throw new NotFoundError(`API key not found: ${id}`);
+  }
+
+  return record;
+};
+
+/**
+ * Look up the record for an API key presented by a client
+ * @param {string} key - API key
+ * @returns {Promise<Object|null>} - Active record (without hash), or null if unknown or revoked
+ */
+const authenticateKey = async (key) => {
+  const keyHash = hashKey(key);
+  const record = (await load()).find(item => item.keyHash === keyHash);
+
+  if (!record || record.revokedAt) return null;
+  return toPublic(record);
+};
+
+/**
+ * Issue a new API key
+ * @param {Object} options - { name, plan }
+ * @returns {Promise<Object>} - The record, including the key itself
+ */
+const issueKey = async ({ name, plan = 'basic' }) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new ValidationError('Name is required', { details: { parameter: 'name' } });
+  }
+
+  if (!plans[plan] || plan === 'anonymous') {
+    throw new ValidationError(`Unknown plan: ${plan}`, {
+      details: { parameter: 'plan', plans: Object.keys(plans).filter(item => item !== 'anonymous') }
+    });
+  }
+
+  const keys = await load();
+
+  const key = generateKey();
+  const record = {
+    id: crypto.randomUUID(),
+    name: name.trim(),
+    plan,
+    keyHash: hashKey(key),
+    keyPrefix: key.slice(0, 10),
+    createdAt: new Date().toISOString(),
+    rotatedAt: null,
+    revokedAt: null
+  };
+
+  keys.push(record);
+  await save();
+
+  return { ...toPublic(record), key };
+};
+
+/**
+ * Replace the secret of an API key; the old key stops working at once
+ * @param {string} id - Key ID
+ * @returns {Promise<Object>} - The record, including the new key
+ */
+const rotateKey = async (id) => {
+  const record = await findRecord(id);
+
+  if (record.revokedAt) {
+    throw new ValidationError(`API key ${id} is revoked and cannot be rotated`);
+  }
+
+  const key = generateKey();
+  record.keyHash = hashKey(key);
+  record.keyPrefix = key.slice(0, 10);
+  record.rotatedAt = new Date().toISOString();
+  await save();
+
+  return { ...toPublic(record), key };
+};
+
+/**
+ * Revoke an API key. The record is kept so usage stays attributable.
+ * @param {string} id - Key ID
+ * @returns {Promise<Object>} - The revoked record
+ */
+const revokeKey = async (id) => {
+  const record = await findRecord(id);
+
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    await save();
+  }
+
+  return toPublic(record);
+};
+
+/**
+ * List all key records
+ * @returns {Promise<Array<Object>>} - Records without hashes
+ */
+const listKeys = async () => (await load()).map(toPublic);
+
+module.exports = {
+  authenticateKey,
+  issueKey,
+  rotateKey,
+  revokeKey,
+  listKeys
+};
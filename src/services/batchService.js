@@ -0,0 +1,142 @@
+const { getWeatherDataWithMeta } = require('./weatherService');
+const { forecastParams } = require('./hourlyService');
+const { ValidationError, toApiError } = require('../utils/errors');
+
+// Load environment variables
+const maxLocations = parseInt(process.env.BATCH_MAX_LOCATIONS) || 250;
+const concurrency = parseInt(process.env.BATCH_CONCURRENCY) || 5; // locations resolved at the same time
+
+// What a batch can return for each location
+const VIEWS = {
+  current: {
+    params: ({ unitGroup }) => ({ include: 'current', unitGroup: unitGroup || 'metric' }),
+    shape: (weatherData) => ({ current: weatherData.currentConditions })
+  },
+  forecast: {
+    params: ({ unitGroup }) => forecastParams(unitGroup),
+    shape: (weatherData, { days }) => ({
+      days: weatherData.days
+        .map(({ hours, ...day }) => day)
+        .slice(0, days || undefined)
+    })
+  }
+};
+
+/**
+ * Validate a batch request body
+ * @param {Object} body - { locations, view, unitGroup, days }
+ * @returns {Object} - Normalized batch options
+ */
+const parseBatchRequest = (body = {}) => {
+  const { locations, view = 'current', unitGroup, days } = body;
+
+  if (!Array.isArray(locations) || locations.length === 0) {
+    throw new ValidationError('Locations must be a non-empty array', { details: { parameter: 'locations' } });
+  }
+
+  if (locations.length > maxLocations) {
+    throw new ValidationError(`A batch may contain at most ${maxLocations} locations`, { details: { parameter: 'locations' } });
+  }
+
+  if (locations.some(location => typeof location !== 'string' || !location.trim())) {
+    throw new ValidationError('Every location must be a non-empty string', { details: { parameter: 'locations' } });
+  }
+
+  if (!VIEWS[view]) {
+    throw new ValidationError(`View must be one of ${Object.keys(VIEWS).join(', ')}`, { details: { parameter: 'view' } });
+  }
+
+  if (days !== undefined && (!Number.isInteger(days) || days < 1)) {
+    throw new ValidationError('Days must be a positive whole number', { details: { parameter: 'days' } });
+  }
+
+  return { locations, view, unitGroup, days };
+};
+
+/**
+ * Rate limit cost of a batch: one per location. Invalid batches are
+ * rejected without an upstream call, so they cost a single request.
+ * @param {Object} body - Batch request body
+ * @returns {number} - Cost
+ */
+const batchCost = (body) => {
+  try {
+    return parseBatchRequest(body).locations.length;
+  } catch (error) {
+    return 1;
+  }
+};
+
+/**
+ * Run an async function over items with at most `limit` running at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrency
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} - Results in input order
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+/**
+ * Get weather for many locations. Each location succeeds or fails on
+ * its own, so one bad location does not fail the batch.
+ * @param {Object} options - Options from parseBatchRequest
+ * @param {Object} cacheOptions - Options of getWeatherDataWithMeta, such as { profile }
+ * @returns {Promise<Array<Object>>} - One result per location, in request order
+ */
+const getBatch = async ({ locations, view, unitGroup, days }, cacheOptions = {}) => {
+  const { params, shape } = VIEWS[view];
+
+  return mapWithConcurrency(locations, concurrency, async (location) => {
+    try {
+      const { data: weatherData, cache } = await getWeatherDataWithMeta(location, params({ unitGroup }), { ...cacheOptions, priority: 'batch' });
+
+      return {
+        location,
+        ok: true,
+        resolvedAddress: weatherData.resolvedAddress || weatherData.address,
+        coordinates: {
+          latitude: weatherData.latitude,
+          longitude: weatherData.longitude
+        },
+        timezone: weatherData.timezone,
+        provider: weatherData.provider,
+        cache,
+        ...shape(weatherData, { days })
+      };
+    } catch (err) {
+      const error = toApiError(err);
+
+      return {
+        location,
+        ok: false,
+        error: {
+          status: error.status,
+          code: error.code,
+          message: error.message,
+          details: error.details
+        }
+      };
+    }
+  });
+};
+
+module.exports = {
+  VIEWS,
+  mapWithConcurrency,
+  parseBatchRequest,
+  batchCost,
+  getBatch
+};
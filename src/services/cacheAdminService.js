@@ -0,0 +1,222 @@
+const { cacheClient, cacheBackend, cacheExpiration, cacheHardExpiration } = require('../config/cache');
+const { getWeatherDataWithMeta, getLookupStats } = require('./weatherService');
+const { ALIAS_KEY_PREFIX, normalizeLocation } = require('./locationResolver');
+const { VIEWS, mapWithConcurrency } = require('./batchService');
+const { ValidationError, NotFoundError, toApiError } = require('../utils/errors');
+
+// Load environment variables
+const warmMaxLocations = parseInt(process.env.CACHE_WARM_MAX_LOCATIONS) || 250;
+const warmConcurrency = parseInt(process.env.BATCH_CONCURRENCY) || 5;
+
+// Weather entries are stored as "weather:<location>[:<params>]"
+const WEATHER_KEY_PATTERN = /^weather:(.+?)(?::[A-Za-z]+=.*)?$/;
+
+/**
+ * Turn a glob such as "london*" into a regular expression
+ * @param {string} pattern - Glob; * matches any run of characters, ? a single one
+ * @returns {RegExp} - Anchored regular expression
+ */
+const globToRegExp = (pattern) => {
+  const source = pattern
+    .split('')
+    .map(char => (char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Get the location a cache key belongs to
+ * @param {string} key - Cache key
+ * @returns {string|null} - Normalized location, or null for other entries (such as aliases)
+ */
+const locationOf = (key) => {
+  const match = key.match(WEATHER_KEY_PATTERN);
+  return match ? match[1] : null;
+};
+
+/**
+ * Get the kind of entry a cache key holds
+ * @param {string} key - Cache key
+ * @returns {string} - weather, alias (a query's canonical location, see locationResolver.js) or other
+ */
+const typeOf = (key) => {
+  if (WEATHER_KEY_PATTERN.test(key)) return 'weather';
+  return key.startsWith(ALIAS_KEY_PREFIX) ? 'alias' : 'other';
+};
+
+/**
+ * Find the keys matching a key glob or a location glob. A location glob
+ * only matches weather entries.
+ * @param {Object} filter - { pattern, location }
+ * @returns {Promise<Array<string>>} - Sorted keys
+ */
+const findKeys = async ({ pattern, location } = {}) => {
+  let keys = await cacheClient.keys();
+
+  if (pattern) {
+    const regExp = globToRegExp(pattern);
+    keys = keys.filter(key => regExp.test(key));
+  }
+
+  if (location) {
+    const regExp = globToRegExp(normalizeLocation(location));
+    keys = keys.filter(key => {
+      const keyLocation = locationOf(key);
+      return keyLocation !== null && regExp.test(keyLocation);
+    });
+  }
+
+  return keys.sort();
+};
+
+/**
+ * Find the aliases of locations matching a glob: those recorded for a
+ * matching query and those pointing to a matching location
+ * @param {string} location - Location glob
+ * @returns {Promise<Array<string>>} - Sorted alias keys
+ */
+const findAliasKeys = async (location) => {
+  const regExp = globToRegExp(normalizeLocation(location));
+  const aliasKeys = (await cacheClient.keys()).filter(key => key.startsWith(ALIAS_KEY_PREFIX));
+  const matching = [];
+
+  for (const key of aliasKeys) {
+    if (regExp.test(key.slice(ALIAS_KEY_PREFIX.length)) || regExp.test(String(await cacheClient.get(key)))) {
+      matching.push(key);
+    }
+  }
+
+  return matching.sort();
+};
+
+/**
+ * List cache entries with their type and remaining TTL
+ * @param {Object} filter - { pattern, location } as for findKeys
+ * @returns {Promise<Array<Object>>} - [{ key, type, location, ttl }]
+ */
+const listEntries = async (filter) => {
+  const keys = await findKeys(filter);
+  const entries = [];
+
+  for (const key of keys) {
+    entries.push({ key, type: typeOf(key), location: locationOf(key), ttl: await cacheClient.ttl(key) });
+  }
+
+  return entries;
+};
+
+/**
+ * Get a single cache entry
+ * @param {string} key - Exact cache key
+ * @returns {Promise<Object>} - { key, type, location, ttl, fetchedAt, value }
+ */
+const getEntry = async (key) => {
+  const value = await cacheClient.get(key);
+
+  if (value === null) {
+    throw new NotFoundError(`Cache key not found: ${key}`, { details: { key } });
+  }
+
+  return {
+    key,
+    type: typeOf(key),
+    location: locationOf(key),
+    ttl: await cacheClient.ttl(key),
+    fetchedAt: value.fetchedAt ? new Date(value.fetchedAt).toISOString() : null,
+    value
+  };
+};
+
+/**
+ * Remove cache entries by exact key or by location glob. A location glob
+ * also removes the aliases of the matching locations, so queries are
+ * resolved again rather than led to a removed location.
+ * @param {Object} target - { key } or { location }
+ * @returns {Promise<Array<string>>} - Keys that were removed
+ */
+const invalidate = async ({ key, location } = {}) => {
+  if (!key && !location) {
+    throw new ValidationError('Either key or location is required', { details: { parameter: 'key' } });
+  }
+
+  const keys = key ? [key] : [...await findKeys({ location }), ...await findAliasKeys(location)];
+  const removed = [];
+
+  for (const item of keys) {
+    if (await cacheClient.del(item)) removed.push(item);
+  }
+
+  return removed;
+};
+
+/**
+ * Remove every cache entry
+ * @returns {Promise<void>}
+ */
+const flush = async () => {
+  await cacheClient.flushAll();
+};
+
+/**
+ * Fetch fresh data for a list of locations so later requests are hits
+ * @param {Object} options - { locations, views, unitGroup }; views default to current and forecast
+ * @returns {Promise<Array<Object>>} - One result per location and view
+ */
+const warm = async ({ locations, views = ['current', 'forecast'], unitGroup } = {}) => {
+  if (!Array.isArray(locations) || locations.length === 0) {
+    throw new ValidationError('Locations must be a non-empty array', { details: { parameter: 'locations' } });
+  }
+
+  if (locations.length > warmMaxLocations) {
+    throw new ValidationError(`At most ${warmMaxLocations} locations can be warmed at once`, { details: { parameter: 'locations' } });
+  }
+
+  if (locations.some(location => typeof location !== 'string' || !location.trim())) {
+    throw new ValidationError('Every location must be a non-empty string', { details: { parameter: 'locations' } });
+  }
+
+  if (!Array.isArray(views) || views.length === 0 || views.some(view => !VIEWS[view])) {
+    throw new ValidationError(`Views must be a list of ${Object.keys(VIEWS).join(', ')}`, { details: { parameter: 'views' } });
+  }
+
+  const jobs = locations.flatMap(location => views.map(view => ({ location, view })));
+
+  return mapWithConcurrency(jobs, warmConcurrency, async ({ location, view }) => {
+    try {
+      const { data } = await getWeatherDataWithMeta(location, VIEWS[view].params({ unitGroup }), { refresh: true, priority: 'background' });
+      return { location, view, ok: true, resolvedAddress: data.resolvedAddress || data.address, provider: data.provider };
+    } catch (err) {
+      const error = toApiError(err);
+      return { location, view, ok: false, error: { status: error.status, code: error.code, message: error.message } };
+    }
+  });
+};
+
+/**
+ * Get cache statistics: lookups, size and memory use
+ * @returns {Promise<Object>} - Statistics
+ */
+const getStats = async () => {
+  const memory = process.memoryUsage();
+
+  return {
+    backend: cacheBackend,
+    expiration: { soft: cacheExpiration, hard: cacheHardExpiration },
+    lookups: getLookupStats(),
+    size: await cacheClient.stats(),
+    memory: {
+      rss: memory.rss,
+      heapUsed: memory.heapUsed,
+      heapTotal: memory.heapTotal
+    }
+  };
+};
+
+module.exports = {
+  listEntries,
+  getEntry,
+  invalidate,
+  flush,
+  warm,
+  getStats
+};
@@ -0,0 +1,154 @@
+const { getWeatherDataWithMeta } = require('./weatherService');
+const { ValidationError } = require('../utils/errors');
+
+// Load environment variables
+const maxRangeDays = parseInt(process.env.HISTORY_MAX_RANGE_DAYS) || 366; // longest range a client may request
+const chunkDays = parseInt(process.env.HISTORY_CHUNK_DAYS) || 31; // days fetched per upstream request
+const historyExpiration = parseInt(process.env.HISTORY_CACHE_EXPIRATION) || 30 * 24 * 3600; // 30 days default in seconds
+
+// Matches ISO dates such as "2024-01-31"
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Matches dynamic ranges such as "last7days"
+const LAST_DAYS_PATTERN = /^last(\d+)days$/;
+
+const DAY_MS = 24 * 3600 * 1000;
+
+const toIsoDate = (time) => new Date(time).toISOString().slice(0, 10);
+const addDays = (date, days) => toIsoDate(Date.parse(date) + days * DAY_MS);
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS) + 1;
+
+/**
+ * Check that a string is a real ISO date (rejects 2024-02-31)
+ * @param {string} value - Value to check
+ * @returns {boolean} - True if valid
+ */
+const isIsoDate = (value) => {
+  return DATE_PATTERN.test(value) && !isNaN(Date.parse(value)) && toIsoDate(Date.parse(value)) === value;
+};
+
+/**
+ * Turn the from/to query parameters into a concrete date range.
+ * `from` may also be a dynamic keyword: `yesterday` or `lastNdays`
+ * (the N days before today). Dates are UTC calendar days.
+ * @param {string} from - Start date (YYYY-MM-DD) or keyword
+ * @param {string} to - End date (YYYY-MM-DD), defaults to `from`
+ * @returns {Object} - { from, to } as ISO dates
+ */
+const parseDateRange = (from, to) => {
+  const today = toIsoDate(Date.now());
+
+  if (!from) {
+    throw new ValidationError('The from parameter is required', { details: { parameter: 'from' } });
+  }
+
+  const keyword = String(from).toLowerCase();
+  const lastDays = keyword.match(LAST_DAYS_PATTERN);
+  let range;
+
+  if (keyword === 'yesterday' || lastDays) {
+    if (to) {
+      throw new ValidationError(`The to parameter cannot be combined with ${from}`, { details: { parameter: 'to' } });
+    }
+
+    const days = lastDays ? parseInt(lastDays[1]) : 1;
+    if (days < 1) {
+      throw new ValidationError(`${from} must cover at least one day`, { details: { parameter: 'from' } });
+    }
+
+    range = { from: addDays(today, -days), to: addDays(today, -1) };
+  } else {
+    range = { from, to: to || from };
+
+    if (!isIsoDate(range.from) || !isIsoDate(range.to)) {
+      throw new ValidationError('Dates must be YYYY-MM-DD, yesterday or lastNdays', { details: { parameter: 'from' } });
+    }
+  }
+
+  if (range.from > range.to) {
+    throw new ValidationError('The from date must not be after the to date', { details: { parameter: 'from' } });
+  }
+
+  if (range.to > today) {
+    throw new ValidationError('History cannot include future dates', { details: { parameter: 'to' } });
+  }
+
+  if (daysBetween(range.from, range.to) > maxRangeDays) {
+    throw new ValidationError(`Date range is limited to ${maxRangeDays} days`, { details: { parameter: 'to' } });
+  }
+
+  return range;
+};
+
+/**
+ * Split a date range into chunks of at most chunkDays days
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @returns {Array<Object>} - [{ from, to }, ...]
+ */
+const splitRange = (from, to) => {
+  const chunks = [];
+
+  for (let start = from; start <= to; start = addDays(start, chunkDays)) {
+    const end = addDays(start, chunkDays - 1);
+    chunks.push({ from: start, to: end < to ? end : to });
+  }
+
+  return chunks;
+};
+
+// Worst cache status first: a single miss makes the whole response a miss
+const STATUS_ORDER = ['MISS', 'STALE', 'HIT'];
+
+/**
+ * Get historical weather for a location. Long ranges are fetched in
+ * chunks, each cached on its own; chunks that lie entirely in the past
+ * are cached for HISTORY_CACHE_EXPIRATION since observations never change.
+ * @param {string} location - City name or coordinates
+ * @param {Object} options - { from, to, unitGroup, include }
+ * @param {Object} cacheOptions - Options of getWeatherDataWithMeta, such as { offline: true } or { profile }
+ * @returns {Promise<Object>} - { data, cache } like getWeatherDataWithMeta
+ */
+const getHistory = async (location, { from, to, unitGroup, include } = {}, cacheOptions = {}) => {
+  const range = parseDateRange(from, to);
+  const today = toIsoDate(Date.now());
+  const results = [];
+
+  // Fetch chunks one after another to keep the upstream load even
+  for (const chunk of splitRange(range.from, range.to)) {
+    const params = {
+      unitGroup: unitGroup || 'metric',
+      include: include || 'days',
+      startDate: chunk.from,
+      endDate: chunk.to
+    };
+
+    const options = chunk.to < today ? { ...cacheOptions, ttl: historyExpiration } : cacheOptions;
+    results.push(await getWeatherDataWithMeta(location, params, options));
+  }
+
+  const [first] = results;
+  const days = new Map();
+
+  results.forEach(({ data }) => {
+    (data.days || []).forEach(day => days.set(day.datetime, day));
+  });
+
+  return {
+    data: {
+      ...first.data,
+      startDate: range.from,
+      endDate: range.to,
+      days: [...days.values()].sort((a, b) => (a.datetime < b.datetime ? -1 : 1))
+    },
+    cache: {
+      status: STATUS_ORDER.find(status => results.some(({ cache }) => cache.status === status)),
+      age: Math.max(...results.map(({ cache }) => cache.age))
+    }
+  };
+};
+
+module.exports = {
+  parseDateRange,
+  getHistory
+};
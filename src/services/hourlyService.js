@@ -0,0 +1,138 @@
+const { getWeatherDataWithMeta } = require('./weatherService');
+const { ValidationError } = require('../utils/errors');
+
+// Load environment variables
+const maxHours = parseInt(process.env.HOURLY_MAX_HOURS) || 360; // 15 days of hours
+
+// Matches local date or date-time windows such as "2024-01-31" or "2024-01-31T06:00"
+const WINDOW_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+/**
+ * Parameters shared by the daily forecast and hourly views, so both
+ * are served from one cache entry
+ * @param {string} unitGroup - metric, us or uk
+ * @returns {Object} - Parameters for getWeatherData
+ */
+const forecastParams = (unitGroup) => ({
+  include: 'days,hours',
+  unitGroup: unitGroup || 'metric'
+});
+
+/**
+ * Format a UTC offset in minutes as +HH:mm
+ * @param {number} minutes - Offset in minutes
+ * @returns {string} - Formatted offset
+ */
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Flatten days[].hours into one list with local and UTC timestamps
+ * @param {Object} weatherData - Weather data (see providers/model.js)
+ * @returns {Array<Object>} - Hours in chronological order
+ */
+const flattenHours = (weatherData) => {
+  return (weatherData.days || []).flatMap(day => (day.hours || []).map(hour => {
+    const local = `${day.datetime}T${hour.datetime}`;
+    const offsetMinutes = Math.round((Date.parse(`${local}Z`) - hour.datetimeEpoch * 1000) / 60000);
+
+    return {
+      ...hour,
+      datetime: `${local}${formatOffset(offsetMinutes)}`,
+      local,
+      utc: new Date(hour.datetimeEpoch * 1000).toISOString()
+    };
+  }));
+};
+
+/**
+ * Keep the hours that are not over yet, starting with the one in
+ * progress. Hours are compared on epoch seconds: a location's hours
+ * need not start on a UTC hour (India is at +05:30).
+ * @param {Array<Object>} hours - Hours from flattenHours
+ * @param {number} [now] - Current time in ms
+ * @returns {Array<Object>} - Hours ending after now
+ */
+const upcomingHours = (hours, now = Date.now()) => hours.filter(hour => (hour.datetimeEpoch + 3600) * 1000 > now);
+
+/**
+ * Parse a window boundary in the location's local time. A start inside
+ * an hour is moved to the start of that hour, so the hour is included.
+ * @param {string} value - YYYY-MM-DD or YYYY-MM-DDTHH:mm[:ss]
+ * @param {boolean} end - True for the end of the window
+ * @returns {string} - Local timestamp (YYYY-MM-DDTHH:mm:ss)
+ */
+const parseBoundary = (value, end) => {
+  const match = String(value).match(WINDOW_PATTERN);
+
+  if (!match || isNaN(Date.parse(`${match[1]}T00:00:00Z`))) {
+    throw new ValidationError(`${value} must be YYYY-MM-DD or YYYY-MM-DDTHH:mm in the location's time zone`, { details: { parameter: end ? 'to' : 'from' } });
+  }
+
+  const [, date, hour, minute, second] = match;
+  if (!hour) return `${date}T${end ? '23:59:59' : '00:00:00'}`;
+  return end ? `${date}T${hour}:${minute}:${second || '00'}` : `${date}T${hour}:00:00`;
+};
+
+/**
+ * Select the hours to return: a from/to window in local time, or the
+ * next N hours starting with the current one
+ * @param {Array<Object>} hours - Hours from flattenHours
+ * @param {Object} options - { hours, from, to }
+ * @returns {Array<Object>} - Selected hours
+ */
+const selectHours = (hours, { hours: count, from, to } = {}) => {
+  let limit = 24;
+
+  if (count !== undefined) {
+    limit = parseInt(count);
+    if (!/^\d+$/.test(String(count)) || limit < 1 || limit > maxHours) {
+      throw new ValidationError(`Hours must be a whole number between 1 and ${maxHours}`, { details: { parameter: 'hours' } });
+    }
+  }
+
+  if (from || to) {
+    const start = from ? parseBoundary(from, false) : '0000-01-01T00:00:00';
+    const end = to ? parseBoundary(to, true) : '9999-12-31T23:59:59';
+
+    if (start > end) {
+      throw new ValidationError('The from time must not be after the to time', { details: { parameter: 'from' } });
+    }
+
+    const window = hours.filter(hour => hour.local >= start && hour.local <= end);
+    return count !== undefined ? window.slice(0, limit) : window;
+  }
+
+  // Start with the hour that is in progress right now
+  return upcomingHours(hours).slice(0, limit);
+};
+
+/**
+ * Get hourly weather for a location
+ * @param {string} location - City name or coordinates
+ * @param {Object} options - { unitGroup, hours, from, to }
+ * @param {Object} cacheOptions - Options of getWeatherDataWithMeta, such as { offline: true } or { profile }
+ * @returns {Promise<Object>} - { data, cache, hours }
+ */
+const getHourly = async (location, { unitGroup, ...window } = {}, cacheOptions = {}) => {
+  // Validate before spending an upstream call
+  selectHours([], window);
+
+  const { data, cache } = await getWeatherDataWithMeta(location, forecastParams(unitGroup), cacheOptions);
+
+  return {
+    data,
+    cache,
+    hours: selectHours(flattenHours(data), window)
+  };
+};
+
+module.exports = {
+  forecastParams,
+  flattenHours,
+  upcomingHours,
+  getHourly
+};
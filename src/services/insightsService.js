@@ -0,0 +1,374 @@
+const { getWeatherDataWithMeta } = require('./weatherService');
+const { forecastParams, flattenHours, upcomingHours } = require('./hourlyService');
+const { UNIT_GROUPS, parseUnitGroup, convertValue, convertUnits } = require('./unitConverter');
+const { ValidationError, NotCachedError } = require('../utils/errors');
+
+// Load environment variables
+const frostTemperature = parseFloat(process.env.INSIGHTS_FROST_TEMP) || 0; // °C; days with a low at or below this get a frost warning
+const heavyRainDaily = parseFloat(process.env.INSIGHTS_HEAVY_RAIN_MM) || 25; // mm in one day
+const heavyRainHourly = parseFloat(process.env.INSIGHTS_HEAVY_RAIN_RATE_MM) || 7.6; // mm in one hour
+
+// Criteria of the activities, in metric units: the feels-like
+// temperature must lie between minTemp and maxTemp, wind speed,
+// precipitation probability and UV index must not exceed their maximum
+const ACTIVITIES = {
+  walking: { minTemp: 5, maxTemp: 28, maxWind: 30, maxPrecipProb: 30, maxUv: 7 },
+  running: { minTemp: 0, maxTemp: 22, maxWind: 25, maxPrecipProb: 30, maxUv: 6 },
+  cycling: { minTemp: 8, maxTemp: 28, maxWind: 20, maxPrecipProb: 20, maxUv: 7 },
+  beach: { minTemp: 22, maxTemp: 35, maxWind: 20, maxPrecipProb: 10, maxUv: 11 }
+};
+
+// Quantity of each criterion that has units
+const CRITERIA_QUANTITIES = { minTemp: 'temperature', maxTemp: 'temperature', maxWind: 'speed' };
+
+// Local hours that are considered for outdoor activities (06:00 to 21:00)
+const ACTIVITY_HOURS = { first: 6, last: 21 };
+
+// Checks of an hour against activity criteria, by the name reported when they fail
+const CHECKS = {
+  temperature: (hour, criteria) => {
+    const temp = typeof hour.feelslike === 'number' ? hour.feelslike : hour.temp;
+    return temp >= criteria.minTemp && temp <= criteria.maxTemp;
+  },
+  wind: (hour, criteria) => !(hour.windspeed > criteria.maxWind),
+  precipitation: (hour, criteria) => (typeof hour.precipprob === 'number'
+    ? hour.precipprob <= criteria.maxPrecipProb
+    : !(hour.precip > 0)),
+  uv: (hour, criteria) => !(hour.uvindex > criteria.maxUv)
+};
+
+// Bands as [lower bound, name], highest first. Temperatures in °C, speeds in km/h.
+const UV_RISKS = [[11, 'extreme'], [8, 'very-high'], [6, 'high'], [3, 'moderate'], [0, 'low']]; // WHO UV index categories
+const HEAT_RISKS = [[54, 'extreme-danger'], [41, 'danger'], [32, 'extreme-caution'], [27, 'caution']]; // NWS heat index categories
+const DEW_POINT_COMFORT = [[24, 'miserable'], [21, 'oppressive'], [18, 'muggy'], [16, 'humid'], [10, 'comfortable'], [-Infinity, 'dry']];
+const WIND_STRENGTHS = [[62, 'gale-force'], [39, 'strong'], [20, 'moderate'], [2, 'light'], [0, 'calm']];
+
+// How units are written in summaries and warnings
+const UNIT_SYMBOLS = { degC: '°C', degF: '°F', mm: ' mm', in: ' in', 'km/h': ' km/h', mph: ' mph' };
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Name of the band a value falls in
+ * @param {Array<Array>} bands - [lower bound, name] pairs, highest first
+ * @param {number} value - Value
+ * @returns {string|null} - Band name, null for missing values or below the lowest band
+ */
+const band = (bands, value) => {
+  if (typeof value !== 'number') return null;
+  const match = bands.find(([lower]) => value >= lower);
+  return match ? match[1] : null;
+};
+
+/**
+ * Format a metric value in a unit group, e.g. "68°F" or "12 mph"
+ * @param {number} value - Value in metric units
+ * @param {string} quantity - temperature, precipitation or speed
+ * @param {string} unitGroup - Unit group
+ * @returns {string} - Formatted value
+ */
+const formatValue = (value, quantity, unitGroup) => {
+  const unit = UNIT_GROUPS[unitGroup][quantity];
+  const converted = convertValue(value, quantity, unitGroup);
+  const decimals = { temperature: 0, precipitation: unit === 'in' ? 2 : 1, speed: 0 }[quantity];
+
+  return `${Math.round(converted * 10 ** decimals) / 10 ** decimals}${UNIT_SYMBOLS[unit]}`;
+};
+
+/**
+ * Heat index (apparent temperature in heat and humidity), after the
+ * NWS Rothfusz regression. Only defined from 26.7 °C (80 °F).
+ * @param {number} temp - Temperature in °C
+ * @param {number} humidity - Relative humidity in %
+ * @returns {number|null} - Heat index in °C
+ */
+const heatIndex = (temp, humidity) => {
+  if (typeof temp !== 'number' || typeof humidity !== 'number' || temp < 26.7) return null;
+
+  const t = temp * 9 / 5 + 32;
+  const rh = humidity;
+  let index = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+
+  if ((index + t) / 2 >= 80) {
+    index = -42.379 + 2.04901523 * t + 10.14333127 * rh - 0.22475541 * t * rh - 0.00683783 * t * t
+      - 0.05481717 * rh * rh + 0.00122874 * t * t * rh + 0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+
+    if (rh < 13 && t <= 112) index -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+    else if (rh > 85 && t <= 87) index += ((rh - 85) / 10) * ((87 - t) / 5);
+  }
+
+  return round((index - 32) * 5 / 9);
+};
+
+/**
+ * Wind chill, after the formula used by Environment Canada and the NWS.
+ * Only defined at or below 10 °C with wind above 4.8 km/h.
+ * @param {number} temp - Temperature in °C
+ * @param {number} windspeed - Wind speed in km/h
+ * @returns {number|null} - Wind chill in °C
+ */
+const windChill = (temp, windspeed) => {
+  if (typeof temp !== 'number' || typeof windspeed !== 'number' || temp > 10 || windspeed <= 4.8) return null;
+
+  const wind = windspeed ** 0.16;
+  return round(13.12 + 0.6215 * temp - 11.37 * wind + 0.3965 * temp * wind);
+};
+
+/**
+ * Highest or lowest of the values that are defined
+ * @param {Array<number|null>} values - Values
+ * @param {Function} pick - Math.max or Math.min
+ * @returns {number|null} - Extreme, null if no value is defined
+ */
+const extreme = (values, pick) => {
+  const defined = values.filter(value => typeof value === 'number');
+  return defined.length > 0 ? pick(...defined) : null;
+};
+
+/**
+ * Resolve the criteria of an activity, in the requested unit group.
+ * Criteria given in the request replace those of the activity.
+ * @param {Object} options - { activity, minTemp, maxTemp, maxWind, maxPrecipProb, maxUv, minHours } (request units)
+ * @param {string} unitGroup - Unit group the criteria are given in
+ * @returns {Object} - Criteria
+ */
+const resolveCriteria = ({ activity = 'walking', minHours, ...overrides }, unitGroup) => {
+  if (!ACTIVITIES[activity]) {
+    throw new ValidationError(`Activity must be one of ${Object.keys(ACTIVITIES).join(', ')}`, { details: { parameter: 'activity' } });
+  }
+
+  const criteria = { activity };
+
+  Object.entries(ACTIVITIES[activity]).forEach(([name, value]) => {
+    const given = overrides[name];
+    if (given !== undefined && given !== '') criteria[name] = parseFloat(given);
+    else criteria[name] = CRITERIA_QUANTITIES[name] ? convertValue(value, CRITERIA_QUANTITIES[name], unitGroup) : value;
+  });
+
+  if (criteria.minTemp > criteria.maxTemp) {
+    throw new ValidationError('The minimum temperature must not be above the maximum', { details: { parameter: 'minTemp' } });
+  }
+
+  criteria.minHours = minHours !== undefined && minHours !== '' ? parseInt(minHours) : 1;
+  return criteria;
+};
+
+/**
+ * Find the longest run of consecutive hours left today that suit an
+ * activity (the earliest one if several are as long)
+ * @param {Array<Object>} hours - Hours from flattenHours, in the criteria's unit group
+ * @param {Object} criteria - Criteria from resolveCriteria
+ * @returns {Object} - { date, window, blockedBy }; window is null when no run is long enough
+ */
+const findBestHours = (hours, criteria) => {
+  const upcoming = upcomingHours(hours);
+  const today = upcoming.length > 0 ? upcoming[0].local.slice(0, 10) : null;
+
+  const candidates = upcoming.filter(hour => {
+    const localHour = parseInt(hour.local.slice(11, 13));
+    return hour.local.startsWith(today) && localHour >= ACTIVITY_HOURS.first && localHour <= ACTIVITY_HOURS.last;
+  });
+
+  // How many candidate hours failed each check, to explain a missing window
+  const blockedBy = Object.fromEntries(Object.keys(CHECKS).map(name => [name, 0]));
+  let best = [];
+  let run = [];
+
+  candidates.forEach(hour => {
+    const failed = Object.keys(CHECKS).filter(name => !CHECKS[name](hour, criteria));
+    failed.forEach(name => blockedBy[name]++);
+
+    run = failed.length === 0 ? [...run, hour] : [];
+    if (run.length > best.length) best = run;
+  });
+
+  return {
+    date: today,
+    window: best.length >= criteria.minHours
+      ? { start: best[0].datetime, end: best[best.length - 1].datetime, hours: best.length }
+      : null,
+    blockedBy
+  };
+};
+
+/**
+ * Comfort of the hour in progress
+ * @param {Array<Object>} hours - Hours from flattenHours, in metric units
+ * @param {string} unitGroup - Unit group to report in
+ * @returns {Object|null} - Comfort indices, null when the data has no current hour
+ */
+const currentComfort = (hours, unitGroup) => {
+  const now = Date.now() / 1000;
+  const hour = hours.find(({ datetimeEpoch }) => datetimeEpoch <= now && now < datetimeEpoch + 3600);
+  if (!hour) return null;
+
+  const heat = heatIndex(hour.temp, hour.humidity);
+
+  return {
+    datetime: hour.datetime,
+    temp: convertValue(hour.temp, 'temperature', unitGroup),
+    feelslike: convertValue(hour.feelslike, 'temperature', unitGroup),
+    heatIndex: convertValue(heat, 'temperature', unitGroup),
+    heatRisk: band(HEAT_RISKS, heat),
+    windChill: convertValue(windChill(hour.temp, hour.windspeed), 'temperature', unitGroup),
+    dew: convertValue(hour.dew, 'temperature', unitGroup),
+    dewPointComfort: band(DEW_POINT_COMFORT, hour.dew),
+    uvindex: hour.uvindex,
+    uvRisk: band(UV_RISKS, hour.uvindex)
+  };
+};
+
+/**
+ * Frost and heavy-rain warnings of a day
+ * @param {Object} day - Day in metric units
+ * @param {string} unitGroup - Unit group to report in
+ * @returns {Array<Object>} - Warnings
+ */
+const dayWarnings = (day, unitGroup) => {
+  const warnings = [];
+  const peakRate = extreme((day.hours || []).map(hour => hour.precip), Math.max);
+
+  if (typeof day.tempmin === 'number' && day.tempmin <= frostTemperature) {
+    warnings.push({
+      type: 'frost',
+      date: day.datetime,
+      tempmin: convertValue(day.tempmin, 'temperature', unitGroup),
+      message: `Frost likely, with a low of ${formatValue(day.tempmin, 'temperature', unitGroup)}`
+    });
+  }
+
+  if (day.precip >= heavyRainDaily || peakRate >= heavyRainHourly) {
+    warnings.push({
+      type: 'heavy-rain',
+      date: day.datetime,
+      precip: convertValue(day.precip, 'precipitation', unitGroup),
+      peakHourlyPrecip: convertValue(peakRate, 'precipitation', unitGroup),
+      message: `Heavy rain possible, ${formatValue(day.precip || 0, 'precipitation', unitGroup)} in total`
+        + (peakRate >= heavyRainHourly ? ` and up to ${formatValue(peakRate, 'precipitation', unitGroup)} in an hour` : '')
+    });
+  }
+
+  return warnings;
+};
+
+/**
+ * Write a short summary of a day, e.g. "Partially cloudy. High 20°C,
+ * low 10°C. 40% chance of precipitation, 2 mm expected. Light wind.
+ * UV moderate."
+ * @param {Object} day - Day in metric units
+ * @param {Object} indices - { heatIndexMax, windChillMin, uvRisk, warnings } in metric units
+ * @param {string} unitGroup - Unit group to write values in
+ * @returns {string} - Summary
+ */
+const summarizeDay = (day, { heatIndexMax, windChillMin, uvRisk, warnings }, unitGroup) => {
+  const sentences = [];
+
+  if (day.conditions) sentences.push(day.conditions.replace(/\.$/, ''));
+
+  if (typeof day.tempmax === 'number' && typeof day.tempmin === 'number') {
+    sentences.push(`High ${formatValue(day.tempmax, 'temperature', unitGroup)}, low ${formatValue(day.tempmin, 'temperature', unitGroup)}`);
+  }
+
+  if (band(HEAT_RISKS, heatIndexMax)) {
+    sentences.push(`Feels like up to ${formatValue(heatIndexMax, 'temperature', unitGroup)} with the humidity`);
+  }
+
+  if (windChillMin !== null && windChillMin < day.tempmin - 1) {
+    sentences.push(`Wind chill down to ${formatValue(windChillMin, 'temperature', unitGroup)}`);
+  }
+
+  if (day.precip > 0 || day.precipprob >= 30) {
+    const chance = typeof day.precipprob === 'number' ? `${Math.round(day.precipprob)}% chance of precipitation` : 'Precipitation';
+    sentences.push(day.precip > 0 ? `${chance}, ${formatValue(day.precip, 'precipitation', unitGroup)} expected` : chance);
+  } else {
+    sentences.push('Dry');
+  }
+
+  const wind = band(WIND_STRENGTHS, day.windspeed);
+  if (wind === 'calm') sentences.push('Calm');
+  else if (wind) sentences.push(`${wind[0].toUpperCase()}${wind.slice(1)} wind, up to ${formatValue(day.windspeed, 'speed', unitGroup)}`);
+
+  if (uvRisk) sentences.push(`UV ${uvRisk.replace('-', ' ')}${['high', 'very-high', 'extreme'].includes(uvRisk) ? ', sun protection advised' : ''}`);
+
+  warnings.forEach(warning => sentences.push(warning.type === 'frost' ? 'Frost likely' : 'Heavy rain possible'));
+
+  return `${sentences.join('. ')}.`;
+};
+
+/**
+ * Insights of one forecast day
+ * @param {Object} day - Day in metric units
+ * @param {string} unitGroup - Unit group to report in
+ * @returns {Object} - Day insights, with the day's warnings
+ */
+const dayInsights = (day, unitGroup) => {
+  const hours = day.hours || [];
+  const heatIndexMax = hours.length > 0
+    ? extreme(hours.map(hour => heatIndex(hour.temp, hour.humidity)), Math.max)
+    : heatIndex(day.tempmax, day.humidity);
+  const windChillMin = hours.length > 0
+    ? extreme(hours.map(hour => windChill(hour.temp, hour.windspeed)), Math.min)
+    : windChill(day.tempmin, day.windspeed);
+  const uvRisk = band(UV_RISKS, day.uvindex);
+  const warnings = dayWarnings(day, unitGroup);
+
+  return {
+    datetime: day.datetime,
+    tempmax: convertValue(day.tempmax, 'temperature', unitGroup),
+    tempmin: convertValue(day.tempmin, 'temperature', unitGroup),
+    heatIndexMax: convertValue(heatIndexMax, 'temperature', unitGroup),
+    heatRisk: band(HEAT_RISKS, heatIndexMax),
+    windChillMin: convertValue(windChillMin, 'temperature', unitGroup),
+    dew: convertValue(day.dew, 'temperature', unitGroup),
+    dewPointComfort: band(DEW_POINT_COMFORT, day.dew),
+    uvindex: day.uvindex,
+    uvRisk,
+    wind: band(WIND_STRENGTHS, day.windspeed),
+    summary: summarizeDay(day, { heatIndexMax, windChillMin, uvRisk, warnings }, unitGroup),
+    warnings
+  };
+};
+
+/**
+ * Get weather insights for a location: comfort indices of the current
+ * hour, the best hours left today for an activity, frost and heavy-rain
+ * warnings and a summary per day. They are derived from the forecast
+ * entry that /forecast and /hourly are served from, and only from the
+ * cache, so they cost no upstream call of their own.
+ * @param {string} location - City name or coordinates
+ * @param {Object} options - { unitGroup, days, activity, minTemp, maxTemp, maxWind, maxPrecipProb, maxUv, minHours }
+ * @param {Object} cacheOptions - Options of getWeatherDataWithMeta, such as { profile }
+ * @returns {Promise<Object>} - { data, cache, insights }
+ * @throws {NotCachedError} - With status 404 when no forecast is cached for the location
+ */
+const getInsights = async (location, { unitGroup, days, ...activityOptions } = {}, cacheOptions = {}) => {
+  // Validate before looking anything up
+  const units = parseUnitGroup(unitGroup);
+  const criteria = resolveCriteria(activityOptions, units);
+
+  const { data, cache } = await getWeatherDataWithMeta(location, forecastParams(), { ...cacheOptions, offline: true })
+    .catch((error) => {
+      if (!(error instanceof NotCachedError)) throw error;
+      throw new NotCachedError(`No forecast is cached for ${location}; request its forecast first`, { status: 404, details: error.details, cause: error });
+    });
+  const converted = convertUnits(data, units);
+  const forecastDays = (data.days || []).slice(0, days ? parseInt(days) : undefined);
+  const dailyInsights = forecastDays.map(day => dayInsights(day, units));
+
+  return {
+    data: converted,
+    cache,
+    insights: {
+      unitGroup: units,
+      now: currentComfort(flattenHours(data), units),
+      bestHours: { criteria, ...findBestHours(flattenHours(converted), criteria) },
+      warnings: dailyInsights.flatMap(day => day.warnings),
+      days: dailyInsights.map(({ warnings, ...day }) => day)
+    }
+  };
+};
+
+module.exports = {
+  ACTIVITIES,
+  getInsights
+};
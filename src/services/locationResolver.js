@@ -0,0 +1,124 @@
+const { cacheClient } = require('../config/cache');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+// Load environment variables
+const coordinatePrecision = parseInt(process.env.LOCATION_COORDINATE_PRECISION) || 3; // decimals kept for lat,lon queries (~110 m)
+const aliasExpiration = parseInt(process.env.LOCATION_ALIAS_EXPIRATION) || 30 * 24 * 3600; // 30 days default in seconds
+
+// Matches "lat,lon" queries such as "37.8267,-122.4233"
+const COORDINATES_PATTERN = /^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/;
+
+// Names of saved locations, referenced as "@name"
+const SAVED_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+// Parameters whose value is an unordered comma-separated list
+const LIST_PARAMS = ['include', 'elements'];
+
+/**
+ * Normalize a location query so equivalent spellings compare equal.
+ * Text is trimmed, case-folded and has its whitespace collapsed;
+ * coordinates are rounded to the configured precision.
+ * @param {string} location - City name, zip code or coordinates
+ * @returns {string} - Normalized location
+ */
+const normalizeLocation = (location) => {
+  const text = String(location).trim().replace(/\s+/g, ' ');
+  const coordinates = text.match(COORDINATES_PATTERN);
+
+  if (coordinates) {
+    const round = (value) => String(Number(Number(value).toFixed(coordinatePrecision)));
+    return `${round(coordinates[1])},${round(coordinates[2])}`;
+  }
+
+  return text.toLowerCase().replace(/\s*,\s*/g, ',');
+};
+
+/**
+ * Replace a reference to a saved location ("@home") with the location
+ * it points to. Other locations are returned as they are.
+ * @param {string} location - Location query
+ * @param {Object|null} profile - Profile with saved locations (see profileService.js)
+ * @returns {string} - Location to look up
+ */
+const resolveSavedLocation = (location, profile) => {
+  const text = String(location).trim();
+  if (!text.startsWith('@')) return location;
+
+  const name = text.slice(1).toLowerCase();
+
+  if (!SAVED_NAME_PATTERN.test(name)) {
+    throw new ValidationError(`Invalid saved location name: ${text}`, { details: { parameter: 'location' } });
+  }
+
+  if (!profile) {
+    throw new ValidationError('Saved locations need an API key with a profile', { details: { parameter: 'location' } });
+  }
+
+  if (!profile.locations[name]) {
+    throw new NotFoundError(`No saved location named ${name}`, { details: { location: text } });
+  }
+
+  return profile.locations[name];
+};
+
+/**
+ * Normalize query parameters: drop empty values, sort by name and
+ * sort the items of list parameters such as include
+ * @param {Object} params - Query parameters
+ * @returns {Array<[string, string]>} - Sorted [name, value] pairs
+ */
+const normalizeParams = (params = {}) => {
+  return Object.entries(params)
+    .filter(([_, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => {
+      if (LIST_PARAMS.includes(key)) {
+        return [key, String(value).split(',').map(item => item.trim()).filter(Boolean).sort().join(',')];
+      }
+      return [key, String(value)];
+    })
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+};
+
+// Aliases are stored as "alias:<normalized query>" with the canonical location as value
+const ALIAS_KEY_PREFIX = 'alias:';
+
+const aliasKey = (query) => `${ALIAS_KEY_PREFIX}${query}`;
+
+/**
+ * Look up the canonical location a query resolved to before
+ * @param {string} query - Normalized location query
+ * @returns {Promise<string|null>} - Canonical location or null if unknown
+ */
+const resolveAlias = async (query) => {
+  return cacheClient.get(aliasKey(query));
+};
+
+/**
+ * Remember which canonical location a query resolved to
+ * @param {string} query - Normalized location query
+ * @param {string} resolvedAddress - Address returned by the weather API
+ * @returns {Promise<string>} - Canonical location
+ */
+const recordAlias = async (query, resolvedAddress) => {
+  const canonical = normalizeLocation(resolvedAddress);
+
+  try {
+    await cacheClient.set(aliasKey(query), canonical, { EX: aliasExpiration });
+  } catch (error) {
+    // A missing alias only costs a cache miss later on
+    logger.warn('could not record alias', { query, error });
+  }
+
+  return canonical;
+};
+
+module.exports = {
+  SAVED_NAME_PATTERN,
+  ALIAS_KEY_PREFIX,
+  normalizeLocation,
+  resolveSavedLocation,
+  normalizeParams,
+  resolveAlias,
+  recordAlias
+};
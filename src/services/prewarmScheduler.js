@@ -0,0 +1,189 @@
+const { cacheExpiration } = require('../config/cache');
+const { getWeatherDataWithMeta, getCachedAge } = require('./weatherService');
+const { VIEWS } = require('./batchService');
+const { toApiError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+// Load environment variables
+const locations = (process.env.PREWARM_LOCATIONS || '') // hot locations, separated by ; since names may contain commas
+  .split(';')
+  .map(location => location.trim())
+  .filter(Boolean);
+const views = (process.env.PREWARM_VIEWS || 'current,forecast') // parameter sets to keep warm for every location
+  .split(',')
+  .map(view => view.trim().toLowerCase())
+  .filter(Boolean);
+const checkInterval = parseInt(process.env.PREWARM_INTERVAL_MS) || 30 * 1000; // how often due refreshes are looked for
+const gap = parseInt(process.env.PREWARM_GAP_MS) || 2000; // pause between two refreshes, so they never burst
+const lead = Math.min(
+  parseInt(process.env.PREWARM_LEAD_SECONDS) || Math.max(60, Math.round(cacheExpiration / 10)),
+  Math.floor(cacheExpiration / 2)
+); // refreshes happen between lead and lead/2 seconds before the soft TTL runs out
+const retryDelay = parseInt(process.env.PREWARM_RETRY_MS) || 60 * 1000; // after a failure, doubled up to maxRetryDelay
+const maxRetryDelay = 15 * 60 * 1000;
+
+const unknown = views.filter(view => !VIEWS[view]);
+if (unknown.length > 0) {
+  throw new Error(`Unknown PREWARM_VIEWS entry "${unknown.join(', ')}" (expected ${Object.keys(VIEWS).join(', ')})`);
+}
+
+// One job per location and view
+const jobs = locations.flatMap(location => views.map(view => ({
+  location,
+  view,
+  params: VIEWS[view].params({}),
+  dueAt: 0,
+  lastRefreshAt: null,
+  lastAttemptAt: null,
+  failures: 0,
+  lastError: null,
+  provider: null
+})));
+
+let timer = null;
+let running = false;
+let lastRunAt = null;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * When data fetched at a given time should be refreshed: shortly
+ * before its soft TTL, at a random point so entries fetched together
+ * do not all come due together
+ * @param {number} fetchedAt - Time the data was fetched, in ms
+ * @returns {number} - Time of the next refresh, in ms
+ */
+const nextRefresh = (fetchedAt) => fetchedAt + (cacheExpiration - lead + Math.random() * lead / 2) * 1000;
+
+/**
+ * Refresh one job. A job whose data was fetched since it came due (by a
+ * request or an admin warm) is planned again from that data instead. A
+ * failed refresh leaves the cached entry alone, so requests are still
+ * served from it (stale if need be), and is tried again with backoff.
+ * @param {Object} job - Job
+ * @returns {Promise<void>}
+ */
+const refreshJob = async (job) => {
+  // An unreadable cache only means refreshing anyway
+  const age = await getCachedAge(job.location, job.params).catch(() => null);
+
+  if (age !== null && age < cacheExpiration - lead) {
+    job.failures = 0;
+    job.lastError = null;
+    job.dueAt = nextRefresh(Date.now() - age * 1000);
+    logger.debug('prewarm skipped, data is fresh', { location: job.location, view: job.view, age });
+    return;
+  }
+
+  job.lastAttemptAt = Date.now();
+
+  try {
+    const { data } = await getWeatherDataWithMeta(job.location, job.params, { refresh: true, priority: 'background' });
+
+    job.lastRefreshAt = Date.now();
+    job.failures = 0;
+    job.lastError = null;
+    job.provider = data.provider;
+    job.dueAt = nextRefresh(job.lastRefreshAt);
+    logger.debug('prewarmed', { location: job.location, view: job.view });
+  } catch (error) {
+    const { code, message } = toApiError(error);
+
+    job.failures++;
+    job.lastError = { code, message };
+    job.dueAt = Date.now() + Math.min(retryDelay * 2 ** (job.failures - 1), maxRetryDelay);
+    logger.warn('prewarm failed', { location: job.location, view: job.view, failures: job.failures, error });
+  }
+};
+
+/**
+ * Refresh the jobs that are due, one at a time with a gap between them
+ * @returns {Promise<void>}
+ */
+const runDueJobs = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    lastRunAt = Date.now();
+    const due = jobs
+      .filter(job => job.dueAt <= lastRunAt)
+      .sort((a, b) => a.dueAt - b.dueAt);
+
+    for (const [index, job] of due.entries()) {
+      if (!timer) break; // stopped
+      if (index > 0) await sleep(gap);
+      await refreshJob(job);
+    }
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Plan the first refresh of every job from the age of its cached data,
+ * so a restart does not refetch data that is still fresh
+ * @returns {Promise<void>}
+ */
+const planJobs = async () => {
+  const now = Date.now();
+
+  for (const job of jobs) {
+    const age = await getCachedAge(job.location, job.params);
+    job.dueAt = age === null ? now : nextRefresh(now - age * 1000);
+  }
+};
+
+/**
+ * Start keeping the configured locations warm. Does nothing when
+ * PREWARM_LOCATIONS is empty.
+ */
+const startPrewarmScheduler = () => {
+  if (timer || jobs.length === 0) return;
+
+  const tick = () => runDueJobs().catch(error => logger.error('prewarm scheduler error', { error }));
+
+  timer = setInterval(tick, checkInterval);
+  timer.unref();
+  planJobs().then(tick, error => logger.error('prewarm scheduler error', { error }));
+
+  logger.info('prewarm scheduler started', { locations: locations.length, views, leadSeconds: lead });
+};
+
+/**
+ * Stop keeping locations warm
+ */
+const stopPrewarmScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+/**
+ * Get the state of every job: when it was last refreshed, when it
+ * will be next and why its last refresh failed
+ * @returns {Object} - { lastRunAt, jobs }
+ */
+const getPrewarmStatus = () => {
+  const toIso = (time) => (time ? new Date(time).toISOString() : null);
+
+  return {
+    enabled: Boolean(timer),
+    lastRunAt: toIso(lastRunAt),
+    jobs: jobs.map(job => ({
+      location: job.location,
+      view: job.view,
+      lastRefreshAt: toIso(job.lastRefreshAt),
+      lastAttemptAt: toIso(job.lastAttemptAt),
+      nextRefreshAt: timer ? toIso(Math.max(job.dueAt, Date.now())) : null,
+      failures: job.failures,
+      lastError: job.lastError,
+      provider: job.provider
+    }))
+  };
+};
+
+module.exports = {
+  startPrewarmScheduler,
+  stopPrewarmScheduler,
+  getPrewarmStatus
+};
@@ -0,0 +1,139 @@
+const path = require('path');
+const { dataDir } = require('../config/storage');
+const { createJsonStore } = require('../utils/jsonFile');
+const { SAVED_NAME_PATTERN } = require('./locationResolver');
+const { UNIT_GROUPS } = require('./unitConverter');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+// Load environment variables
+const profilesFile = process.env.PROFILES_FILE || path.join(dataDir, 'profiles.json');
+const maxSavedLocations = parseInt(process.env.PROFILE_MAX_LOCATIONS) || 50;
+const maxForecastDays = 15; // the longest forecast the providers return
+
+/**
+ * A profile holds saved locations and preferences. The server keeps one
+ * per API key; the CLI keeps one in its config file.
+ * @returns {Object} - Profile without saved locations or preferences
+ */
+const emptyProfile = () => ({
+  units: null, // preferred unit group, used when a request does not name one
+  forecastDays: null, // default number of forecast days
+  locations: {} // saved locations by name, e.g. { home: '51.5072,-0.1276' }
+});
+
+/**
+ * Validate the name of a saved location
+ * @param {string} name - Name, with or without a leading @
+ * @returns {string} - Name in lower case, without the @
+ */
+const parseLocationName = (name) => {
+  const value = String(name || '').replace(/^@/, '').toLowerCase();
+
+  if (!SAVED_NAME_PATTERN.test(value)) {
+    throw new ValidationError('Names of saved locations must be 1 to 32 letters, digits, - or _, starting with a letter or digit', {
+      details: { parameter: 'name' }
+    });
+  }
+
+  return value;
+};
+
+/**
+ * Change the preferences of a profile. Preferences that are not given
+ * are kept; null clears one.
+ * @param {Object} profile - Profile to change
+ * @param {Object} update - { units, forecastDays }
+ * @returns {Object} - The changed profile
+ */
+const applyPreferences = (profile, { units, forecastDays } = {}) => {
+  if (units !== undefined && units !== null && !UNIT_GROUPS[units]) {
+    throw new ValidationError(`Units must be one of ${Object.keys(UNIT_GROUPS).join(', ')}`, { details: { parameter: 'units' } });
+  }
+
+  if (forecastDays !== undefined && forecastDays !== null
+    && (!Number.isInteger(forecastDays) || forecastDays < 1 || forecastDays > maxForecastDays)) {
+    throw new ValidationError(`Forecast days must be a whole number between 1 and ${maxForecastDays}`, { details: { parameter: 'forecastDays' } });
+  }
+
+  if (units !== undefined) profile.units = units;
+  if (forecastDays !== undefined) profile.forecastDays = forecastDays;
+
+  return profile;
+};
+
+/**
+ * Save a location under a name, replacing any location of that name
+ * @param {Object} profile - Profile to change
+ * @param {string} name - Name of the saved location
+ * @param {string} location - City name, zip code or coordinates
+ * @returns {Object} - The changed profile
+ */
+const applySavedLocation = (profile, name, location) => {
+  const key = parseLocationName(name);
+
+  if (typeof location !== 'string' || !location.trim() || location.trim().startsWith('@')) {
+    throw new ValidationError('Location must be a city name, zip code or coordinates', { details: { parameter: 'location' } });
+  }
+
+  if (!profile.locations[key] && Object.keys(profile.locations).length >= maxSavedLocations) {
+    throw new ValidationError(`At most ${maxSavedLocations} locations can be saved`, { details: { parameter: 'name' } });
+  }
+
+  profile.locations[key] = location.trim();
+  return profile;
+};
+
+/**
+ * Remove a saved location
+ * @param {Object} profile - Profile to change
+ * @param {string} name - Name of the saved location
+ * @returns {Object} - The changed profile
+ */
+const removeSavedLocation = (profile, name) => {
+  const key = parseLocationName(name);
+
+  if (!profile.locations[key]) {
+    throw new NotFoundError(`No saved location named ${key}`, { details: { name: key } });
+  }
+
+  delete profile.locations[key];
+  return profile;
+};
+
+// Profiles of API keys, by key ID
+const { load, save } = createJsonStore(profilesFile, {});
+
+/**
+ * Get the profile of an API key
+ * @param {string} clientId - API key ID
+ * @returns {Promise<Object>} - Profile (empty if none was stored)
+ */
+const getProfile = async (clientId) => {
+  const stored = (await load())[clientId];
+  return { ...emptyProfile(), ...stored, locations: { ...(stored && stored.locations) } };
+};
+
+/**
+ * Change the profile of an API key and store it
+ * @param {string} clientId - API key ID
+ * @param {Function} change - Applies the change to a copy of the profile
+ * @returns {Promise<Object>} - The stored profile
+ */
+const updateProfile = async (clientId, change) => {
+  const profile = change(await getProfile(clientId));
+
+  (await load())[clientId] = profile;
+  await save();
+
+  return profile;
+};
+
+module.exports = {
+  emptyProfile,
+  parseLocationName,
+  applyPreferences,
+  applySavedLocation,
+  removeSavedLocation,
+  getProfile,
+  updateProfile
+};
@@ -0,0 +1,200 @@
+const { getWeatherDataWithMeta } = require('./weatherService');
+const { normalizeLocation, resolveSavedLocation } = require('./locationResolver');
+const { parseUnitGroup, convertUnits } = require('./unitConverter');
+const { RateLimitError, toApiError } = require('../utils/errors');
+const { streamConnections } = require('../utils/metrics');
+const { logger } = require('../utils/logger');
+
+// Load environment variables
+const pollInterval = parseInt(process.env.STREAM_POLL_INTERVAL_MS) || 30 * 1000; // how often each location's cache entry is read
+const maxAge = parseInt(process.env.STREAM_MAX_AGE_SECONDS) || 15 * 60; // streamed conditions are refreshed once older than this
+const maxConnections = parseInt(process.env.STREAM_MAX_CONNECTIONS) || 1000; // open streams, SSE and WebSocket together
+const maxConnectionsPerClient = parseInt(process.env.STREAM_MAX_CONNECTIONS_PER_CLIENT) || 5;
+const maxLocationsPerConnection = parseInt(process.env.STREAM_MAX_LOCATIONS) || 10; // locations one WebSocket can subscribe to
+const heartbeatInterval = parseInt(process.env.STREAM_HEARTBEAT_MS) || 25 * 1000; // keeps idle streams open through proxies
+
+// Parameters of the cache entry that streams read, shared with GET /:location/current
+const CURRENT_PARAMS = { include: 'current', unitGroup: 'metric' };
+
+// Streamed locations by normalized query; each has one refresh loop for all its subscribers
+const channels = new Map();
+
+// Open streams: total, by transport and by client
+const connections = { total: 0, byTransport: { sse: 0, websocket: 0 }, byClient: new Map() };
+
+/**
+ * What subscribers receive: the body of GET /:location/current
+ * @param {Object} weatherData - Weather data
+ * @returns {Object} - Current conditions view
+ */
+const currentView = (weatherData) => ({
+  location: weatherData.resolvedAddress || weatherData.address,
+  coordinates: {
+    latitude: weatherData.latitude,
+    longitude: weatherData.longitude
+  },
+  current: weatherData.currentConditions,
+  timezone: weatherData.timezone,
+  provider: weatherData.provider
+});
+
+/**
+ * Send the latest conditions of a channel to one subscriber
+ * @param {Object} channel - Channel
+ * @param {Object} subscriber - { unitGroup, onUpdate }
+ */
+const deliver = (channel, subscriber) => {
+  try {
+    subscriber.onUpdate({ type: 'conditions', ...currentView(convertUnits(channel.data, subscriber.unitGroup)) });
+  } catch (error) {
+    logger.warn('stream delivery failed', { location: channel.location, error });
+  }
+};
+
+/**
+ * Read the channel's cache entry and push it to every subscriber if the
+ * current conditions changed. Entries older than STREAM_MAX_AGE_SECONDS
+ * are refreshed, once for all subscribers.
+ * @param {Object} channel - Channel
+ * @returns {Promise<void>} - Rejects when there is no data at all
+ */
+const poll = async (channel) => {
+  try {
+    const { data } = await getWeatherDataWithMeta(channel.location, CURRENT_PARAMS, { ttl: maxAge, priority: 'background' });
+    const fingerprint = JSON.stringify(data.currentConditions);
+
+    channel.failing = null;
+    if (fingerprint === channel.fingerprint) return;
+
+    channel.data = data;
+    channel.fingerprint = fingerprint;
+    channel.updatedAt = Date.now();
+    channel.subscribers.forEach(subscriber => deliver(channel, subscriber));
+  } catch (error) {
+    if (!channel.data) throw error;
+
+    // Subscribers keep the last conditions; they are told once per kind of failure
+    const { code, message } = toApiError(error);
+    if (channel.failing === code) return;
+
+    channel.failing = code;
+    logger.warn('stream refresh failed', { location: channel.location, error });
+    channel.subscribers.forEach(subscriber => subscriber.onUpdate({ type: 'error', location: channel.location, code, message }));
+  }
+};
+
+/**
+ * Get the channel of a location, creating it and fetching its first
+ * conditions if nobody streams it yet
+ * @param {string} location - Location (saved locations already resolved)
+ * @returns {Promise<Object>} - Channel with data
+ */
+const openChannel = async (location) => {
+  const key = normalizeLocation(location);
+  let channel = channels.get(key);
+
+  if (!channel) {
+    channel = { key, location, subscribers: new Set(), data: null, fingerprint: null, updatedAt: null, failing: null, timer: null };
+    channel.ready = poll(channel);
+    channels.set(key, channel);
+
+    channel.ready.then(() => {
+      channel.timer = setInterval(() => {
+        poll(channel).catch(error => logger.warn('stream refresh failed', { location: channel.location, error }));
+      }, pollInterval);
+      channel.timer.unref();
+    }, () => channels.delete(key));
+  }
+
+  await channel.ready;
+  return channel;
+};
+
+/**
+ * Subscribe to the current conditions of a location. The listener gets
+ * the latest conditions right away, then again whenever they change;
+ * { type: 'error' } messages report failed refreshes.
+ * @param {string} location - City name, coordinates or a saved location ("@home")
+ * @param {Object} options - { profile, unitGroup }
+ * @param {Function} onUpdate - Called with each message
+ * @returns {Promise<Function>} - Unsubscribes; rejects when the location cannot be streamed
+ */
+const subscribe = async (location, { profile = null, unitGroup } = {}, onUpdate) => {
+  const subscriber = { unitGroup: parseUnitGroup(unitGroup), onUpdate };
+  const channel = await openChannel(resolveSavedLocation(location, profile));
+
+  channel.subscribers.add(subscriber);
+  deliver(channel, subscriber);
+
+  return () => {
+    channel.subscribers.delete(subscriber);
+
+    if (channel.subscribers.size === 0 && channels.get(channel.key) === channel) {
+      clearInterval(channel.timer);
+      channels.delete(channel.key);
+    }
+  };
+};
+
+/**
+ * Count a new stream against the connection limits
+ * @param {Object} client - req.client from apiKeyAuth
+ * @param {string} transport - sse or websocket
+ * @returns {Function} - Releases the connection; call it once the stream closes
+ * @throws {RateLimitError} - When a limit is reached
+ */
+const openConnection = (client, transport) => {
+  const open = connections.byClient.get(client.id) || 0;
+
+  if (connections.total >= maxConnections) {
+    throw new RateLimitError('The server has no room for more streams; try again later', { retryAfter: 60, details: { limit: maxConnections } });
+  }
+
+  if (open >= maxConnectionsPerClient) {
+    throw new RateLimitError(`At most ${maxConnectionsPerClient} streams can be open at once`, {
+      retryAfter: 60,
+      details: { limit: maxConnectionsPerClient }
+    });
+  }
+
+  connections.total++;
+  connections.byTransport[transport]++;
+  connections.byClient.set(client.id, open + 1);
+  streamConnections.inc({ transport });
+
+  let released = false;
+
+  return () => {
+    if (released) return;
+    released = true;
+
+    connections.total--;
+    connections.byTransport[transport]--;
+    streamConnections.dec({ transport });
+
+    const left = connections.byClient.get(client.id) - 1;
+    if (left > 0) connections.byClient.set(client.id, left);
+    else connections.byClient.delete(client.id);
+  };
+};
+
+/**
+ * Get stream statistics, for /health
+ * @returns {Object} - Open connections and streamed locations
+ */
+const getStreamStats = () => ({
+  connections: { total: connections.total, ...connections.byTransport },
+  locations: [...channels.values()].map(channel => ({
+    location: channel.location,
+    subscribers: channel.subscribers.size,
+    updatedAt: channel.updatedAt ? new Date(channel.updatedAt).toISOString() : null
+  }))
+});
+
+module.exports = {
+  heartbeatInterval,
+  maxLocationsPerConnection,
+  subscribe,
+  openConnection,
+  getStreamStats
+};
@@ -0,0 +1,124 @@
+const path = require('path');
+const crypto = require('crypto');
+const { dataDir } = require('../config/storage');
+const { createJsonStore } = require('../utils/jsonFile');
+
+// Load environment variables
+const subscriptionsFile = process.env.SUBSCRIPTIONS_FILE || path.join(dataDir, 'subscriptions.json');
+
+const { load, save } = createJsonStore(subscriptionsFile, []);
+
+/**
+ * Hide the signing secret and owner when returning a subscription
+ * @param {Object} subscription - Stored subscription
+ * @returns {Object} - Public view of the subscription
+ */
+const toPublic = ({ secret, delivered, owner, ...subscription }) => subscription;
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} - True if equal
+ */
+const safeEqual = (a, b) => {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+};
+
+/**
+ * Whether a caller may read or delete a subscription: it must use the
+ * API key that created the subscription or know its secret
+ * @param {Object} subscription - Stored subscription
+ * @param {Object} credentials - { clientId, secret }
+ * @returns {boolean} - True if allowed
+ */
+const canManage = (subscription, { clientId, secret } = {}) => Boolean(
+  (subscription.owner && subscription.owner === clientId)
+  || (secret && safeEqual(secret, subscription.secret))
+);
+
+/**
+ * Register a webhook for a location's alerts
+ * @param {Object} options - { location, webhookUrl, owner }; owner is the ID of
+ *                           the creating API key, null for anonymous clients
+ * @returns {Promise<Object>} - The subscription, including its signing secret
+ */
+const createSubscription = async ({ location, webhookUrl, owner = null }) => {
+  const subscriptions = await load();
+
+  const subscription = {
+    id: crypto.randomUUID(),
+    location,
+    webhookUrl,
+    owner,
+    secret: crypto.randomBytes(32).toString('hex'),
+    createdAt: new Date().toISOString(),
+    delivered: {} // alert key -> fingerprint of the version last delivered
+  };
+
+  subscriptions.push(subscription);
+  await save();
+
+  return { ...toPublic(subscription), secret: subscription.secret };
+};
+
+/**
+ * Get a subscription by ID
+ * @param {string} id - Subscription ID
+ * @param {Object} credentials - { clientId, secret } of the caller (see canManage)
+ * @returns {Promise<Object|null>} - The subscription (without secret), or null if
+ *                                   it does not exist or the caller may not see it
+ */
+const getSubscription = async (id, credentials) => {
+  const subscription = (await load()).find(item => item.id === id);
+  return subscription && canManage(subscription, credentials) ? toPublic(subscription) : null;
+};
+
+/**
+ * Delete a subscription
+ * @param {string} id - Subscription ID
+ * @param {Object} credentials - { clientId, secret } of the caller (see canManage)
+ * @returns {Promise<boolean>} - True if it existed and the caller may delete it
+ */
+const deleteSubscription = async (id, credentials) => {
+  const subscriptions = await load();
+
+  const index = subscriptions.findIndex(item => item.id === id && canManage(item, credentials));
+  if (index === -1) return false;
+
+  subscriptions.splice(index, 1);
+  await save();
+  return true;
+};
+
+/**
+ * Get all subscriptions, including secrets and delivery state.
+ * Only for the alert scheduler.
+ * @returns {Promise<Array<Object>>} - All subscriptions
+ */
+const listSubscriptions = async () => load();
+
+/**
+ * Record which version of each active alert a subscription has received.
+ * Alerts missing from the map are forgotten, which keeps the state small.
+ * @param {string} id - Subscription ID
+ * @param {Object} delivered - Alert key -> fingerprint
+ * @returns {Promise<void>}
+ */
+const setDelivered = async (id, delivered) => {
+  const subscription = (await load()).find(item => item.id === id);
+  if (!subscription) return;
+
+  subscription.delivered = delivered;
+  await save();
+};
+
+module.exports = {
+  createSubscription,
+  getSubscription,
+  deleteSubscription,
+  listSubscriptions,
+  setDelivered
+};
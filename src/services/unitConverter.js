@@ -0,0 +1,130 @@
+const { ValidationError } = require('../utils/errors');
+
+// Weather data is fetched and cached in metric units only; other unit
+// groups are converted from that copy when served.
+const CANONICAL_UNIT_GROUP = 'metric';
+
+const round = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// Conversions from metric, by quantity
+const CONVERSIONS = {
+  temperature: (celsius) => round(celsius * 9 / 5 + 32, 1), // °C -> °F
+  precipitation: (mm) => round(mm / 25.4, 3), // mm -> in
+  snow: (cm) => round(cm / 2.54, 2), // cm -> in
+  speed: (kmh) => round(kmh / 1.609344, 1), // km/h -> mph
+  distance: (km) => round(km / 1.609344, 1) // km -> mi
+};
+
+// Units of each quantity in each unit group (as used by Visual Crossing).
+// Pressure is in millibars (hPa) in every group.
+const UNIT_GROUPS = {
+  metric: { temperature: 'degC', precipitation: 'mm', snow: 'cm', speed: 'km/h', distance: 'km' },
+  us: { temperature: 'degF', precipitation: 'in', snow: 'in', speed: 'mph', distance: 'mi' },
+  uk: { temperature: 'degC', precipitation: 'mm', snow: 'cm', speed: 'mph', distance: 'mi' }
+};
+
+// Model fields and the quantity they measure
+const FIELD_QUANTITIES = {
+  temp: 'temperature',
+  tempmax: 'temperature',
+  tempmin: 'temperature',
+  feelslike: 'temperature',
+  feelslikemax: 'temperature',
+  feelslikemin: 'temperature',
+  dew: 'temperature',
+  precip: 'precipitation',
+  snow: 'snow',
+  snowdepth: 'snow',
+  windspeed: 'speed',
+  windgust: 'speed',
+  windspeedmax: 'speed',
+  windspeedmean: 'speed',
+  windspeedmin: 'speed',
+  visibility: 'distance'
+};
+
+/**
+ * Validate a unit group
+ * @param {string} unitGroup - metric, us or uk; defaults to metric
+ * @returns {string} - Unit group
+ */
+const parseUnitGroup = (unitGroup) => {
+  if (unitGroup === undefined || unitGroup === null || unitGroup === '') return CANONICAL_UNIT_GROUP;
+
+  const value = String(unitGroup).toLowerCase();
+
+  if (!UNIT_GROUPS[value]) {
+    throw new ValidationError(`UnitGroup must be one of ${Object.keys(UNIT_GROUPS).join(', ')}`, {
+      details: { parameter: 'unitGroup' }
+    });
+  }
+
+  return value;
+};
+
+/**
+ * Convert the measured fields of one set of conditions
+ * @param {Object} conditions - Conditions in metric units
+ * @param {Object} units - Entry of UNIT_GROUPS to convert to
+ * @returns {Object} - Converted copy
+ */
+const convertConditions = (conditions, units) => {
+  const converted = { ...conditions };
+
+  Object.entries(FIELD_QUANTITIES).forEach(([field, quantity]) => {
+    if (typeof converted[field] === 'number' && units[quantity] !== UNIT_GROUPS.metric[quantity]) {
+      converted[field] = CONVERSIONS[quantity](converted[field]);
+    }
+  });
+
+  if (Array.isArray(converted.hours)) {
+    converted.hours = converted.hours.map(hour => convertConditions(hour, units));
+  }
+
+  return converted;
+};
+
+/**
+ * Convert a single metric value, e.g. a threshold or a derived index
+ * @param {number} value - Value in metric units
+ * @param {string} quantity - temperature, precipitation, snow, speed or distance
+ * @param {string} unitGroup - Unit group to convert to
+ * @returns {number} - Value in the unit group
+ */
+const convertValue = (value, quantity, unitGroup) => {
+  if (typeof value !== 'number' || UNIT_GROUPS[unitGroup][quantity] === UNIT_GROUPS.metric[quantity]) {
+    return value;
+  }
+
+  return CONVERSIONS[quantity](value);
+};
+
+/**
+ * Convert weather data from metric to another unit group. The input
+ * may be a cached object and is never modified.
+ * @param {Object} data - Weather data in metric units (see providers/model.js)
+ * @param {string} unitGroup - Unit group to convert to
+ * @returns {Object} - Weather data in the requested units, with `unitGroup` set
+ */
+const convertUnits = (data, unitGroup) => {
+  if (unitGroup === CANONICAL_UNIT_GROUP) {
+    return { ...data, unitGroup };
+  }
+
+  const units = UNIT_GROUPS[unitGroup];
+
+  return {
+    ...data,
+    unitGroup,
+    currentConditions: data.currentConditions && convertConditions(data.currentConditions, units),
+    days: data.days && data.days.map(day => convertConditions(day, units))
+  };
+};
+
+module.exports = {
+  CANONICAL_UNIT_GROUP,
+  UNIT_GROUPS,
+  parseUnitGroup,
+  convertValue,
+  convertUnits
+};
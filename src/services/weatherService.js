@@ -1,109 +1,248 @@
-const axios = require('axios');
-const { cacheClient, cacheExpiration } = require('../config/cache');
-
-// Load environment variables
-const apiKey = process.env.WEATHER_API_KEY;
-const baseUrl = process.env.WEATHER_API_BASE_URL;
+const { cacheClient, cacheExpiration, cacheHardExpiration, staleWhileRevalidate } = require('../config/cache');
+const { normalizeLocation, normalizeParams, resolveAlias, recordAlias, resolveSavedLocation } = require('./locationResolver');
+const { fetchWeather } = require('../providers');
+const { CANONICAL_UNIT_GROUP, parseUnitGroup, convertUnits } = require('./unitConverter');
+const { ValidationError, NotCachedError } = require('../utils/errors');
+const { cacheLookups } = require('../utils/metrics');
+const { logger } = require('../utils/logger');
 
 /**
- * Generates a cache key based on location and query parameters
- * @param {string} location - City name or coordinates
+ * Generates a cache key based on location and query parameters.
+ * Parameters are sorted so their order does not matter.
+ * @param {string} location - Normalized location
  * @param {Object} params - Additional query parameters
  * @returns {string} - Cache key
  */
 const generateCacheKey = (location, params = {}) => {
-  const queryString = Object.entries(params)
-    .filter(([_, value]) => value !== undefined && value !== null)
+  const queryString = normalizeParams(params)
     .map(([key, value]) => `${key}=${value}`)
     .join('&');
   
   return `weather:${location}${queryString ? `:${queryString}` : ''}`;
 };
 
+// Upstream requests in flight, keyed by cache key
+const inFlight = new Map();
+
+// Counters for request coalescing
+const coalescingStats = {
+  upstreamCalls: 0, // requests actually sent to the API
+  coalescedCalls: 0 // callers that joined a request already in flight
+};
+
+// Counters for cache lookups, by the status served
+const lookupStats = {
+  hits: 0,
+  stale: 0,
+  misses: 0
+};
+
 /**
- * Get weather data for a location
- * @param {string} location - City name or coordinates
+ * Fetch fresh data from the API and store it in the cache.
+ * Entries are kept until the hard TTL so they can be served stale.
+ * Concurrent callers for the same key share one upstream request; a
+ * failed request is not cached, so the next caller simply tries again.
+ * The entry is also stored under the address the API resolved the
+ * query to, so other spellings of the same place share it.
+ * @param {string} cacheKey - Cache key for the entry
+ * @param {string} location - Normalized location query
  * @param {Object} params - Additional query parameters
- * @returns {Promise<Object>} - Weather data
+ * @param {number} hardTtl - How long the entry is kept, in seconds
+ * @param {string} priority - Priority of the upstream call (interactive, batch or background)
+ * @returns {Promise<Object>} - Cache entry ({ data, fetchedAt })
  */
-const getWeatherData = async (location, params = {}) => {
-  try {
-    if (!location) {
-      throw new Error('Location is required');
-    }
-
-    if (!apiKey) {
-      throw new Error('Weather API key is not configured');
-    }
-
-    // Generate cache key
-    const cacheKey = generateCacheKey(location, params);
+const refreshEntry = (cacheKey, location, params, hardTtl, priority) => {
+  if (inFlight.has(cacheKey)) {
+    coalescingStats.coalescedCalls++;
+    logger.debug('joining in-flight request', { cacheKey });
+    return inFlight.get(cacheKey);
+  }
+  
+  coalescingStats.upstreamCalls++;
+  
+  const request = (async () => {
+    const data = await fetchWeather(location, params, { priority });
+    const entry = { data, fetchedAt: Date.now() };
     
-    // Try to get data from cache
-    const cachedData = await cacheClient.get(cacheKey);
+    await cacheClient.set(cacheKey, entry, {
+      EX: hardTtl
+    });
     
-    if (cachedData) {
-      console.log(`Cache hit for ${cacheKey}`);
-      return cachedData;
+    if (data.resolvedAddress) {
+      const resolved = await recordAlias(location, data.resolvedAddress);
+      const resolvedKey = generateCacheKey(resolved, params);
+      
+      if (resolvedKey !== cacheKey) {
+        await cacheClient.set(resolvedKey, entry, {
+          EX: hardTtl
+        });
+      }
     }
     
-    console.log(`Cache miss for ${cacheKey}, fetching from API`);
-    
-    // Build the request URL
-    const url = `${baseUrl}/${encodeURIComponent(location)}`;
-    
-    // Add API key to parameters
-    const requestParams = {
-      ...params,
-      key: apiKey,
-      unitGroup: params.unitGroup || 'metric' // Default to metric units
-    };
-    
-    // Make the API request
-    const response = await axios.get(url, { params: requestParams });
-    
-    if (response.status !== 200) {
-      throw new Error(`API error: ${response.statusText}`);
+    return entry;
+  })().finally(() => inFlight.delete(cacheKey));
+  
+  inFlight.set(cacheKey, request);
+  return request;
+};
+
+/**
+ * Refresh a stale entry without making the caller wait for it
+ * @param {string} cacheKey - Cache key for the entry
+ * @param {string} location - Normalized location query
+ * @param {Object} params - Additional query parameters
+ * @param {number} hardTtl - How long the entry is kept, in seconds
+ */
+const refreshInBackground = (cacheKey, location, params, hardTtl) => {
+  if (inFlight.has(cacheKey)) return;
+  
+  refreshEntry(cacheKey, location, params, hardTtl, 'background')
+    .then(() => logger.debug('background refresh done', { cacheKey }))
+    .catch((error) => logger.warn('background refresh failed', { cacheKey, error }));
+};
+
+/**
+ * Get request coalescing statistics
+ * @returns {Object} - Upstream and coalesced call counts, plus requests in flight
+ */
+const getCoalescingStats = () => ({
+  ...coalescingStats,
+  inFlight: inFlight.size
+});
+
+/**
+ * Get cache lookup statistics
+ * @returns {Object} - Hits, stale hits and misses, plus the hit rate (stale hits count as hits)
+ */
+const getLookupStats = () => {
+  const total = lookupStats.hits + lookupStats.stale + lookupStats.misses;
+  
+  return {
+    ...lookupStats,
+    hitRate: total > 0 ? (lookupStats.hits + lookupStats.stale) / total : 0
+  };
+};
+
+/**
+ * Get weather data for a location together with cache metadata.
+ * Data is fetched and cached in metric units and converted to the
+ * requested unitGroup on the way out, so all unit groups share one
+ * cache entry and one upstream call.
+ * @param {string} location - City name, coordinates or a saved location ("@home")
+ * @param {Object} params - Additional query parameters
+ * @param {Object} options - Options (supports {ttl: seconds} to override the soft TTL,
+ *                           {refresh: true} to skip the cache and fetch fresh data,
+ *                           {offline: true} to answer from the cache only, however old,
+ *                           {profile} to resolve saved locations, and {priority} of the
+ *                           upstream call: 'interactive' (default), 'batch' or 'background')
+ * @returns {Promise<Object>} - { data, cache: { status: 'HIT'|'MISS'|'STALE', age } } with age in seconds
+ */
+const getWeatherDataWithMeta = async (location, params = {}, options = {}) => {
+  if (!location || !String(location).trim()) {
+    throw new ValidationError('Location is required', { details: { parameter: 'location' } });
+  }
+
+  const unitGroup = parseUnitGroup(params.unitGroup);
+  const serve = (data, cache) => ({ data: convertUnits(data, unitGroup), cache });
+  const canonicalParams = { ...params, unitGroup: CANONICAL_UNIT_GROUP };
+
+  // Generate a canonical cache key, following the alias table when the
+  // query is known to resolve to an address we have seen before
+  const target = resolveSavedLocation(location, options.profile || null);
+  const query = normalizeLocation(target);
+  const canonical = (await resolveAlias(query)) || query;
+  const cacheKey = generateCacheKey(canonical, canonicalParams);
+  const softTtl = options.ttl || cacheExpiration;
+  const hardTtl = Math.max(softTtl, cacheHardExpiration);
+  
+  // Try to get data from cache
+  const cached = options.refresh ? null : await cacheClient.get(cacheKey);
+  const entry = cached && cached.fetchedAt ? cached : null;
+  const ageOf = (fetchedAt) => Math.max(0, Math.floor((Date.now() - fetchedAt) / 1000));
+  
+  if (options.offline) {
+    if (!entry) {
+      lookupStats.misses++;
+      cacheLookups.inc({ result: 'miss' });
+      throw new NotCachedError(`No cached data for ${target}`, { details: { location: query } });
     }
     
-    const weatherData = response.data;
+    const age = ageOf(entry.fetchedAt);
+    const stale = age >= softTtl;
+    lookupStats[stale ? 'stale' : 'hits']++;
+    cacheLookups.inc({ result: stale ? 'stale' : 'hit' });
+    return serve(entry.data, { status: stale ? 'STALE' : 'HIT', age });
+  }
+  
+  if (entry) {
+    const age = ageOf(entry.fetchedAt);
     
-    // Store in cache with expiration
-    await cacheClient.set(cacheKey, weatherData, {
-      EX: cacheExpiration
-    });
+    if (age < softTtl) {
+      logger.debug('cache hit', { cacheKey, age });
+      lookupStats.hits++;
+      cacheLookups.inc({ result: 'hit' });
+      return serve(entry.data, { status: 'HIT', age });
+    }
     
-    return weatherData;
+    if (staleWhileRevalidate && age < hardTtl) {
+      logger.debug('serving stale data, refreshing in background', { cacheKey, age });
+      refreshInBackground(cacheKey, query, canonicalParams, hardTtl);
+      lookupStats.stale++;
+      cacheLookups.inc({ result: 'stale' });
+      return serve(entry.data, { status: 'STALE', age });
+    }
+  }
+  
+  logger.debug('cache miss, fetching from API', { cacheKey, refresh: Boolean(options.refresh) });
+  if (!options.refresh) {
+    lookupStats.misses++;
+    cacheLookups.inc({ result: 'miss' });
+  }
+  
+  try {
+    const fresh = await refreshEntry(cacheKey, query, canonicalParams, hardTtl, options.priority || 'interactive');
+    return serve(fresh.data, { status: 'MISS', age: 0 });
   } catch (error) {
-    // Handle axios errors
-    if (error.response) {
-      // The request was made and the server responded with a status code
-      // that falls out of the range of 2xx
-      const statusCode = error.response.status;
-      const errorMessage = error.response.data?.message || error.response.statusText;
-      
-      // Customize error based on status code
-      if (statusCode === 400) {
-        throw new Error(`Invalid request: ${errorMessage}`);
-      } else if (statusCode === 401 || statusCode === 403) {
-        throw new Error('Invalid API key or authentication error');
-      } else if (statusCode === 404) {
-        throw new Error(`Location not found: ${location}`);
-      } else if (statusCode === 429) {
-        throw new Error('API rate limit exceeded');
-      } else {
-        throw new Error(`Weather API error: ${errorMessage}`);
-      }
-    } else if (error.request) {
-      // The request was made but no response was received
-      throw new Error('No response from weather service. Please try again later.');
-    } else {
-      // Something happened in setting up the request that triggered an Error
-      throw error;
+    // Upstream is down, rate-limited or out of budget: fall back to stale data within the hard TTL
+    if (entry && ageOf(entry.fetchedAt) < hardTtl) {
+      logger.warn('upstream error, serving stale data', { cacheKey, error });
+      return serve(entry.data, { status: 'STALE', age: ageOf(entry.fetchedAt) });
     }
+    throw error;
   }
 };
 
+/**
+ * How old the cached data for a request is, without counting a lookup
+ * or calling the API
+ * @param {string} location - City name or coordinates
+ * @param {Object} params - Additional query parameters
+ * @returns {Promise<number|null>} - Age in seconds, or null when nothing is cached
+ */
+const getCachedAge = async (location, params = {}) => {
+  const query = normalizeLocation(location);
+  const canonical = (await resolveAlias(query)) || query;
+  const entry = await cacheClient.get(generateCacheKey(canonical, { ...params, unitGroup: CANONICAL_UNIT_GROUP }));
+
+  return entry && entry.fetchedAt ? Math.max(0, Math.floor((Date.now() - entry.fetchedAt) / 1000)) : null;
+};
+
+/**
+ * Get weather data for a location
+ * @param {string} location - City name or coordinates
+ * @param {Object} params - Additional query parameters
+ * @param {Object} options - Options (see getWeatherDataWithMeta)
+ * @returns {Promise<Object>} - Weather data
+ */
+const getWeatherData = async (location, params = {}, options = {}) => {
+  const { data } = await getWeatherDataWithMeta(location, params, options);
+  return data;
+};
+
 module.exports = {
-  getWeatherData
-}; 
\ No newline at end of file
+  getWeatherData,
+  getWeatherDataWithMeta,
+  getCachedAge,
+  getCoalescingStats,
+  getLookupStats
+};
@@ -0,0 +1,175 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { ValidationError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+// Load environment variables
+const maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const baseDelayMs = parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 1000; // doubled after every failed attempt
+const timeout = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+const allowPrivateHosts = process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true'; // for local development only
+
+// Addresses webhooks may not point to: this host, link-local (cloud
+// metadata services) and private networks
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'], // carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'], // unique local
+  ['fe80::', 10, 'ipv6']
+].forEach(([address, prefix, type]) => blockedAddresses.addSubnet(address, prefix, type));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether webhooks may be delivered to an address
+ * @param {string} address - IPv4 or IPv6 address (IPv4-mapped IPv6 included)
+ * @returns {boolean} - False for loopback, link-local and private addresses
+ */
+const isPublicAddress = (address) => allowPrivateHosts || !blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+/**
+ * dns.lookup for the delivery agents, failing for hosts that resolve to
+ * an address webhooks may not reach. Checking the address the socket
+ * connects to also covers hosts whose DNS answer changed since the
+ * subscription was created.
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+const lookupPublic = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) {
+      return callback(Object.assign(new Error(`${hostname} resolves to the private address ${blocked.address}`), { code: 'EPRIVATEADDRESS' }));
+    }
+
+    return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const agents = {
+  httpAgent: new http.Agent({ lookup: lookupPublic }),
+  httpsAgent: new https.Agent({ lookup: lookupPublic })
+};
+
+/**
+ * Check that a webhook URL is an absolute http(s) URL whose host only
+ * resolves to public addresses, so subscriptions cannot make the server
+ * call into its own network
+ * @param {string} value - URL to check
+ * @returns {Promise<void>}
+ * @throws {ValidationError} - When the URL may not be used
+ */
+const checkWebhookUrl = async (value) => {
+  const invalid = (message) => new ValidationError(message, { details: { parameter: 'webhookUrl' } });
+  let url;
+
+  try {
+    url = new URL(value);
+  } catch (error) {
+    url = null;
+  }
+
+  if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+    throw invalid('Webhook URL must be an http or https URL');
+  }
+
+  // IPv6 hosts keep their brackets in URL.hostname
+  const host = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses = [host];
+
+  if (!net.isIP(host)) {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map(({ address }) => address);
+    } catch (error) {
+      throw invalid(`Webhook host ${host} could not be resolved`);
+    }
+  }
+
+  const blocked = addresses.find(address => !isPublicAddress(address));
+  if (blocked) {
+    throw invalid(`Webhook URL must not point to a loopback, link-local or private address (${host} is ${blocked})`);
+  }
+};
+
+/**
+ * Sign a webhook body. Receivers recompute the HMAC over
+ * "<timestamp>.<body>" with their secret and compare.
+ * @param {string} secret - Subscription secret
+ * @param {string} timestamp - Unix time in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} - Signature header value
+ */
+const sign = (secret, timestamp, body) => {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${hmac}`;
+};
+
+/**
+ * POST a signed payload to a webhook, retrying with exponential backoff.
+ * Client errors other than 408 and 429 are not retried. The URL is
+ * checked again before delivering, and redirects are not followed.
+ * @param {string} url - Webhook URL
+ * @param {string} secret - Subscription secret
+ * @param {Object} payload - Payload to send
+ * @returns {Promise<void>} - Resolves once delivered, rejects after the last attempt
+ */
+const deliverWebhook = async (url, secret, payload) => {
+  const body = JSON.stringify(payload);
+
+  try {
+    await checkWebhookUrl(url);
+  } catch (error) {
+    throw new Error(`Webhook delivery to ${url} refused: ${error.message}`);
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+
+    try {
+      await axios.post(url, body, {
+        ...agents,
+        timeout,
+        maxRedirects: 0,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Weather-Timestamp': timestamp,
+          'X-Weather-Signature': sign(secret, timestamp, body)
+        }
+      });
+      return;
+    } catch (error) {
+      const status = error.response && error.response.status;
+      const retryable = status ? status >= 500 || status === 408 || status === 429 : error.code !== 'EPRIVATEADDRESS';
+
+      if (!retryable || attempt >= maxAttempts) {
+        throw new Error(`Webhook delivery to ${url} failed after ${attempt} attempt(s): ${status ? `HTTP ${status}` : error.message}`);
+      }
+
+      // Exponential backoff with jitter: base * 2^(attempt-1), +/- 20%
+      const delay = baseDelayMs * 2 ** (attempt - 1) * (0.8 + Math.random() * 0.4);
+      logger.warn('webhook delivery failed, retrying', { url, attempt, delayMs: Math.round(delay) });
+      await sleep(delay);
+    }
+  }
+};
+
+module.exports = {
+  sign,
+  checkWebhookUrl,
+  deliverWebhook
+};
@@ -0,0 +1,152 @@
+/**
+ * Base class for errors that map to an HTTP response.
+ * Clients branch on `code`, which is stable; `message` is for humans.
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} message - Human-readable message
+   * @param {Object} options - Options
+   * @param {number} options.status - HTTP status code
+   * @param {string} options.code - Stable error code
+   * @param {Object} [options.details] - Extra machine-readable information
+   * @param {number} [options.retryAfter] - Seconds the client should wait before retrying
+   * @param {boolean} [options.failover] - Whether another provider may succeed
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details = null, retryAfter = null, failover = false, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.retryAfter = retryAfter;
+    this.failover = failover;
+  }
+}
+
+/**
+ * The request is malformed or has invalid parameters (400)
+ */
+class ValidationError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { status: 400, code: 'VALIDATION_ERROR', ...options });
+  }
+}
+
+/**
+ * The request has no valid credentials (401)
+ */
+class AuthenticationError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { status: 401, code: 'UNAUTHORIZED', ...options });
+  }
+}
+
+/**
+ * The credentials are valid but not allowed to do this (403)
+ */
+class ForbiddenError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { status: 403, code: 'FORBIDDEN', ...options });
+  }
+}
+
+/**
+ * The location or resource does not exist (404)
+ */
+class NotFoundError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { status: 404, code: 'NOT_FOUND', ...options });
+  }
+}
+
+/**
+ * Only cached data was asked for and there is none (504, as for the
+ * HTTP only-if-cached directive)
+ */
+class NotCachedError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { status: 504, code: 'NOT_CACHED', ...options });
+  }
+}
+
+/**
+ * The client exceeded its own rate limit (429)
+ */
+class RateLimitError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { status: 429, code: 'RATE_LIMITED', ...options });
+  }
+}
+
+/**
+ * The weather provider rejected our credentials (502). Nothing the
+ * client can fix, but another provider may still work.
+ */
+class UpstreamAuthError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { status: 502, code: 'UPSTREAM_AUTH', failover: true, ...options });
+  }
+}
+
+/**
+ * The weather provider's quota is used up (503)
+ */
+class UpstreamQuotaError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { status: 503, code: 'UPSTREAM_QUOTA', failover: true, retryAfter: 60, ...options });
+  }
+}
+
+/**
+ * The weather provider did not answer in time (504)
+ */
+class UpstreamTimeoutError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { status: 504, code: 'UPSTREAM_TIMEOUT', failover: true, ...options });
+  }
+}
+
+/**
+ * The weather provider failed or could not be reached (502)
+ */
+class UpstreamUnavailableError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { status: 502, code: 'UPSTREAM_UNAVAILABLE', failover: true, ...options });
+  }
+}
+
+/**
+ * Convert any error into an ApiError, hiding internals of unexpected ones
+ * @param {Error} error - Error to convert
+ * @returns {ApiError} - Error with status and code
+ */
+const toApiError = (error) => {
+  if (error instanceof ApiError) return error;
+
+  // Malformed JSON bodies, rejected by express.json()
+  if (error.type === 'entity.parse.failed') {
+    return new ValidationError('Request body is not valid JSON', { cause: error });
+  }
+
+  if (error.type === 'entity.too.large') {
+    return new ApiError('Request body is too large', { status: 413, code: 'PAYLOAD_TOO_LARGE', cause: error });
+  }
+
+  return new ApiError('Internal server error', { cause: error });
+};
+
+module.exports = {
+  ApiError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  NotCachedError,
+  RateLimitError,
+  UpstreamAuthError,
+  UpstreamQuotaError,
+  UpstreamTimeoutError,
+  UpstreamUnavailableError,
+  toApiError
+};
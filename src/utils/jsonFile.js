@@ -0,0 +1,84 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Read a JSON file
+ * @param {string} file - Path of the file
+ * @param {any} fallback - Value returned when the file does not exist
+ * @returns {Promise<any>} - Parsed content
+ */
+const readJson = async (file, fallback) => {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+};
+
+/**
+ * Write a JSON file atomically, so readers never see a partial file
+ * @param {string} file - Path of the file
+ * @param {any} value - Value to write
+ * @returns {Promise<void>}
+ */
+const writeJson = async (file, value) => {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+
+  const tempFile = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tempFile, JSON.stringify(value, null, 2));
+  await fs.rename(tempFile, file);
+};
+
+/**
+ * Keep the content of a JSON file in memory. It is read on first use;
+ * callers that ask before the read finished share it, so they all get
+ * the same object. Changes are made to that object and written back
+ * with save(); writes are queued so they never interleave.
+ * @param {string} file - Path of the file
+ * @param {any} fallback - Content when the file does not exist
+ * @returns {Object} - { load, save }
+ */
+const createJsonStore = (file, fallback) => {
+  let loading = null;
+  let content = null;
+  let saving = Promise.resolve();
+
+  /**
+   * Get the content, reading the file once
+   * @returns {Promise<any>} - Content
+   */
+  const load = () => {
+    if (!loading) {
+      loading = readJson(file, fallback).then((value) => {
+        content = value;
+        return content;
+      });
+
+      // A failed read is tried again on the next call
+      loading.catch(() => {
+        loading = null;
+      });
+    }
+    return loading;
+  };
+
+  /**
+   * Write the content back to the file
+   * @returns {Promise<void>}
+   */
+  const save = () => {
+    saving = saving
+      .catch(() => {})
+      .then(() => writeJson(file, content));
+    return saving;
+  };
+
+  return { load, save };
+};
+
+module.exports = {
+  readJson,
+  writeJson,
+  createJsonStore
+};
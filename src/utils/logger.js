@@ -0,0 +1,100 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Load environment variables
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const logLevel = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info; // lowest level written
+const destination = process.env.LOG_DESTINATION === 'stderr' ? process.stderr : process.stdout; // the CLI keeps stdout for its output
+
+// Request context (such as the request ID) of the code that is logging
+const context = new AsyncLocalStorage();
+
+// The `key` query parameter carries the Visual Crossing API key
+const KEY_PARAM_PATTERN = /([?&]key=)[^&\s"']*/gi;
+
+/**
+ * Remove secrets from a string
+ * @param {string} text - Text that may contain URLs
+ * @returns {string} - Text with the key query parameter redacted
+ */
+const redact = (text) => text.replace(KEY_PARAM_PATTERN, '$1[REDACTED]');
+
+// Nesting below this depth is replaced by a placeholder
+const MAX_DEPTH = 8;
+
+/**
+ * Make a log field safe to serialize: errors become plain objects,
+ * strings are redacted, circular references become "[Circular]" and
+ * deep nesting is cut off
+ * @param {any} value - Field value
+ * @param {WeakSet} [ancestors] - Objects being serialized around this one
+ * @param {number} [depth] - Nesting depth of this value
+ * @returns {any} - Serializable value
+ */
+const serialize = (value, ancestors = new WeakSet(), depth = 0) => {
+  if (typeof value === 'string') return redact(value);
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redact(value.message),
+      code: value.code,
+      stack: value.stack && redact(value.stack)
+    };
+  }
+
+  if (!value || typeof value !== 'object') return value;
+
+  if (ancestors.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? '[Array]' : '[Object]';
+
+  ancestors.add(value);
+  const serializeItem = (item) => serialize(item, ancestors, depth + 1);
+  const result = Array.isArray(value)
+    ? value.map(serializeItem)
+    : Object.fromEntries(Object.entries(value).map(([key, item]) => [key, serializeItem(item)]));
+  ancestors.delete(value);
+
+  return result;
+};
+
+/**
+ * Write one log line as JSON
+ * @param {string} level - debug, info, warn or error
+ * @param {string} message - What happened
+ * @param {Object} fields - Extra fields
+ */
+const write = (level, message, fields = {}) => {
+  if (LEVELS[level] < logLevel) return;
+
+  const line = {
+    time: new Date().toISOString(),
+    level,
+    msg: redact(message),
+    ...context.getStore(),
+    ...serialize(fields)
+  };
+
+  destination.write(`${JSON.stringify(line)}\n`);
+};
+
+/**
+ * Run a function with a logging context; every line logged while it
+ * runs, including from async work it starts, carries the context fields
+ * @param {Object} fields - Context fields, e.g. { requestId }
+ * @param {Function} fn - Function to run
+ * @returns {any} - Return value of fn
+ */
+const runWithContext = (fields, fn) => context.run(fields, fn);
+
+const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
+
+module.exports = {
+  logger,
+  runWithContext,
+  redact
+};
@@ -0,0 +1,100 @@
+const client = require('prom-client');
+
+// Every metric is registered here and served by GET /metrics
+const register = new client.Registry();
+
+client.collectDefaultMetrics({ register });
+
+const httpRequests = new client.Counter({
+  name: 'weather_api_http_requests_total',
+  help: 'HTTP requests handled, by method, route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'weather_api_http_request_duration_seconds',
+  help: 'Time spent handling HTTP requests, by method, route and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const cacheLookups = new client.Counter({
+  name: 'weather_api_cache_lookups_total',
+  help: 'Weather cache lookups, by result (hit, stale or miss)',
+  labelNames: ['result'],
+  registers: [register]
+});
+
+const cacheEvictions = new client.Counter({
+  name: 'weather_api_cache_evictions_total',
+  help: 'Entries removed from the cache, by reason (expired, deleted or size)',
+  labelNames: ['reason'],
+  registers: [register]
+});
+
+const upstreamRequests = new client.Counter({
+  name: 'weather_api_upstream_requests_total',
+  help: 'Requests sent to weather providers, by provider and outcome (ok or an error code)',
+  labelNames: ['provider', 'outcome'],
+  registers: [register]
+});
+
+const upstreamDuration = new client.Histogram({
+  name: 'weather_api_upstream_request_duration_seconds',
+  help: 'Time spent waiting for weather providers, by provider and outcome',
+  labelNames: ['provider', 'outcome'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register]
+});
+
+const upstreamRetries = new client.Counter({
+  name: 'weather_api_upstream_retries_total',
+  help: 'Requests to weather providers repeated after a transient failure, by provider',
+  labelNames: ['provider'],
+  registers: [register]
+});
+
+const upstreamCircuitState = new client.Gauge({
+  name: 'weather_api_upstream_circuit_state',
+  help: 'Circuit breaker state of each weather provider (0 closed, 1 half-open, 2 open)',
+  labelNames: ['provider'],
+  registers: [register]
+});
+
+const upstreamBudgetRejections = new client.Counter({
+  name: 'weather_api_upstream_budget_rejections_total',
+  help: 'Upstream calls refused by the outbound budget, by reason (daily, reserve, queue or paused) and priority',
+  labelNames: ['reason', 'priority'],
+  registers: [register]
+});
+
+const rateLimitRejections = new client.Counter({
+  name: 'weather_api_rate_limit_rejections_total',
+  help: 'Requests rejected for going over a quota, by plan and window',
+  labelNames: ['plan', 'window'],
+  registers: [register]
+});
+
+const streamConnections = new client.Gauge({
+  name: 'weather_api_stream_connections',
+  help: 'Open streams of current conditions, by transport (sse or websocket)',
+  labelNames: ['transport'],
+  registers: [register]
+});
+
+module.exports = {
+  register,
+  httpRequests,
+  httpRequestDuration,
+  cacheLookups,
+  cacheEvictions,
+  upstreamRequests,
+  upstreamDuration,
+  upstreamRetries,
+  upstreamCircuitState,
+  upstreamBudgetRejections,
+  rateLimitRejections,
+  streamConnections
+};
@@ -0,0 +1,33 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnvironment } = require('./support/environment');
+
+const environment = useTestEnvironment();
+const { normalizeAlert } = require('../src/services/alertService');
+const { findResponseProblems } = require('../src/openapi/validate');
+
+after(() => environment.cleanup());
+
+describe('alert severity', () => {
+  const severityOf = (alert) => normalizeAlert({ event: 'Weather notice', ...alert }).severity;
+
+  it('maps the severity a provider states onto the documented levels', () => {
+    assert.equal(severityOf({ severity: 'Moderate; Likely' }), 'moderate');
+    assert.equal(severityOf({ severity: 'EXTREME' }), 'extreme');
+    assert.equal(severityOf({ severity: 'warning' }), 'severe');
+  });
+
+  it('derives it from the text when the provider states none it knows', () => {
+    assert.equal(severityOf({ severity: 'Unknown', headline: 'Orange wind warning' }), 'severe');
+    assert.equal(severityOf({ headline: 'Flood watch' }), 'moderate');
+    assert.equal(severityOf({ severity: 'level 3' }), 'unknown');
+  });
+
+  it('keeps alert responses valid against the OpenAPI document', () => {
+    const alert = normalizeAlert({ event: 'Storm', severity: 'Severe; Observed', onset: '2024-01-31T06:00:00Z' });
+    const body = { location: 'London', alerts: [alert], count: 1 };
+
+    assert.equal(alert.severity, 'severe');
+    assert.deepEqual(findResponseProblems('get', '/api/weather/{location}/alerts', 200, body), []);
+  });
+});
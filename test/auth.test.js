@@ -0,0 +1,55 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnvironment } = require('./support/environment');
+const { listen, startFakeVisualCrossing } = require('./support/fakeUpstreams');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+describe('API keys when REQUIRE_API_KEY is set', () => {
+  let environment;
+  let upstream;
+  let server;
+  let revokedKey;
+
+  /**
+   * Send a GET request
+   * @param {string} path - Path
+   * @param {Object} [headers] - Request headers
+   * @returns {Promise<number>} - Response status
+   */
+  const status = async (path, headers = {}) => (await fetch(`${server.url}${path}`, { headers })).status;
+
+  before(async () => {
+    upstream = await startFakeVisualCrossing();
+    environment = useTestEnvironment({ WEATHER_API_BASE_URL: upstream.url, ADMIN_TOKEN, REQUIRE_API_KEY: 'true' });
+    server = await listen(require('../src/app'));
+
+    const admin = { 'X-Admin-Token': ADMIN_TOKEN, 'Content-Type': 'application/json' };
+    const issued = await (await fetch(`${server.url}/admin/keys`, { method: 'POST', headers: admin, body: JSON.stringify({ name: 'revoked' }) })).json();
+    await fetch(`${server.url}/admin/keys/${issued.id}`, { method: 'DELETE', headers: admin });
+    revokedKey = issued.key;
+  });
+
+  after(async () => {
+    await server.close();
+    await upstream.close();
+    environment.cleanup();
+  });
+
+  it('rejects API requests without a key or with a revoked one', async () => {
+    assert.equal(await status('/api/weather/London/current'), 401);
+    assert.equal(await status('/api/weather/London/current', { 'X-API-Key': revokedKey }), 401);
+  });
+
+  it('answers health checks whatever key they send', async () => {
+    assert.equal(await status('/health'), 200);
+    assert.equal(await status('/health', { 'X-API-Key': revokedKey }), 200);
+    assert.equal(await status('/health', { Authorization: 'Bearer not-a-key' }), 200);
+  });
+
+  it('lets admin routes through on the admin token alone', async () => {
+    assert.equal(await status('/admin/keys', { 'X-Admin-Token': ADMIN_TOKEN }), 200);
+    assert.equal(await status('/admin/keys', { 'X-Admin-Token': ADMIN_TOKEN, 'X-API-Key': revokedKey }), 200);
+    assert.equal(await status('/admin/keys', { 'X-API-Key': revokedKey }), 401);
+  });
+});
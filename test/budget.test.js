@@ -0,0 +1,73 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnvironment } = require('./support/environment');
+const { sendJson, startFakeVisualCrossing } = require('./support/fakeUpstreams');
+
+describe('upstream budget', () => {
+  let environment;
+  let upstream;
+  let budget;
+  let visualCrossing;
+
+  before(async () => {
+    upstream = await startFakeVisualCrossing();
+    environment = useTestEnvironment({
+      WEATHER_API_BASE_URL: upstream.url,
+      PROVIDER_RETRIES: '2',
+      PROVIDER_BREAKER_THRESHOLD: '100',
+      UPSTREAM_DAILY_BUDGET: '100',
+      UPSTREAM_BUDGET_RESERVE: '0',
+      UPSTREAM_MINUTE_BUDGET: '10',
+      UPSTREAM_QUEUE_TIMEOUT_MS: '1000'
+    });
+
+    budget = require('../src/providers/budget');
+    visualCrossing = require('../src/providers/visualCrossing');
+  });
+
+  after(async () => {
+    await upstream.close();
+    environment.cleanup();
+  });
+
+  beforeEach(() => {
+    upstream.state.respond = null;
+    upstream.state.requests.length = 0;
+  });
+
+  const used = () => budget.getBudgetStats().daily.used;
+
+  // First, while the minute bucket is full
+  it('takes no minute tokens for a call the daily budget refuses', async () => {
+    await assert.rejects(budget.acquire(500), { code: 'UPSTREAM_QUOTA' });
+
+    assert.equal(budget.getBudgetStats().perMinute.available, 10);
+    assert.equal(budget.getBudgetStats().rejected.daily, 1);
+    // Served at once rather than after waiting for the bucket to refill
+    await budget.acquire(1);
+  });
+
+  it('charges every attempt, retries included', async () => {
+    // Two server errors, then the fake's usual answer
+    let failures = 2;
+    upstream.state.respond = (req, res) => {
+      if (--failures === 0) upstream.state.respond = null;
+      sendJson(res, 503, { message: 'down' });
+    };
+    const before = used();
+
+    await visualCrossing.fetchWeather('London', { include: 'current' });
+
+    assert.equal(upstream.state.requests.length, 3);
+    assert.equal(used() - before, 3 * visualCrossing.estimateCost({ include: 'current' }));
+  });
+
+  it('charges an attempt that fails for good', async () => {
+    upstream.state.respond = (req, res) => sendJson(res, 400, { message: 'Bad API Request' });
+    const before = used();
+
+    await assert.rejects(visualCrossing.fetchWeather('London', { include: 'current' }), { code: 'VALIDATION_ERROR' });
+
+    assert.equal(used() - before, 1);
+  });
+});
@@ -0,0 +1,6 @@
+const path = require('path');
+const { describeCacheBackend } = require('./support/cacheSuite');
+
+describeCacheBackend('file', {
+  environment: async (dataDir) => ({ CACHE_DIR: path.join(dataDir, 'cache') })
+});
@@ -0,0 +1,3 @@
+const { describeCacheBackend } = require('./support/cacheSuite');
+
+describeCacheBackend('memory');
@@ -0,0 +1,104 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { describeCacheBackend } = require('./support/cacheSuite');
+const { startFakeRedis } = require('./support/fakeRedis');
+
+let redis;
+
+describeCacheBackend('redis', {
+  environment: async () => {
+    redis = await startFakeRedis();
+    return { REDIS_URL: redis.url, REDIS_KEY_PREFIX: 'weather-test:' };
+  },
+  teardown: () => redis.close()
+});
+
+describe('redis key prefix', () => {
+  let createRedisBackend;
+  let server;
+  let ours;
+  let theirs;
+
+  before(async () => {
+    createRedisBackend = require('../src/cache/redisBackend');
+    server = await startFakeRedis();
+    ours = createRedisBackend({ url: server.url, prefix: 'ours:' });
+    theirs = createRedisBackend({ url: server.url, prefix: 'theirs:' });
+  });
+
+  after(async () => {
+    await ours.close();
+    await theirs.close();
+    await server.close();
+  });
+
+  it('only lists and flushes keys under its own prefix', async () => {
+    await ours.set('weather:london', { temp: 10 }, 60);
+    await theirs.set('weather:london', { temp: 20 }, 60);
+
+    assert.deepEqual(await ours.keys(), ['weather:london']);
+    assert.ok(server.store.has('ours:weather:london'));
+
+    await ours.flushAll();
+
+    assert.deepEqual(await ours.keys(), []);
+    assert.deepEqual(await theirs.get('weather:london'), { temp: 20 });
+  });
+});
+
+describe('unreachable redis', () => {
+  let createRedisBackend;
+
+  /**
+   * Find a port nothing listens on
+   * @returns {Promise<number>} - Port
+   */
+  const closedPort = () => new Promise((resolve) => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+
+  /**
+   * Assert that a promise settles, as a rejection, within a time limit
+   * @param {Promise} promise - Promise to wait for
+   * @param {number} ms - Time limit
+   */
+  const rejectsWithin = async (promise, ms) => {
+    const started = Date.now();
+    await assert.rejects(promise);
+    assert.ok(Date.now() - started < ms, `took ${Date.now() - started}ms`);
+  };
+
+  before(() => {
+    createRedisBackend = require('../src/cache/redisBackend');
+  });
+
+  it('fails commands quickly when nothing listens', async () => {
+    const backend = createRedisBackend({ url: `redis://127.0.0.1:${await closedPort()}`, prefix: 'down:' });
+
+    try {
+      await rejectsWithin(backend.get('weather:london'), 3000);
+      // A later command tries to connect again, and fails as quickly
+      await rejectsWithin(backend.set('weather:london', { temp: 10 }, 60), 3000);
+    } finally {
+      await backend.close();
+    }
+  });
+
+  it('fails commands quickly once the server goes away', async () => {
+    const server = await startFakeRedis();
+    const backend = createRedisBackend({ url: server.url, prefix: 'gone:' });
+
+    try {
+      await backend.set('weather:london', { temp: 10 }, 60);
+      await server.close();
+
+      await rejectsWithin(backend.get('weather:london'), 3000);
+    } finally {
+      await backend.close();
+    }
+  });
+});
@@ -0,0 +1,84 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnvironment } = require('./support/environment');
+const { listen, startFakeVisualCrossing } = require('./support/fakeUpstreams');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+describe('cache administration', () => {
+  let environment;
+  let upstream;
+  let server;
+  let cacheClient;
+
+  /**
+   * Call an admin cache endpoint
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below /admin/cache
+   * @param {Object} [body] - JSON body
+   * @returns {Promise<Object>} - Parsed response body
+   */
+  const admin = async (method, path, body) => {
+    const response = await fetch(`${server.url}/admin/cache${path}`, {
+      method,
+      headers: { 'X-Admin-Token': ADMIN_TOKEN, ...(body && { 'Content-Type': 'application/json' }) },
+      body: body && JSON.stringify(body)
+    });
+
+    return response.json();
+  };
+
+  const keys = async () => (await admin('GET', '/keys')).keys;
+
+  before(async () => {
+    upstream = await startFakeVisualCrossing();
+    environment = useTestEnvironment({ WEATHER_API_BASE_URL: upstream.url, ADMIN_TOKEN });
+
+    ({ cacheClient } = require('../src/config/cache'));
+    server = await listen(require('../src/app'));
+  });
+
+  after(async () => {
+    await server.close();
+    await upstream.close();
+    environment.cleanup();
+  });
+
+  beforeEach(async () => {
+    await cacheClient.flushAll();
+    await fetch(`${server.url}/api/weather/London/current`);
+  });
+
+  it('labels weather entries and aliases', async () => {
+    const entries = await keys();
+    const alias = entries.find(entry => entry.key === 'alias:london');
+
+    assert.deepEqual(alias, { key: 'alias:london', type: 'alias', location: null, ttl: alias.ttl });
+    assert.ok(entries.some(entry => entry.type === 'weather' && entry.location === 'london,england,united kingdom'));
+    assert.ok(entries.every(entry => entry.type === (entry.key.startsWith('alias:') ? 'alias' : 'weather')));
+  });
+
+  it('removes the aliases recorded for an invalidated query', async () => {
+    const { removed } = await admin('POST', '/invalidate', { location: 'london' });
+
+    assert.ok(removed.includes('alias:london'));
+    assert.ok(!(await keys()).some(entry => entry.key === 'alias:london'));
+  });
+
+  it('removes the aliases pointing to an invalidated location', async () => {
+    const { removed } = await admin('POST', '/invalidate', { location: 'london,england*' });
+
+    assert.ok(removed.includes('alias:london'));
+    assert.ok(removed.some(key => key.startsWith('weather:london,england')));
+    assert.deepEqual((await keys()).map(entry => entry.key).filter(key => key.includes('england') || key === 'alias:london'), []);
+  });
+
+  it('leaves other aliases alone', async () => {
+    await cacheClient.set('alias:paris', 'paris,ile-de-france,france', { EX: 60 });
+
+    const { removed } = await admin('POST', '/invalidate', { location: 'london*' });
+
+    assert.ok(!removed.includes('alias:paris'));
+    assert.equal(await cacheClient.get('alias:paris'), 'paris,ile-de-france,france');
+  });
+});
@@ -0,0 +1,183 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnvironment } = require('./support/environment');
+const { listen, startFakeVisualCrossing } = require('./support/fakeUpstreams');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+describe('OpenAPI contract', () => {
+  let environment;
+  let upstream;
+  let server;
+  let app;
+  let spec;
+  let findDrift;
+  let findResponseProblems;
+
+  /**
+   * Call the API and check the response against the document
+   * @param {string} method - HTTP method
+   * @param {string} path - Path with query string
+   * @param {Object} options - { body, headers }
+   * @returns {Promise<Object>} - { status, headers, body }
+   */
+  const call = async (method, path, { body, headers = {} } = {}) => {
+    const response = await fetch(`${server.url}${path}`, {
+      method,
+      headers: { ...(body && { 'Content-Type': 'application/json' }), ...headers },
+      body: body && JSON.stringify(body)
+    });
+    const json = await response.json();
+    const problems = findResponseProblems(method, new URL(path, server.url).pathname, response.status, json);
+
+    assert.deepEqual(problems, [], `${method} ${path} answered ${response.status} off the document`);
+    return { status: response.status, headers: response.headers, body: json };
+  };
+
+  before(async () => {
+    upstream = await startFakeVisualCrossing();
+    environment = useTestEnvironment({ WEATHER_API_BASE_URL: upstream.url, ADMIN_TOKEN });
+
+    app = require('../src/app');
+    spec = require('../src/openapi/spec');
+    ({ findDrift } = require('../src/openapi/drift'));
+    ({ findResponseProblems } = require('../src/openapi/validate'));
+
+    server = await listen(app);
+  });
+
+  after(async () => {
+    await server.close();
+    await upstream.close();
+    environment.cleanup();
+  });
+
+  it('documents every route and routes every documented operation', () => {
+    const { undocumented, unrouted } = findDrift(app, spec);
+
+    assert.deepEqual(undocumented, []);
+    assert.deepEqual(unrouted, []);
+  });
+
+  describe('request validation', () => {
+    it('rejects an unknown unit group, naming the parameter', async () => {
+      const { status, body } = await call('GET', '/api/weather/London?unitGroup=kelvin');
+
+      assert.equal(status, 400);
+      assert.equal(body.code, 'VALIDATION_ERROR');
+      assert.equal(body.details.parameter, 'unitGroup');
+    });
+
+    it('rejects a number parameter that is not a number', async () => {
+      const { status, body } = await call('GET', '/api/weather/London/forecast?days=soon');
+
+      assert.equal(status, 400);
+      assert.equal(body.details.parameter, 'days');
+    });
+
+    it('rejects a missing required query parameter', async () => {
+      const { status, body } = await call('GET', '/api/weather/London/history');
+
+      assert.equal(status, 400);
+      assert.equal(body.details.parameter, 'from');
+    });
+
+    it('rejects a date range with only one end', async () => {
+      const start = await call('GET', '/api/weather/London?startDate=2024-01-01');
+      assert.equal(start.status, 400);
+      assert.equal(start.body.details.parameter, 'endDate');
+
+      const end = await call('GET', '/api/weather/London?endDate=2024-01-31');
+      assert.equal(end.status, 400);
+      assert.equal(end.body.details.parameter, 'startDate');
+    });
+
+    it('rejects a body missing a required property', async () => {
+      const { status, body } = await call('POST', '/api/subscriptions', { body: { location: 'London' } });
+
+      assert.equal(status, 400);
+      assert.equal(body.details.parameter, 'webhookUrl');
+    });
+
+    it('does not reach the provider for rejected requests', async () => {
+      const before = upstream.state.requests.length;
+      await call('GET', '/api/weather/London/hourly?hours=0');
+
+      assert.equal(upstream.state.requests.length, before);
+    });
+  });
+
+  describe('responses', () => {
+    const weatherPaths = [
+      '/api/weather/London',
+      '/api/weather/London/current',
+      '/api/weather/London/forecast?days=3',
+      '/api/weather/London/hourly?hours=12',
+      '/api/weather/London/insights?activity=running',
+      '/api/weather/London/alerts',
+      '/api/weather/London/current?unitGroup=us'
+    ];
+
+    weatherPaths.forEach(path => {
+      it(`GET ${path} matches its schema`, async () => {
+        const { status } = await call('GET', path);
+        assert.equal(status, 200);
+      });
+    });
+
+    it('answers insights from the cache only', async () => {
+      const before = upstream.state.requests.length;
+      const { status, body } = await call('GET', '/api/weather/Paris/insights');
+
+      assert.equal(status, 404);
+      assert.equal(body.code, 'NOT_CACHED');
+      assert.equal(upstream.state.requests.length, before);
+    });
+
+    it('POST /api/weather/batch matches its schema', async () => {
+      const { status, body } = await call('POST', '/api/weather/batch', { body: { locations: ['London', 'Nowhere land'], view: 'current' } });
+
+      assert.equal(status, 200);
+      assert.equal(body.failed, 1);
+    });
+
+    it('GET / and GET /health match their schemas', async () => {
+      assert.equal((await call('GET', '/')).status, 200);
+      assert.equal((await call('GET', '/health')).status, 200);
+    });
+
+    it('errors use the documented envelope', async () => {
+      const { status, body } = await call('GET', '/api/weather/Nowhere%20land');
+
+      assert.equal(status, 404);
+      assert.equal(body.error, true);
+    });
+
+    it('admin and profile responses match their schemas', async () => {
+      const admin = { 'X-Admin-Token': ADMIN_TOKEN };
+      const { status, body: key } = await call('POST', '/admin/keys', { body: { name: 'contract' }, headers: admin });
+      assert.equal(status, 201);
+
+      const headers = { 'X-API-Key': key.key };
+      assert.equal((await call('PATCH', '/api/profile', { body: { units: 'us', forecastDays: 3 }, headers })).status, 200);
+      assert.equal((await call('PUT', '/api/profile/locations/home', { body: { location: 'London' }, headers })).status, 200);
+      assert.equal((await call('GET', '/api/profile', { headers })).status, 200);
+      assert.equal((await call('GET', '/api/weather/@home/forecast', { headers })).status, 200);
+      assert.equal((await call('GET', '/admin/keys', { headers: admin })).status, 200);
+      assert.equal((await call('GET', '/admin/cache/stats', { headers: admin })).status, 200);
+    });
+
+    it('reports bodies that do not match', () => {
+      const problems = findResponseProblems('GET', '/api/weather/London/current', 200, { location: 42 });
+
+      assert.equal(problems.length, 1);
+      assert.match(problems[0].field, /location/);
+    });
+
+    it('reports undocumented statuses', () => {
+      const problems = findResponseProblems('GET', '/api/weather/London/current', 418, {});
+
+      assert.equal(problems.length, 1);
+    });
+  });
+});
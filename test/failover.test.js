@@ -0,0 +1,125 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnvironment } = require('./support/environment');
+const { listen, sendJson, startFakeVisualCrossing, startFakeOpenMeteo } = require('./support/fakeUpstreams');
+
+describe('provider failover', () => {
+  let environment;
+  let visualCrossing;
+  let openMeteo;
+  let server;
+  let locations = 0;
+
+  before(async () => {
+    visualCrossing = await startFakeVisualCrossing();
+    openMeteo = await startFakeOpenMeteo();
+    environment = useTestEnvironment({
+      WEATHER_PROVIDERS: 'visualcrossing,openmeteo',
+      WEATHER_API_BASE_URL: visualCrossing.url,
+      OPEN_METEO_BASE_URL: `${openMeteo.url}/forecast`,
+      OPEN_METEO_GEOCODING_URL: `${openMeteo.url}/search`,
+      OPEN_METEO_ARCHIVE_URL: `${openMeteo.url}/archive`,
+      PROVIDER_RETRIES: '0',
+      PROVIDER_TIMEOUT_MS: '200',
+      PROVIDER_BREAKER_THRESHOLD: '100'
+    });
+
+    server = await listen(require('../src/app'));
+  });
+
+  after(async () => {
+    await server.close();
+    await visualCrossing.close();
+    await openMeteo.close();
+    environment.cleanup();
+  });
+
+  beforeEach(() => {
+    visualCrossing.state.respond = null;
+    visualCrossing.state.requests.length = 0;
+    openMeteo.state.respond = null;
+    openMeteo.state.requests.length = 0;
+  });
+
+  /**
+   * Ask for the current conditions of a location nobody asked for yet,
+   * so the cache never answers
+   * @param {string} [name] - Location name
+   * @returns {Promise<Object>} - { status, provider, body }
+   */
+  const getCurrent = async (name = `Town ${++locations}`) => {
+    const response = await fetch(`${server.url}/api/weather/${encodeURIComponent(name)}/current`);
+
+    return {
+      status: response.status,
+      provider: response.headers.get('X-Weather-Provider'),
+      body: await response.json()
+    };
+  };
+
+  it('serves from the first provider when it works', async () => {
+    const { status, provider, body } = await getCurrent();
+
+    assert.equal(status, 200);
+    assert.equal(provider, 'visualcrossing');
+    assert.equal(body.provider, 'visualcrossing');
+    assert.equal(openMeteo.state.requests.length, 0);
+  });
+
+  const failures = [
+    ['rejected credentials', (req, res) => sendJson(res, 401, { message: 'No account found' })],
+    ['a server error', (req, res) => sendJson(res, 503, { message: 'Down for maintenance' })],
+    ['a timeout', () => {}],
+    ['a dropped connection', (req) => req.socket.destroy()],
+    // Last: a quota error also pauses the provider's budget
+    ['a used-up quota', (req, res) => sendJson(res, 429, { message: 'Too many requests' })]
+  ];
+
+  failures.forEach(([reason, respond]) => {
+    it(`fails over to the next provider on ${reason}`, async () => {
+      visualCrossing.state.respond = respond;
+
+      const { status, provider, body } = await getCurrent();
+
+      assert.equal(status, 200);
+      assert.equal(provider, 'openmeteo');
+      assert.equal(body.provider, 'openmeteo');
+      assert.equal(body.location, 'London, England, United Kingdom');
+      assert.equal(visualCrossing.state.requests.length, 1);
+      assert.ok(openMeteo.state.requests.length > 0);
+    });
+  });
+
+  it('does not fail over for unknown locations', async () => {
+    const { status, body } = await getCurrent('Nowhere special');
+
+    assert.equal(status, 404);
+    assert.equal(body.code, 'NOT_FOUND');
+    assert.equal(openMeteo.state.requests.length, 0);
+  });
+
+  it('does not fail over for requests the provider rejects as invalid', async () => {
+    visualCrossing.state.respond = (req, res) => {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('Bad API Request:Invalid unitGroup value');
+    };
+
+    const { status, body } = await getCurrent();
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION_ERROR');
+    assert.equal(openMeteo.state.requests.length, 0);
+  });
+
+  it('reports the last provider\'s error when every provider fails', async () => {
+    visualCrossing.state.respond = (req, res) => sendJson(res, 500, {});
+    openMeteo.state.respond = (req, res) => sendJson(res, 502, { reason: 'Bad gateway' });
+
+    const { status, provider, body } = await getCurrent();
+
+    assert.equal(status, 502);
+    assert.equal(provider, null);
+    assert.equal(body.code, 'UPSTREAM_UNAVAILABLE');
+    assert.match(body.message, /Bad gateway/);
+  });
+});
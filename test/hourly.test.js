@@ -0,0 +1,79 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnvironment } = require('./support/environment');
+const { listen, sendJson, startFakeVisualCrossing } = require('./support/fakeUpstreams');
+
+// India is at +05:30, so its hours start half past UTC hours
+const OFFSET_SECONDS = 5.5 * 3600;
+
+/**
+ * A timeline for a location at +05:30: today and tomorrow in local time
+ * @returns {Object} - Timeline API response
+ */
+const kolkataTimeline = () => {
+  const today = new Date(Date.now() + OFFSET_SECONDS * 1000).toISOString().slice(0, 10);
+  const midnight = Date.parse(`${today}T00:00:00Z`) / 1000 - OFFSET_SECONDS;
+
+  const days = [0, 1].map(index => {
+    const epoch = midnight + index * 86400;
+    return {
+      datetime: new Date((epoch + OFFSET_SECONDS) * 1000).toISOString().slice(0, 10),
+      datetimeEpoch: epoch,
+      hours: Array.from({ length: 24 }, (_, hour) => ({
+        datetime: `${String(hour).padStart(2, '0')}:00:00`,
+        datetimeEpoch: epoch + hour * 3600,
+        temp: 25 + hour / 4
+      }))
+    };
+  });
+
+  return { resolvedAddress: 'Kolkata, West Bengal, India', address: 'Kolkata', timezone: 'Asia/Kolkata', tzoffset: 5.5, days };
+};
+
+describe('hourly forecast for a location off UTC hours', () => {
+  let environment;
+  let upstream;
+  let server;
+  let today;
+
+  const getHours = async (query) => (await (await fetch(`${server.url}/api/weather/Kolkata/hourly?${query}`)).json()).hours;
+
+  before(async () => {
+    upstream = await startFakeVisualCrossing();
+    upstream.state.respond = (req, res) => sendJson(res, 200, kolkataTimeline());
+    environment = useTestEnvironment({ WEATHER_API_BASE_URL: upstream.url });
+    server = await listen(require('../src/app'));
+    today = kolkataTimeline().days[0].datetime;
+  });
+
+  after(async () => {
+    await server.close();
+    await upstream.close();
+    environment.cleanup();
+  });
+
+  it('starts the next hours with the local hour in progress', async () => {
+    // A quarter past a UTC hour, when the local hour began 45 minutes ago
+    const quarterPast = Math.floor(Date.now() / 3600000) * 3600000 + 15 * 60000;
+    mock.method(Date, 'now', () => quarterPast);
+
+    let hours;
+    try {
+      hours = await getHours('hours=3');
+    } finally {
+      mock.restoreAll();
+    }
+    const now = quarterPast / 1000;
+
+    assert.equal(hours.length, 3);
+    assert.ok(hours[0].datetimeEpoch <= now && now < hours[0].datetimeEpoch + 3600, `first hour ${hours[0].datetime}`);
+    assert.match(hours[0].datetime, /:00:00\+05:30$/);
+  });
+
+  it('includes the hour a window starts in', async () => {
+    const hours = await getHours(`from=${today}T06:30&to=${today}T08:00`);
+
+    assert.deepEqual(hours.map(hour => hour.local), [`${today}T06:00:00`, `${today}T07:00:00`, `${today}T08:00:00`]);
+    assert.equal(hours[0].utc, new Date(Date.parse(`${today}T00:30:00Z`)).toISOString());
+  });
+});
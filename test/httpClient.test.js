@@ -0,0 +1,342 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+const { useTestEnvironment } = require('./support/environment');
+const { listen, sendJson, startFakeVisualCrossing } = require('./support/fakeUpstreams');
+
+// Settings are read once, when the client module is first required; the
+// unit tests below pass their own, the /health test uses these
+const environment = useTestEnvironment({
+  PROVIDER_RETRIES: '0',
+  PROVIDER_BREAKER_THRESHOLD: '2',
+  PROVIDER_BREAKER_COOLDOWN_MS: '300'
+});
+const createHttpClient = require('../src/providers/httpClient');
+const { UpstreamUnavailableError } = require('../src/utils/errors');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+after(() => environment.cleanup());
+
+describe('provider HTTP client', () => {
+  let upstream;
+  let respond;
+  let calls;
+
+  // Unique provider names keep the circuit gauges of the tests apart
+  let clients = 0;
+  const client = (overrides = {}) => createHttpClient({ name: `test-${++clients}`, retryDelay: 10, ...overrides });
+
+  before(async () => {
+    upstream = await listen((req, res) => {
+      calls++;
+      respond(req, res);
+    });
+  });
+
+  after(() => upstream.close());
+
+  beforeEach(() => {
+    calls = 0;
+    respond = (req, res) => sendJson(res, 200, { ok: true });
+  });
+
+  /**
+   * Answer the next requests with the given statuses, then with 200
+   * @param {...number} statuses - Statuses, in order
+   */
+  const answerWith = (...statuses) => {
+    respond = (req, res) => {
+      const status = statuses.shift();
+      if (status) return sendJson(res, status, { message: `HTTP ${status}` });
+      return sendJson(res, 200, { ok: true });
+    };
+  };
+
+  describe('timeouts', () => {
+    it('gives up connecting after connectTimeout and retries', async () => {
+      // A socket that never connects stands in for a host that drops the SYN
+      const request = http.request;
+      const attempts = mock.method(http, 'request', (options, callback) => request({
+        ...options,
+        createConnection: () => Object.assign(new net.Socket(), { connecting: true })
+      }, callback));
+
+      try {
+        const started = Date.now();
+        await assert.rejects(client({ connectTimeout: 50, retries: 1 }).get(upstream.url), { code: 'ETIMEDOUT' });
+
+        assert.equal(attempts.mock.callCount(), 2);
+        assert.ok(Date.now() - started >= 100);
+      } finally {
+        attempts.mock.restore();
+      }
+    });
+
+    it('gives up reading after readTimeout, even while bytes trickle in', async () => {
+      respond = (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        const trickle = setInterval(() => res.write(' '), 20);
+        res.on('close', () => clearInterval(trickle));
+      };
+
+      const started = Date.now();
+      await assert.rejects(client({ readTimeout: 150, retries: 2 }).get(upstream.url), { code: 'ECONNABORTED' });
+
+      assert.ok(Date.now() - started < 1000);
+    });
+
+    it('does not retry a read timeout', async () => {
+      respond = () => {}; // never answers
+
+      await assert.rejects(client({ readTimeout: 100, retries: 2 }).get(upstream.url), { code: 'ECONNABORTED' });
+
+      assert.equal(calls, 1);
+    });
+  });
+
+  describe('retries', () => {
+    it('retries server errors until one succeeds', async () => {
+      answerWith(500, 503);
+
+      const response = await client({ retries: 2 }).get(upstream.url);
+
+      assert.equal(response.status, 200);
+      assert.equal(calls, 3);
+    });
+
+    it('stops after the configured retries', async () => {
+      answerWith(502, 502, 502, 502);
+
+      await assert.rejects(client({ retries: 2 }).get(upstream.url), error => error.response.status === 502);
+      assert.equal(calls, 3);
+    });
+
+    it('runs beforeAttempt before every attempt, and stops when it throws', async () => {
+      answerWith(500, 503);
+      const attempts = [];
+
+      await client({ retries: 2 }).get(upstream.url, {}, { beforeAttempt: async (attempt) => attempts.push(attempt) });
+      assert.deepEqual(attempts, [1, 2, 3]);
+
+      answerWith(500);
+      calls = 0;
+      const refused = new Error('over budget');
+      const beforeAttempt = async (attempt) => {
+        if (attempt > 1) throw refused;
+      };
+
+      await assert.rejects(client({ retries: 2 }).get(upstream.url, {}, { beforeAttempt }), refused);
+      assert.equal(calls, 1);
+    });
+
+    it('retries dropped connections', async () => {
+      let dropped = 0;
+      respond = (req, res) => {
+        if (dropped++ === 0) return req.socket.destroy();
+        return sendJson(res, 200, { ok: true });
+      };
+
+      const response = await client({ retries: 1 }).get(upstream.url);
+
+      assert.equal(response.status, 200);
+      assert.equal(calls, 2);
+    });
+
+    it('retries refused connections', async () => {
+      const closed = await listen(() => {});
+      await closed.close();
+
+      const attempts = mock.method(http, 'request');
+      try {
+        await assert.rejects(client({ retries: 2 }).get(closed.url), { code: 'ECONNREFUSED' });
+        assert.equal(attempts.mock.callCount(), 3);
+      } finally {
+        attempts.mock.restore();
+      }
+    });
+
+    [400, 401, 404, 501].forEach(status => {
+      it(`does not retry HTTP ${status}`, async () => {
+        answerWith(status);
+
+        await assert.rejects(client({ retries: 2 }).get(upstream.url), error => error.response.status === status);
+        assert.equal(calls, 1);
+      });
+    });
+
+    it('does not retry 429 without Retry-After', async () => {
+      answerWith(429);
+
+      await assert.rejects(client({ retries: 2 }).get(upstream.url), error => error.response.status === 429);
+      assert.equal(calls, 1);
+    });
+
+    it('waits a jittered, doubling backoff between attempts', async () => {
+      answerWith(503, 503);
+
+      // Math.random() at its top of the range waits the full 100 + 200 ms
+      const random = mock.method(Math, 'random', () => 0.999);
+      try {
+        const started = Date.now();
+        await client({ retries: 2, retryDelay: 100 }).get(upstream.url);
+        assert.ok(Date.now() - started >= 290);
+      } finally {
+        random.mock.restore();
+      }
+
+      answerWith(503, 503);
+      const none = mock.method(Math, 'random', () => 0);
+      try {
+        const started = Date.now();
+        await client({ retries: 2, retryDelay: 100 }).get(upstream.url);
+        assert.ok(Date.now() - started < 200);
+      } finally {
+        none.mock.restore();
+      }
+    });
+  });
+
+  describe('Retry-After', () => {
+    it('waits as long as the provider asks', async () => {
+      let answered = 0;
+      respond = (req, res) => {
+        if (answered++ === 0) return sendJson(res, 429, {}, { 'Retry-After': '1' });
+        return sendJson(res, 200, { ok: true });
+      };
+
+      const started = Date.now();
+      const response = await client({ retries: 1 }).get(upstream.url);
+
+      assert.equal(response.status, 200);
+      assert.ok(Date.now() - started >= 1000);
+    });
+
+    it('gives up when the provider asks to wait longer than maxRetryDelay', async () => {
+      respond = (req, res) => sendJson(res, 503, {}, { 'Retry-After': '60' });
+
+      const started = Date.now();
+      await assert.rejects(client({ retries: 2 }).get(upstream.url), error => error.response.status === 503);
+
+      assert.equal(calls, 1);
+      assert.ok(Date.now() - started < 1000);
+    });
+  });
+
+  describe('circuit breaker', () => {
+    it('opens after breakerThreshold failures, then half-opens and closes again', async () => {
+      const breaker = client({ retries: 0, breakerThreshold: 2, breakerCooldown: 200 });
+      respond = (req, res) => sendJson(res, 500, {});
+
+      await assert.rejects(breaker.get(upstream.url));
+      assert.equal(breaker.getCircuit().state, 'closed');
+      assert.equal(breaker.getCircuit().failures, 1);
+
+      await assert.rejects(breaker.get(upstream.url));
+      const open = breaker.getCircuit();
+      assert.equal(open.state, 'open');
+      assert.ok(open.openedAt);
+      assert.ok(open.retryAt);
+
+      // While open the provider is not called at all
+      await assert.rejects(breaker.get(upstream.url), UpstreamUnavailableError);
+      assert.equal(calls, 2);
+
+      await sleep(250);
+      assert.equal(breaker.getCircuit().state, 'half-open');
+
+      respond = (req, res) => sendJson(res, 200, { ok: true });
+      await breaker.get(upstream.url);
+
+      assert.deepEqual(breaker.getCircuit(), { state: 'closed', failures: 0, openedAt: null, retryAt: null });
+    });
+
+    it('opens again when the half-open trial fails, without retrying it', async () => {
+      const breaker = client({ retries: 2, breakerThreshold: 1, breakerCooldown: 100 });
+      answerWith(500, 500, 500);
+
+      await assert.rejects(breaker.get(upstream.url));
+      assert.equal(breaker.getCircuit().state, 'open');
+      calls = 0;
+
+      await sleep(150);
+      respond = (req, res) => sendJson(res, 503, {});
+      await assert.rejects(breaker.get(upstream.url));
+
+      assert.equal(calls, 1);
+      assert.equal(breaker.getCircuit().state, 'open');
+    });
+
+    it('lets only one trial request through while half-open', async () => {
+      const breaker = client({ retries: 0, breakerThreshold: 1, breakerCooldown: 100 });
+      answerWith(500);
+
+      await assert.rejects(breaker.get(upstream.url));
+      await sleep(150);
+
+      respond = (req, res) => setTimeout(() => sendJson(res, 200, { ok: true }), 50);
+      const trial = breaker.get(upstream.url);
+
+      await assert.rejects(breaker.get(upstream.url), UpstreamUnavailableError);
+      await trial;
+      assert.equal(breaker.getCircuit().state, 'closed');
+    });
+
+    it('counts client errors as a working provider', async () => {
+      const breaker = client({ retries: 0, breakerThreshold: 2 });
+      answerWith(500, 404, 500);
+
+      await assert.rejects(breaker.get(upstream.url));
+      await assert.rejects(breaker.get(upstream.url));
+      await assert.rejects(breaker.get(upstream.url));
+
+      assert.equal(breaker.getCircuit().state, 'closed');
+    });
+  });
+});
+
+describe('circuit state in /health', () => {
+  let upstream;
+  let server;
+
+  before(async () => {
+    upstream = await startFakeVisualCrossing();
+    process.env.WEATHER_API_BASE_URL = upstream.url;
+
+    server = await listen(require('../src/app'));
+  });
+
+  after(async () => {
+    await server.close();
+    await upstream.close();
+  });
+
+  const circuit = async () => {
+    const health = await (await fetch(`${server.url}/health`)).json();
+    return health.upstream.circuits.visualcrossing;
+  };
+
+  it('reports the breaker going open, half-open and closed', async () => {
+    assert.equal((await circuit()).state, 'closed');
+
+    upstream.state.respond = (req, res) => sendJson(res, 500, { message: 'down' });
+    assert.equal((await fetch(`${server.url}/api/weather/Paris/current`)).status, 502);
+    assert.equal((await fetch(`${server.url}/api/weather/Rome/current`)).status, 502);
+
+    const open = await circuit();
+    assert.equal(open.state, 'open');
+    assert.equal(open.failures, 2);
+
+    const requests = upstream.state.requests.length;
+    assert.equal((await fetch(`${server.url}/api/weather/Oslo/current`)).status, 502);
+    assert.equal(upstream.state.requests.length, requests);
+
+    await sleep(350);
+    assert.equal((await circuit()).state, 'half-open');
+
+    upstream.state.respond = null;
+    assert.equal((await fetch(`${server.url}/api/weather/Oslo/current`)).status, 200);
+    assert.equal((await circuit()).state, 'closed');
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnvironment } = require('./support/environment');
+const { listen, startFakeVisualCrossing } = require('./support/fakeUpstreams');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+describe('iCalendar feed when REQUIRE_API_KEY is set', () => {
+  let environment;
+  let upstream;
+  let server;
+  let key;
+
+  const get = (path) => fetch(`${server.url}${path}`);
+
+  before(async () => {
+    upstream = await startFakeVisualCrossing();
+    environment = useTestEnvironment({
+      WEATHER_API_BASE_URL: upstream.url,
+      ADMIN_TOKEN,
+      REQUIRE_API_KEY: 'true',
+      LOG_LEVEL: 'info',
+      LOG_DESTINATION: 'stderr'
+    });
+    server = await listen(require('../src/app'));
+
+    const response = await fetch(`${server.url}/admin/keys`, {
+      method: 'POST',
+      headers: { 'X-Admin-Token': ADMIN_TOKEN, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: 'calendar' })
+    });
+    ({ key } = await response.json());
+  });
+
+  after(async () => {
+    await server.close();
+    await upstream.close();
+    environment.cleanup();
+  });
+
+  it('takes the API key from the query string, so calendar apps can subscribe', async () => {
+    const response = await get(`/api/weather/London/forecast?format=ics&key=${key}`);
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('Content-Type'), /^text\/calendar/);
+    assert.match(await response.text(), /BEGIN:VCALENDAR/);
+  });
+
+  it('still needs a valid key', async () => {
+    assert.equal((await get('/api/weather/London/forecast?format=ics')).status, 401);
+    assert.equal((await get('/api/weather/London/forecast?format=ics&key=wk_guess')).status, 401);
+  });
+
+  it('ignores keys in the query string of other requests', async () => {
+    assert.equal((await get(`/api/weather/London/forecast?key=${key}`)).status, 401);
+    assert.equal((await get(`/api/weather/London/forecast?format=csv&key=${key}`)).status, 401);
+    assert.equal((await get(`/api/weather/London/current?format=ics&key=${key}`)).status, 401);
+  });
+
+  it('keeps the key out of the access log', async () => {
+    const write = process.stderr.write;
+    let output = '';
+    process.stderr.write = (chunk) => {
+      output += chunk;
+      return true;
+    };
+
+    try {
+      const response = await get(`/api/weather/London/forecast?format=ics&key=${key}`);
+      await response.text();
+      await new Promise(resolve => setImmediate(resolve));
+    } finally {
+      process.stderr.write = write;
+    }
+
+    assert.match(output, /forecast\?format=ics&key=\[REDACTED\]/);
+    assert.ok(!output.includes(key));
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnvironment } = require('./support/environment');
+const { listen, sendJson, startFakeVisualCrossing } = require('./support/fakeUpstreams');
+
+// India is at +05:30, so its hours start half past UTC hours
+const OFFSET_SECONDS = 5.5 * 3600;
+
+describe('insights for a location off UTC hours', () => {
+  let environment;
+  let upstream;
+  let server;
+
+  // 23:45 local time, a quarter past a UTC hour: the last hour of the local day is in progress
+  const today = new Date(Date.now() + OFFSET_SECONDS * 1000).toISOString().slice(0, 10);
+  const midnight = Date.parse(`${today}T00:00:00Z`) / 1000 - OFFSET_SECONDS;
+  const lateEvening = (midnight + 23.75 * 3600) * 1000;
+
+  const timeline = () => ({
+    resolvedAddress: 'Kolkata, West Bengal, India',
+    timezone: 'Asia/Kolkata',
+    tzoffset: 5.5,
+    days: [0, 1].map(index => ({
+      datetime: new Date((midnight + index * 86400 + OFFSET_SECONDS) * 1000).toISOString().slice(0, 10),
+      datetimeEpoch: midnight + index * 86400,
+      tempmax: 30,
+      tempmin: 22,
+      hours: Array.from({ length: 24 }, (_, hour) => ({
+        datetime: `${String(hour).padStart(2, '0')}:00:00`,
+        datetimeEpoch: midnight + index * 86400 + hour * 3600,
+        temp: 25,
+        feelslike: 25,
+        humidity: 60,
+        windspeed: 5,
+        precipprob: 0,
+        uvindex: 0
+      }))
+    }))
+  });
+
+  const get = async (path) => (await fetch(`${server.url}/api/weather/Kolkata/${path}`)).json();
+
+  before(async () => {
+    upstream = await startFakeVisualCrossing();
+    upstream.state.respond = (req, res) => sendJson(res, 200, timeline());
+    environment = useTestEnvironment({ WEATHER_API_BASE_URL: upstream.url });
+    server = await listen(require('../src/app'));
+  });
+
+  after(async () => {
+    await server.close();
+    await upstream.close();
+    environment.cleanup();
+  });
+
+  it('looks for the best hours in the local day in progress', async () => {
+    mock.method(Date, 'now', () => lateEvening);
+
+    try {
+      await get('forecast');
+      const insights = await get('insights');
+
+      assert.equal(insights.bestHours.date, today);
+      assert.equal(insights.bestHours.window, null);
+      assert.equal(insights.now.datetime, `${today}T23:00:00+05:30`);
+    } finally {
+      mock.restoreAll();
+    }
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTestEnvironment } = require('./support/environment');
+
+const environment = useTestEnvironment();
+const { createJsonStore } = require('../src/utils/jsonFile');
+
+after(() => environment.cleanup());
+
+describe('JSON file store', () => {
+  const file = (name) => path.join(environment.dataDir, name);
+  const readFile = (name) => JSON.parse(fs.readFileSync(file(name), 'utf8'));
+
+  it('starts from the fallback when the file does not exist', async () => {
+    assert.deepEqual(await createJsonStore(file('missing.json'), []).load(), []);
+  });
+
+  it('reads the file once, even for concurrent first calls', async () => {
+    fs.writeFileSync(file('shared.json'), JSON.stringify({ a: 1 }));
+    const store = createJsonStore(file('shared.json'), {});
+
+    const [first, second] = await Promise.all([store.load(), store.load()]);
+    fs.writeFileSync(file('shared.json'), JSON.stringify({ changed: true }));
+
+    assert.equal(first, second);
+    assert.equal(await store.load(), first);
+    assert.deepEqual(first, { a: 1 });
+  });
+
+  it('writes every change, in order', async () => {
+    const store = createJsonStore(file('queued.json'), []);
+    const items = await store.load();
+
+    await Promise.all([1, 2, 3].map(item => {
+      items.push(item);
+      return store.save();
+    }));
+
+    assert.deepEqual(readFile('queued.json'), [1, 2, 3]);
+  });
+
+  it('reads again after a failed read', async () => {
+    fs.writeFileSync(file('broken.json'), '{ not json');
+    const store = createJsonStore(file('broken.json'), {});
+
+    await assert.rejects(store.load(), SyntaxError);
+
+    fs.writeFileSync(file('broken.json'), JSON.stringify({ fixed: true }));
+    assert.deepEqual(await store.load(), { fixed: true });
+  });
+});
+
+describe('stores built on it', () => {
+  let profileService;
+  let apiKeyStore;
+  let subscriptionStore;
+
+  before(() => {
+    profileService = require('../src/services/profileService');
+    apiKeyStore = require('../src/services/apiKeyStore');
+    subscriptionStore = require('../src/services/subscriptionStore');
+  });
+
+  it('keep every profile created during the first load', async () => {
+    const clients = ['a', 'b', 'c', 'd'];
+    await Promise.all(clients.map(id => profileService.updateProfile(id, profile => ({ ...profile, units: 'us' }))));
+
+    const stored = JSON.parse(fs.readFileSync(path.join(environment.dataDir, 'profiles.json'), 'utf8'));
+    assert.deepEqual(Object.keys(stored).sort(), clients);
+
+    for (const id of clients) {
+      assert.equal((await profileService.getProfile(id)).units, 'us');
+    }
+  });
+
+  it('keep every API key issued during the first load', async () => {
+    const issued = await Promise.all(['a', 'b', 'c', 'd'].map(name => apiKeyStore.issueKey({ name })));
+
+    assert.equal((await apiKeyStore.listKeys()).length, 4);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(environment.dataDir, 'api-keys.json'), 'utf8')).length, 4);
+
+    for (const { key } of issued) {
+      assert.ok(await apiKeyStore.authenticateKey(key));
+    }
+  });
+
+  it('keep every subscription created during the first load', async () => {
+    const created = await Promise.all(['London', 'Paris', 'Oslo'].map(location => (
+      subscriptionStore.createSubscription({ location, webhookUrl: 'https://hooks.example.com/weather' })
+    )));
+
+    assert.equal((await subscriptionStore.listSubscriptions()).length, 3);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(environment.dataDir, 'subscriptions.json'), 'utf8')).length, 3);
+
+    for (const { id, secret } of created) {
+      assert.ok(await subscriptionStore.getSubscription(id, { secret }));
+    }
+  });
+});
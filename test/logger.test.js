@@ -0,0 +1,72 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnvironment } = require('./support/environment');
+
+describe('logger', () => {
+  let environment;
+  let logger;
+
+  before(() => {
+    environment = useTestEnvironment({ LOG_LEVEL: 'debug' });
+    ({ logger } = require('../src/utils/logger'));
+  });
+
+  after(() => environment.cleanup());
+
+  /**
+   * Log one line and capture it
+   * @param {Object} fields - Extra fields
+   * @returns {Object} - The parsed line
+   */
+  const logLine = (fields) => {
+    const write = process.stdout.write;
+    let output = '';
+    process.stdout.write = (chunk) => {
+      output += chunk;
+      return true;
+    };
+
+    try {
+      logger.info('test', fields);
+    } finally {
+      process.stdout.write = write;
+    }
+
+    return JSON.parse(output);
+  };
+
+  it('replaces circular references', () => {
+    const request = { url: '/api/weather/London?key=secret' };
+    request.self = request;
+    const list = [request];
+    list.push(list);
+
+    const line = logLine({ request, list });
+
+    assert.equal(line.request.self, '[Circular]');
+    assert.equal(line.request.url, '/api/weather/London?key=[REDACTED]');
+    assert.equal(line.list[1], '[Circular]');
+  });
+
+  it('keeps objects that are referenced twice without a cycle', () => {
+    const shared = { id: 1 };
+
+    assert.deepEqual(logLine({ a: shared, b: shared }).a, { id: 1 });
+    assert.deepEqual(logLine({ a: shared, b: shared }).b, { id: 1 });
+  });
+
+  it('cuts off deep nesting', () => {
+    let deep = { leaf: true };
+    for (let level = 0; level < 20; level++) deep = { child: deep, list: [] };
+
+    let node = logLine({ deep }).deep;
+    let depth = 1;
+    while (typeof node.child === 'object') {
+      node = node.child;
+      depth++;
+    }
+
+    assert.equal(node.child, '[Object]');
+    assert.ok(depth < 20);
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnvironment } = require('./support/environment');
+const { sendJson, startFakeOpenMeteo } = require('./support/fakeUpstreams');
+
+const DAY_MS = 86400 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString().slice(0, 10);
+
+describe('Open-Meteo date ranges', () => {
+  let environment;
+  let upstream;
+  let openMeteo;
+
+  before(async () => {
+    upstream = await startFakeOpenMeteo();
+    environment = useTestEnvironment({
+      OPEN_METEO_BASE_URL: `${upstream.url}/forecast`,
+      OPEN_METEO_GEOCODING_URL: `${upstream.url}/search`,
+      OPEN_METEO_ARCHIVE_URL: `${upstream.url}/archive`,
+      PROVIDER_RETRIES: '0'
+    });
+
+    // Answer every date request with one day per date of its range
+    upstream.state.respond = (req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname === '/search') {
+        return sendJson(res, 200, { results: [{ name: 'London', country: 'United Kingdom', latitude: 51.5, longitude: -0.12 }] });
+      }
+
+      const time = [];
+      for (let day = Date.parse(url.searchParams.get('start_date')); day <= Date.parse(url.searchParams.get('end_date')); day += DAY_MS) {
+        time.push(day / 1000);
+      }
+      return sendJson(res, 200, { timezone: 'GMT', utc_offset_seconds: 0, daily: { time, temperature_2m_max: time.map(() => 10) } });
+    };
+
+    openMeteo = require('../src/providers/openMeteo');
+  });
+
+  after(async () => {
+    await upstream.close();
+    environment.cleanup();
+  });
+
+  /**
+   * Fetch daily data for a range and list the date requests it made
+   * @param {string} startDate - First date
+   * @param {string} endDate - Last date
+   * @returns {Promise<Object>} - { dates, requests: [path, start_date, end_date] }
+   */
+  const fetchRange = async (startDate, endDate) => {
+    upstream.state.requests.length = 0;
+    const { days } = await openMeteo.fetchWeather('London', { include: 'days', startDate, endDate });
+    const requests = upstream.state.requests
+      .map(request => new URL(request, 'http://localhost'))
+      .filter(url => url.pathname !== '/search')
+      .map(url => [url.pathname, url.searchParams.get('start_date'), url.searchParams.get('end_date')]);
+
+    return { dates: days.map(day => day.datetime), requests };
+  };
+
+  it('asks the archive for old ranges and the forecast API for recent ones', async () => {
+    assert.deepEqual((await fetchRange(daysAgo(40), daysAgo(30))).requests, [['/archive', daysAgo(40), daysAgo(30)]]);
+    assert.deepEqual((await fetchRange(daysAgo(3), daysAgo(1))).requests, [['/forecast', daysAgo(3), daysAgo(1)]]);
+  });
+
+  it('splits a range that straddles the archive cutoff', async () => {
+    const { dates, requests } = await fetchRange(daysAgo(120), daysAgo(0));
+
+    assert.deepEqual(requests, [
+      ['/archive', daysAgo(120), daysAgo(6)],
+      ['/forecast', daysAgo(5), daysAgo(0)]
+    ]);
+    assert.equal(dates.length, 121);
+    assert.equal(dates[0], daysAgo(120));
+    assert.equal(dates[120], daysAgo(0));
+    assert.deepEqual(dates, [...dates].sort());
+  });
+});
@@ -0,0 +1,56 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnvironment } = require('./support/environment');
+const { sendJson, startFakeVisualCrossing } = require('./support/fakeUpstreams');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('prewarm scheduler', () => {
+  let environment;
+  let upstream;
+  let scheduler;
+  let getWeatherDataWithMeta;
+
+  before(async () => {
+    upstream = await startFakeVisualCrossing();
+    environment = useTestEnvironment({
+      WEATHER_API_BASE_URL: upstream.url,
+      PROVIDER_RETRIES: '0',
+      CACHE_EXPIRATION: '60',
+      PREWARM_LOCATIONS: 'London',
+      PREWARM_VIEWS: 'current',
+      PREWARM_INTERVAL_MS: '50',
+      PREWARM_RETRY_MS: '400'
+    });
+
+    scheduler = require('../src/services/prewarmScheduler');
+    ({ getWeatherDataWithMeta } = require('../src/services/weatherService'));
+  });
+
+  after(async () => {
+    scheduler.stopPrewarmScheduler();
+    await upstream.close();
+    environment.cleanup();
+  });
+
+  it('does not fetch again data that was refreshed since the job came due', async () => {
+    upstream.state.respond = (req, res) => sendJson(res, 503, { message: 'down' });
+    scheduler.startPrewarmScheduler();
+    await sleep(200);
+
+    const [failed] = scheduler.getPrewarmStatus().jobs;
+    assert.equal(failed.failures, 1);
+
+    // A user refreshes the location before the retry comes due
+    upstream.state.respond = null;
+    await getWeatherDataWithMeta('London', { include: 'current' }, { refresh: true });
+    const requests = upstream.state.requests.length;
+    await sleep(500);
+
+    const [job] = scheduler.getPrewarmStatus().jobs;
+    assert.equal(upstream.state.requests.length, requests);
+    assert.equal(job.failures, 0);
+    assert.equal(job.lastError, null);
+    assert.ok(Date.parse(job.nextRefreshAt) > Date.now() + 30 * 1000);
+  });
+});
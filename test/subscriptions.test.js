@@ -0,0 +1,182 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnvironment } = require('./support/environment');
+const { listen, startFakeVisualCrossing } = require('./support/fakeUpstreams');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+// A public address; nothing is delivered to it during the tests
+const PUBLIC_WEBHOOK = 'https://93.184.215.14/hooks/weather';
+
+describe('alert subscriptions', () => {
+  let environment;
+  let upstream;
+  let server;
+  let deliverWebhook;
+
+  /**
+   * Call the API
+   * @param {string} method - HTTP method
+   * @param {string} path - Path
+   * @param {Object} options - { body, headers }
+   * @returns {Promise<Object>} - { status, body }
+   */
+  const call = async (method, path, { body, headers = {} } = {}) => {
+    const response = await fetch(`${server.url}${path}`, {
+      method,
+      headers: { ...(body && { 'Content-Type': 'application/json' }), ...headers },
+      body: body && JSON.stringify(body)
+    });
+    const text = await response.text();
+
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  };
+
+  const issueKey = async (name) => (await call('POST', '/admin/keys', { body: { name }, headers: { 'X-Admin-Token': ADMIN_TOKEN } })).body.key;
+
+  before(async () => {
+    upstream = await startFakeVisualCrossing();
+    environment = useTestEnvironment({ WEATHER_API_BASE_URL: upstream.url, ADMIN_TOKEN, WEBHOOK_MAX_ATTEMPTS: '1' });
+
+    ({ deliverWebhook } = require('../src/services/webhookClient'));
+    server = await listen(require('../src/app'));
+  });
+
+  after(async () => {
+    await server.close();
+    await upstream.close();
+    environment.cleanup();
+  });
+
+  describe('webhook URLs', () => {
+    const refused = [
+      'http://127.0.0.1/hook',
+      'http://localhost:8080/hook',
+      'http://2130706433/hook', // 127.0.0.1 written as a number
+      'http://[::1]/hook',
+      'http://[::ffff:127.0.0.1]/hook',
+      'http://169.254.169.254/latest/meta-data/',
+      'http://10.1.2.3/hook',
+      'http://172.20.0.1/hook',
+      'http://192.168.1.10/hook',
+      'http://[fd12:3456::1]/hook',
+      'http://[fe80::1]/hook',
+      'http://0.0.0.0/hook'
+    ];
+
+    refused.forEach(webhookUrl => {
+      it(`refuses ${webhookUrl}`, async () => {
+        const { status, body } = await call('POST', '/api/subscriptions', { body: { location: 'London', webhookUrl } });
+
+        assert.equal(status, 400);
+        assert.equal(body.details.parameter, 'webhookUrl');
+      });
+    });
+
+    it('refuses hosts that do not resolve', async () => {
+      const { status, body } = await call('POST', '/api/subscriptions', { body: { location: 'London', webhookUrl: 'https://hooks.invalid/weather' } });
+
+      assert.equal(status, 400);
+      assert.match(body.message, /could not be resolved/);
+    });
+
+    it('accepts public addresses', async () => {
+      const { status, body } = await call('POST', '/api/subscriptions', { body: { location: 'London', webhookUrl: PUBLIC_WEBHOOK } });
+
+      assert.equal(status, 201);
+      assert.equal(body.webhookUrl, PUBLIC_WEBHOOK);
+      assert.ok(body.secret);
+      assert.equal(body.owner, undefined);
+    });
+
+    it('checks the URL again before delivering', async () => {
+      let received = 0;
+      const receiver = await listen((req, res) => {
+        received++;
+        res.end();
+      });
+
+      try {
+        await assert.rejects(deliverWebhook(`${receiver.url}/hook`, 'secret', { alerts: [] }), /refused/);
+        assert.equal(received, 0);
+      } finally {
+        await receiver.close();
+      }
+    });
+  });
+
+  describe('saved locations', () => {
+    it('resolves them when the subscription is created', async () => {
+      const key = await issueKey('saved');
+      const headers = { 'X-API-Key': key };
+      await call('PUT', '/api/profile/locations/cabin', { body: { location: 'Aspen, CO' }, headers });
+
+      const { status, body } = await call('POST', '/api/subscriptions', { body: { location: '@cabin', webhookUrl: PUBLIC_WEBHOOK }, headers });
+
+      assert.equal(status, 201);
+      assert.equal(body.location, 'Aspen, CO');
+    });
+
+    it('refuses them without an API key', async () => {
+      const { status, body } = await call('POST', '/api/subscriptions', { body: { location: '@home', webhookUrl: PUBLIC_WEBHOOK } });
+
+      assert.equal(status, 400);
+      assert.equal(body.details.parameter, 'location');
+    });
+
+    it('refuses unknown names', async () => {
+      const headers = { 'X-API-Key': await issueKey('unknown-name') };
+      const { status } = await call('POST', '/api/subscriptions', { body: { location: '@nowhere', webhookUrl: PUBLIC_WEBHOOK }, headers });
+
+      assert.equal(status, 404);
+    });
+  });
+
+  describe('reading and deleting', () => {
+    let owner;
+    let stranger;
+    let subscription;
+
+    before(async () => {
+      owner = { 'X-API-Key': await issueKey('owner') };
+      stranger = { 'X-API-Key': await issueKey('stranger') };
+      subscription = (await call('POST', '/api/subscriptions', { body: { location: 'London', webhookUrl: PUBLIC_WEBHOOK }, headers: owner })).body;
+    });
+
+    it('lets the API key that created a subscription read it', async () => {
+      const { status, body } = await call('GET', `/api/subscriptions/${subscription.id}`, { headers: owner });
+
+      assert.equal(status, 200);
+      assert.equal(body.id, subscription.id);
+      assert.equal(body.secret, undefined);
+      assert.equal(body.owner, undefined);
+    });
+
+    it('lets anyone with the secret read it', async () => {
+      const { status } = await call('GET', `/api/subscriptions/${subscription.id}`, { headers: { 'X-Subscription-Secret': subscription.secret } });
+
+      assert.equal(status, 200);
+    });
+
+    it('hides it from other API keys, anonymous callers and wrong secrets', async () => {
+      const attempts = [stranger, {}, { 'X-Subscription-Secret': 'guess' }];
+
+      for (const headers of attempts) {
+        assert.equal((await call('GET', `/api/subscriptions/${subscription.id}`, { headers })).status, 404);
+        assert.equal((await call('DELETE', `/api/subscriptions/${subscription.id}`, { headers })).status, 404);
+      }
+    });
+
+    it('lets anonymous subscriptions be managed with their secret only', async () => {
+      const anonymous = (await call('POST', '/api/subscriptions', { body: { location: 'Paris', webhookUrl: PUBLIC_WEBHOOK } })).body;
+
+      assert.equal((await call('GET', `/api/subscriptions/${anonymous.id}`)).status, 404);
+      assert.equal((await call('DELETE', `/api/subscriptions/${anonymous.id}`, { headers: { 'X-Subscription-Secret': anonymous.secret } })).status, 204);
+    });
+
+    it('lets the owner delete it', async () => {
+      assert.equal((await call('DELETE', `/api/subscriptions/${subscription.id}`, { headers: owner })).status, 204);
+      assert.equal((await call('GET', `/api/subscriptions/${subscription.id}`, { headers: owner })).status, 404);
+    });
+  });
+});
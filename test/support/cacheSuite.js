@@ -0,0 +1,128 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnvironment } = require('./environment');
+const { sendJson, startFakeVisualCrossing } = require('./fakeUpstreams');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Soft and hard TTL in seconds, short so expiry can be waited for
+const SOFT_TTL = 1;
+const HARD_TTL = 3;
+
+/**
+ * Run the tests every cache backend must pass, through the cache client
+ * the services use. Each backend runs them in a test file of its own,
+ * since the backend is picked when src/config/cache.js is first required.
+ * @param {string} backend - CACHE_BACKEND value
+ * @param {Object} options - Options
+ * @param {Function} [options.environment] - Called with the scratch data directory
+ *                                           before src/ is required; resolves to extra variables
+ * @param {Function} [options.teardown] - Called once the tests are done
+ */
+const describeCacheBackend = (backend, { environment: prepare = async () => ({}), teardown = async () => {} } = {}) => {
+  describe(`${backend} cache backend`, () => {
+    let environment;
+    let upstream;
+    let cacheClient;
+    let getWeatherDataWithMeta;
+
+    before(async () => {
+      upstream = await startFakeVisualCrossing();
+      environment = useTestEnvironment({
+        CACHE_BACKEND: backend,
+        CACHE_EXPIRATION: String(SOFT_TTL),
+        CACHE_HARD_EXPIRATION: String(HARD_TTL),
+        WEATHER_API_BASE_URL: upstream.url,
+        PROVIDER_RETRIES: '0'
+      });
+      Object.assign(process.env, await prepare(environment.dataDir));
+
+      ({ cacheClient } = require('../../src/config/cache'));
+      ({ getWeatherDataWithMeta } = require('../../src/services/weatherService'));
+      await cacheClient.flushAll();
+    });
+
+    after(async () => {
+      await cacheClient.close();
+      await upstream.close();
+      await teardown();
+      environment.cleanup();
+    });
+
+    it('returns null and a TTL of -2 for missing keys', async () => {
+      assert.equal(await cacheClient.get('missing'), null);
+      assert.equal(await cacheClient.ttl('missing'), -2);
+    });
+
+    it('stores values with their types', async () => {
+      const value = { data: { temp: 12.5, days: [{ datetime: '2024-01-31' }], alerts: [] }, fetchedAt: 1700000000000, note: null };
+
+      assert.equal(await cacheClient.set('weather:roundtrip', value, { EX: 60 }), 'OK');
+      assert.deepEqual(await cacheClient.get('weather:roundtrip'), value);
+    });
+
+    it('reports the TTL a key was set with, defaulting to the soft TTL', async () => {
+      await cacheClient.set('weather:ttl', { ok: true }, { EX: 120 });
+      await cacheClient.set('weather:default-ttl', { ok: true });
+
+      const ttl = await cacheClient.ttl('weather:ttl');
+      assert.ok(ttl > 115 && ttl <= 120, `TTL was ${ttl}`);
+      assert.ok(await cacheClient.ttl('weather:default-ttl') <= SOFT_TTL);
+    });
+
+    it('deletes keys, counting only those that existed', async () => {
+      await cacheClient.set('weather:delete', { ok: true }, { EX: 60 });
+
+      assert.equal(await cacheClient.del('weather:delete'), 1);
+      assert.equal(await cacheClient.del('weather:delete'), 0);
+      assert.equal(await cacheClient.get('weather:delete'), null);
+    });
+
+    it('lists keys and flushes them all', async () => {
+      await cacheClient.set('weather:a', 1, { EX: 60 });
+      await cacheClient.set('alias:b', 'b', { EX: 60 });
+
+      const keys = await cacheClient.keys();
+      assert.ok(keys.includes('weather:a'));
+      assert.ok(keys.includes('alias:b'));
+
+      assert.equal(await cacheClient.flushAll(), 'OK');
+      assert.deepEqual(await cacheClient.keys(), []);
+      assert.equal(await cacheClient.get('weather:a'), null);
+    });
+
+    it('drops keys once their TTL has passed', async () => {
+      await cacheClient.set('weather:short', { ok: true }, { EX: 1 });
+      await sleep(1100);
+
+      assert.equal(await cacheClient.get('weather:short'), null);
+      assert.equal(await cacheClient.ttl('weather:short'), -2);
+      assert.ok(!(await cacheClient.keys()).includes('weather:short'));
+    });
+
+    it('serves entries fresh until the soft TTL, stale until the hard TTL, then not at all', async () => {
+      const first = await getWeatherDataWithMeta('Expiry Town', { include: 'current' });
+      const fetchedAt = Date.now();
+      assert.equal(first.cache.status, 'MISS');
+
+      const fresh = await getWeatherDataWithMeta('Expiry Town', { include: 'current' });
+      assert.equal(fresh.cache.status, 'HIT');
+
+      // From here the provider fails, so only the cache can answer
+      upstream.state.respond = (req, res) => sendJson(res, 503, { message: 'down' });
+      await sleep(SOFT_TTL * 1000 + 100);
+
+      const stale = await getWeatherDataWithMeta('Expiry Town', { include: 'current' });
+      assert.equal(stale.cache.status, 'STALE');
+      assert.deepEqual(stale.data.currentConditions, first.data.currentConditions);
+
+      await sleep(Math.max(0, fetchedAt + HARD_TTL * 1000 + 200 - Date.now()));
+
+      await assert.rejects(getWeatherDataWithMeta('Expiry Town', { include: 'current' }), { code: 'UPSTREAM_UNAVAILABLE' });
+    });
+  });
+};
+
+module.exports = {
+  describeCacheBackend
+};
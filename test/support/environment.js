@@ -0,0 +1,32 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Point the API at a scratch data directory and quiet logs. Modules read
+ * their settings when they are first required, so call this before
+ * requiring anything from src/.
+ * @param {Object} overrides - Extra environment variables
+ * @returns {Object} - { dataDir, cleanup }
+ */
+const useTestEnvironment = (overrides = {}) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'weather-api-test-'));
+
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    LOG_LEVEL: 'silent',
+    CACHE_BACKEND: 'memory',
+    WEATHER_API_KEY: 'test-key',
+    PROVIDER_RETRY_DELAY_MS: '10',
+    ...overrides
+  });
+
+  return {
+    dataDir,
+    cleanup: () => fs.rmSync(dataDir, { recursive: true, force: true })
+  };
+};
+
+module.exports = {
+  useTestEnvironment
+};
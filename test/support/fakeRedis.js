@@ -0,0 +1,126 @@
+const net = require('net');
+
+/**
+ * Parse the complete RESP commands at the start of a buffer
+ * @param {Buffer} buffer - Bytes received so far
+ * @returns {Array} - [commands as arrays of strings, bytes consumed]
+ */
+const parseCommands = (buffer) => {
+  const commands = [];
+  let offset = 0;
+
+  while (offset < buffer.length && buffer[offset] === 0x2a) { // '*'
+    const start = offset;
+    let end = buffer.indexOf('\r\n', offset);
+    if (end < 0) break;
+
+    const count = Number(buffer.subarray(offset + 1, end));
+    const args = [];
+    offset = end + 2;
+
+    for (let index = 0; index < count; index++) {
+      end = buffer.indexOf('\r\n', offset);
+      if (end < 0) return [commands, start];
+
+      const length = Number(buffer.subarray(offset + 1, end));
+      offset = end + 2;
+      if (offset + length + 2 > buffer.length) return [commands, start];
+
+      args.push(buffer.subarray(offset, offset + length).toString());
+      offset += length + 2;
+    }
+
+    commands.push(args);
+  }
+
+  return [commands, offset];
+};
+
+const bulk = (value) => (value === null || value === undefined ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+const integer = (value) => `:${value}\r\n`;
+const array = (items) => `*${items.length}\r\n${items.join('')}`;
+
+/**
+ * Turn a Redis glob pattern (only * is used by the cache) into a RegExp
+ * @param {string} pattern - Pattern
+ * @returns {RegExp} - Expression
+ */
+const globToRegExp = (pattern) => new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+
+/**
+ * Start a stand-in for Redis that speaks enough of RESP for the redis
+ * cache backend: GET, SET (with EX), DEL, TTL, STRLEN and SCAN. Keys
+ * expire like they do in Redis.
+ * @returns {Promise<Object>} - { url, store, close }; store maps keys to { value, expiresAt }
+ */
+const startFakeRedis = () => new Promise((resolve) => {
+  const store = new Map();
+  const sockets = new Set();
+
+  const live = (key) => {
+    const entry = store.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) store.delete(key);
+    return store.get(key) || null;
+  };
+
+  const run = ([name, ...args]) => {
+    switch (name.toUpperCase()) {
+      case 'GET': {
+        const entry = live(args[0]);
+        return bulk(entry && entry.value);
+      }
+      case 'SET': {
+        const ex = args.findIndex(arg => arg.toUpperCase() === 'EX');
+        store.set(args[0], { value: args[1], expiresAt: ex > 0 ? Date.now() + Number(args[ex + 1]) * 1000 : null });
+        return '+OK\r\n';
+      }
+      case 'DEL':
+        return integer(args.filter(key => live(key) && store.delete(key)).length);
+      case 'TTL': {
+        const entry = live(args[0]);
+        if (!entry) return integer(-2);
+        return integer(entry.expiresAt ? Math.round((entry.expiresAt - Date.now()) / 1000) : -1);
+      }
+      case 'STRLEN': {
+        const entry = live(args[0]);
+        return integer(entry ? Buffer.byteLength(entry.value) : 0);
+      }
+      case 'SCAN': {
+        const match = args.findIndex(arg => arg.toUpperCase() === 'MATCH');
+        const pattern = globToRegExp(match > 0 ? args[match + 1] : '*');
+        const keys = [...store.keys()].filter(key => live(key) && pattern.test(key));
+        return array([bulk('0'), array(keys.map(bulk))]);
+      }
+      default:
+        return '+OK\r\n';
+    }
+  };
+
+  const server = net.createServer((socket) => {
+    let pending = Buffer.alloc(0);
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+
+    socket.on('data', (data) => {
+      pending = Buffer.concat([pending, data]);
+      const [commands, consumed] = parseCommands(pending);
+      pending = pending.subarray(consumed);
+      commands.forEach(command => socket.write(run(command)));
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    resolve({
+      url: `redis://127.0.0.1:${server.address().port}`,
+      store,
+      close: () => new Promise(done => {
+        sockets.forEach(socket => socket.destroy());
+        server.close(done);
+      })
+    });
+  });
+});
+
+module.exports = {
+  startFakeRedis
+};
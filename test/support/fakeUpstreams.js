@@ -0,0 +1,216 @@
+const http = require('http');
+
+/**
+ * Start an HTTP server on a free local port
+ * @param {Function} handler - Request handler
+ * @returns {Promise<Object>} - { server, url, close }
+ */
+const listen = (handler) => new Promise((resolve) => {
+  const server = http.createServer(handler);
+
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+
+    resolve({
+      server,
+      url: `http://127.0.0.1:${port}`,
+      close: () => new Promise(done => {
+        server.closeAllConnections();
+        server.close(done);
+      })
+    });
+  });
+});
+
+/**
+ * Send a JSON body
+ * @param {Object} res - HTTP response
+ * @param {number} status - Status code
+ * @param {any} body - Body
+ * @param {Object} headers - Extra headers
+ */
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * One forecast day in the Visual Crossing timeline format, with its hours
+ * @param {number} index - Days from today
+ * @returns {Object} - Day
+ */
+const timelineDay = (index) => {
+  const start = new Date();
+  start.setUTCHours(0, 0, 0, 0);
+  start.setUTCDate(start.getUTCDate() + index);
+  const epoch = start.getTime() / 1000;
+
+  return {
+    datetime: start.toISOString().slice(0, 10),
+    datetimeEpoch: epoch,
+    tempmax: 20 + index,
+    tempmin: 10 + index,
+    temp: 15,
+    feelslike: 14,
+    humidity: 70,
+    dew: 9,
+    precip: 0,
+    precipprob: 40,
+    snow: 0,
+    windspeed: 12,
+    windgust: 20,
+    winddir: 200,
+    pressure: 1012,
+    cloudcover: 50,
+    uvindex: 5,
+    sunriseEpoch: epoch + 7 * 3600,
+    sunsetEpoch: epoch + 18 * 3600,
+    conditions: 'Partially cloudy',
+    description: 'Partly cloudy throughout the day.',
+    icon: 'partly-cloudy-day',
+    hours: Array.from({ length: 24 }, (_, hour) => ({
+      datetime: `${String(hour).padStart(2, '0')}:00:00`,
+      datetimeEpoch: epoch + hour * 3600,
+      temp: 8 + hour / 2,
+      feelslike: 7 + hour / 2,
+      humidity: 60,
+      dew: 5,
+      precip: 0,
+      precipprob: 10,
+      snow: 0,
+      windspeed: 10,
+      windgust: 15,
+      winddir: 180,
+      pressure: 1010,
+      cloudcover: 10,
+      uvindex: hour > 10 && hour < 16 ? 6 : 0,
+      conditions: 'Clear',
+      icon: 'clear-day'
+    }))
+  };
+};
+
+/**
+ * Start a fake Visual Crossing timeline API. Every location resolves to
+ * London, except locations containing "nowhere", which are answered
+ * like unknown locations. Set `state.respond` to answer differently,
+ * e.g. `state.respond = (req, res) => sendJson(res, 503, {})`.
+ * @returns {Promise<Object>} - { url, state, close }; state.requests lists the request URLs
+ */
+const startFakeVisualCrossing = async () => {
+  const state = { requests: [], respond: null };
+
+  const fake = await listen((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const location = decodeURIComponent(url.pathname.split('/').filter(Boolean).pop() || '');
+    state.requests.push(req.url);
+
+    if (state.respond) return state.respond(req, res);
+
+    if (location.toLowerCase().includes('nowhere')) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      return res.end('Bad API Request:Invalid location parameter value.');
+    }
+
+    return sendJson(res, 200, {
+      queryCost: 1,
+      latitude: 51.5064,
+      longitude: -0.12721,
+      resolvedAddress: 'London, England, United Kingdom',
+      address: location,
+      timezone: 'Europe/London',
+      tzoffset: 0,
+      days: Array.from({ length: 15 }, (_, index) => timelineDay(index)),
+      alerts: [{
+        event: 'Wind warning',
+        headline: 'Yellow wind warning',
+        description: 'Strong winds expected.',
+        onset: new Date().toISOString(),
+        onsetEpoch: Math.floor(Date.now() / 1000),
+        ends: new Date(Date.now() + 86400 * 1000).toISOString(),
+        endsEpoch: Math.floor(Date.now() / 1000) + 86400,
+        id: 'alert-1',
+        language: 'en',
+        link: 'https://example.com/alerts/1'
+      }],
+      currentConditions: {
+        datetime: '12:00:00',
+        datetimeEpoch: Math.floor(Date.now() / 1000),
+        temp: 15,
+        feelslike: 14,
+        humidity: 70,
+        dew: 9,
+        precip: 0,
+        windspeed: 12,
+        winddir: 200,
+        pressure: 1012,
+        cloudcover: 50,
+        uvindex: 3,
+        conditions: 'Partially cloudy',
+        icon: 'partly-cloudy-day'
+      }
+    });
+  });
+
+  return { ...fake, state };
+};
+
+/**
+ * Start a fake Open-Meteo, serving the geocoding, forecast and archive
+ * APIs under /search, /forecast and /archive. Locations containing
+ * "nowhere" are not found. Set `state.respond` to answer differently.
+ * @returns {Promise<Object>} - { url, state, close }; state.requests lists the request URLs
+ */
+const startFakeOpenMeteo = async () => {
+  const state = { requests: [], respond: null };
+
+  const fake = await listen((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const list = (name) => (url.searchParams.get(name) || '').split(',').filter(Boolean);
+    state.requests.push(req.url);
+
+    if (state.respond) return state.respond(req, res);
+
+    if (url.pathname === '/search') {
+      const name = url.searchParams.get('name') || '';
+      if (name.toLowerCase().includes('nowhere')) return sendJson(res, 200, {});
+      return sendJson(res, 200, { results: [{ name: 'London', admin1: 'England', country: 'United Kingdom', latitude: 51.5, longitude: -0.12 }] });
+    }
+
+    const start = new Date();
+    start.setUTCHours(0, 0, 0, 0);
+    const base = start.getTime() / 1000;
+    const hourly = { time: Array.from({ length: 48 }, (_, hour) => base + hour * 3600) };
+    const daily = { time: [base, base + 86400] };
+    const current = { time: base + 12 * 3600 };
+
+    list('hourly').forEach(name => {
+      hourly[name] = hourly.time.map((_, hour) => (name === 'weather_code' ? 2 : hour % 24));
+    });
+    list('daily').forEach(name => {
+      daily[name] = name === 'sunrise' || name === 'sunset' ? daily.time.map(time => time + 7 * 3600) : [3, 5];
+    });
+    list('current').forEach(name => {
+      current[name] = name === 'weather_code' ? 2 : 7;
+    });
+
+    return sendJson(res, 200, {
+      latitude: 51.5,
+      longitude: -0.12,
+      timezone: 'Europe/London',
+      utc_offset_seconds: 0,
+      hourly,
+      daily,
+      ...(url.searchParams.has('current') && { current })
+    });
+  });
+
+  return { ...fake, state };
+};
+
+module.exports = {
+  listen,
+  sendJson,
+  startFakeVisualCrossing,
+  startFakeOpenMeteo
+};
@@ -0,0 +1,17 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { toXml } = require('../src/formatters/xml');
+
+describe('XML formatter', () => {
+  it('escapes markup characters', () => {
+    assert.match(toXml('weather', { description: 'Rain & <wind> "gusts" \'50\'' }),
+      /<description>Rain &amp; &lt;wind&gt; &quot;gusts&quot; &apos;50&apos;<\/description>/);
+  });
+
+  it('drops characters XML 1.0 does not allow and keeps tabs and newlines', () => {
+    const xml = toXml('weather', { description: 'Snow\u0000\u0007\u000B\u000C\u001F\tthen\nsun\r' });
+
+    assert.match(xml, /<description>Snow\tthen\nsun\r<\/description>/);
+    assert.doesNotMatch(xml, /[\u0000-\u0008\u000B\u000C\u000E-\u001F]/);
+  });
+});